@@ -27,6 +27,8 @@ program
   .description('Run comprehensive health check')
   .option('-v, --verbose', 'Verbose output')
   .option('-f, --fix', 'Auto-fix common issues')
+  .option('-t, --tag <tags...>', 'Only run registered checks with these tags')
+  .option('--history [since]', 'Show recorded health history (uptime, state changes, flapping) instead of running checks')
   .action(async (options) => {
     const { runDoctor } = await import('../scripts/doctor.mjs');
     await runDoctor(options);
@@ -77,11 +79,53 @@ program
   .command('debug')
   .description('Start debug interface')
   .option('-p, --port <port>', 'Port for debug interface', '3001')
+  .option('--loggers-url <url>', 'App endpoint mounted with createLoggersEndpoint(), served as /api/loggers')
   .action(async (options) => {
     const { startDebugInterface } = await import('../scripts/debug.mjs');
     await startDebugInterface(options);
   });
 
+program
+  .command('logs [files...]')
+  .description('Tail, filter and pretty-print NDJSON logs (files under logs/ or "-" for stdin)')
+  .option('-f, --follow', 'Keep watching for new entries (follows rotated files)')
+  .option('-n, --lines <n>', 'Show only the last n matching entries')
+  .option('-l, --level <level>', 'Minimum level (debug, info, warn, error)')
+  .option('-s, --service <service>', 'Only entries from this service')
+  .option('-r, --request-id <id>', 'Only entries for this request')
+  .option('--since <time>', 'Entries after this time (ISO date or 15m, 2h, 1d ago)')
+  .option('--until <time>', 'Entries before this time')
+  .option('-w, --where <expr...>', 'Meta field filters, e.g. "status>=500" "url~^/api"')
+  .option('--format <format>', 'Output format (text, pretty, json, logfmt, ecs)', 'text')
+  .option('--dir <dir>', 'Log directory (default: logs)')
+  .option('--no-color', 'Disable colors')
+  .action(async (files, options) => {
+    const { runLogs } = await import('../scripts/logs.mjs');
+    await runLogs({ ...options, files });
+  });
+
+program
+  .command('query [files...]')
+  .description('Aggregate NDJSON logs: counts, percentiles and time buckets grouped by any field')
+  .option('-g, --group-by <fields...>', 'Group by fields, e.g. url level error.code')
+  .option('-a, --agg <aggregations...>', 'count, sum(field), avg(field), min(field), max(field), p95(field)', ['count'])
+  .option('-b, --bucket <duration>', 'Time buckets, e.g. 1m, 5m, 1h')
+  .option('-l, --level <level>', 'Minimum level (debug, info, warn, error)')
+  .option('-s, --service <service>', 'Only entries from this service')
+  .option('-r, --request-id <id>', 'Only entries for this request')
+  .option('--since <time>', 'Entries after this time (ISO date or 15m, 2h, 1d ago)')
+  .option('--until <time>', 'Entries before this time')
+  .option('-w, --where <expr...>', 'Field filters, e.g. "message=HTTP Request" "status>=500"')
+  .option('--sort <column>', 'Sort by column (default: first aggregation, or bucket)')
+  .option('--order <order>', 'asc or desc', 'desc')
+  .option('--limit <n>', 'Only show the first n rows')
+  .option('--dir <dir>', 'Log directory', 'logs')
+  .option('-j, --json', 'Output JSON')
+  .action(async (files, options) => {
+    const { runLogQuery } = await import('../scripts/logs.mjs');
+    await runLogQuery({ ...options, files });
+  });
+
 program
   .command('setup')
   .description('Setup project with Dr. Cursored configuration')
@@ -0,0 +1,210 @@
+import http from 'node:http';
+import { startRequestLog, logger as defaultLogger } from './logger.mjs';
+import { formatTraceparent, setTraceHeaders } from './tracing.mjs';
+
+// Framework adapters for requestLogger/errorLogger. Each one opens the same
+// per-request context (requestId, traceId, spanId), echoes `traceparent` and logs
+// one "HTTP Request" entry plus an "Unhandled error" entry on failures.
+
+const traceHeaders = (trace) => {
+  const headers = { traceparent: formatTraceparent(trace) };
+  if (trace.tracestate) {
+    headers.tracestate = trace.tracestate;
+  }
+  return headers;
+};
+
+const logError = (request, error) => {
+  request.logger.errorWithStack('Unhandled error', error, {
+    method: request.context.method,
+    url: request.context.url,
+    requestId: request.requestId
+  });
+};
+
+// Fetch API requests carry the full URL; log path + query like Node does
+const requestPath = (url) => {
+  try {
+    const { pathname, search } = new URL(url);
+    return pathname + search;
+  } catch {
+    return url;
+  }
+};
+
+// fastify.register(fastifyRequestLogger, { logger })
+export function fastifyRequestLogger(fastify, options, done) {
+  const baseLogger = options?.logger || defaultLogger;
+
+  for (const name of ['logger', 'requestId', 'trace']) {
+    if (!fastify.hasRequestDecorator || !fastify.hasRequestDecorator(name)) {
+      fastify.decorateRequest(name, null);
+    }
+  }
+
+  const requests = new WeakMap();
+
+  fastify.addHook('onRequest', (request, reply, next) => {
+    const started = startRequestLog({
+      method: request.method,
+      url: request.url,
+      headers: request.headers,
+      ip: request.ip
+    }, baseLogger);
+    requests.set(request, started);
+    request.logger = started.logger;
+    request.requestId = started.requestId;
+    request.trace = started.trace;
+    reply.headers(traceHeaders(started.trace));
+    // Route handlers run in the continuation of next()
+    started.run(() => next());
+  });
+
+  fastify.addHook('onError', (request, reply, error, next) => {
+    const started = requests.get(request);
+    if (started) {
+      logError(started, error);
+    }
+    next();
+  });
+
+  fastify.addHook('onResponse', (request, reply, next) => {
+    const started = requests.get(request);
+    if (started) {
+      started.finish(reply.statusCode);
+      requests.delete(request);
+    }
+    next();
+  });
+
+  done();
+}
+
+// Hooks apply to the whole app rather than an encapsulated context (what fastify-plugin does)
+fastifyRequestLogger[Symbol.for('skip-override')] = true;
+fastifyRequestLogger[Symbol.for('fastify.display-name')] = 'dr-cursored-request-logger';
+
+// app.use(koaRequestLogger({ logger }))
+export const koaRequestLogger = (options = {}) => async (ctx, next) => {
+  const started = startRequestLog({
+    method: ctx.method,
+    url: ctx.url,
+    headers: ctx.headers,
+    ip: ctx.ip
+  }, options.logger || defaultLogger);
+
+  ctx.state.logger = started.logger;
+  ctx.state.requestId = started.requestId;
+  ctx.state.trace = started.trace;
+  ctx.set(traceHeaders(started.trace));
+
+  try {
+    await started.run(next);
+  } catch (error) {
+    logError(started, error);
+    started.finish(error.status || error.statusCode || 500);
+    throw error;
+  }
+  started.finish(ctx.status);
+};
+
+// Response headers can be immutable (Response.redirect(), fetch() results)
+const withTraceHeaders = (response, trace) => {
+  const headers = traceHeaders(trace);
+  try {
+    for (const [name, value] of Object.entries(headers)) {
+      response.headers.set(name, value);
+    }
+    return response;
+  } catch {
+    const copy = new Response(response.body, response);
+    for (const [name, value] of Object.entries(headers)) {
+      copy.headers.set(name, value);
+    }
+    return copy;
+  }
+};
+
+// Any (request: Request) => Response handler: Deno, Bun, Cloudflare Workers, Next.js route handlers
+export const fetchRequestLogger = (handler, options = {}) => async (request, ...args) => {
+  const started = startRequestLog({
+    method: request.method,
+    url: requestPath(request.url),
+    headers: request.headers
+  }, options.logger || defaultLogger);
+
+  let response;
+  try {
+    response = await started.run(() => handler(request, ...args));
+  } catch (error) {
+    logError(started, error);
+    started.finish(500);
+    throw error;
+  }
+  response = withTraceHeaders(response, started.trace);
+  started.finish(response.status);
+  return response;
+};
+
+// app.use(honoRequestLogger({ logger })) - c.get('logger') in handlers
+export const honoRequestLogger = (options = {}) => async (c, next) => {
+  const request = c.req.raw;
+  const started = startRequestLog({
+    method: request.method,
+    url: requestPath(request.url),
+    headers: request.headers
+  }, options.logger || defaultLogger);
+
+  c.set('logger', started.logger);
+  c.set('requestId', started.requestId);
+  c.set('trace', started.trace);
+
+  await started.run(next);
+
+  // Hono catches handler errors itself and exposes them on c.error
+  if (c.error) {
+    logError(started, c.error);
+  }
+  c.res = withTraceHeaders(c.res, started.trace);
+  started.finish(c.res.status);
+};
+
+// http.createServer(httpRequestLogger((req, res) => ...))
+export const httpRequestLogger = (handler, options = {}) => (req, res) => {
+  const started = startRequestLog({
+    method: req.method,
+    url: req.url,
+    headers: req.headers,
+    ip: req.socket?.remoteAddress
+  }, options.logger || defaultLogger);
+
+  req.logger = started.logger;
+  req.requestId = started.requestId;
+  req.trace = started.trace;
+  setTraceHeaders(res, started.trace);
+  res.on('finish', () => started.finish(res.statusCode));
+
+  const fail = (error) => {
+    logError(started, error);
+    if (!res.headersSent) {
+      res.writeHead(500, { 'Content-Type': 'text/plain' });
+      res.end('Internal Server Error');
+    } else if (!res.writableEnded) {
+      res.destroy(error);
+    }
+  };
+
+  started.run(() => {
+    try {
+      const result = handler(req, res);
+      if (result && typeof result.catch === 'function') {
+        result.catch(fail);
+      }
+    } catch (error) {
+      fail(error);
+    }
+  });
+};
+
+export const createLoggedServer = (handler, options = {}) =>
+  http.createServer(options.server || {}, httpRequestLogger(handler, options));
@@ -0,0 +1,352 @@
+// Browser build of Logger: no Node built-ins, no chalk. Entries are batched and
+// shipped to the debug server's ingest endpoint (POST /api/logs/ingest).
+
+const LEVELS = {
+  debug: 0,
+  info: 1,
+  warn: 2,
+  error: 3
+};
+
+const CONSOLE_METHODS = {
+  debug: 'debug',
+  info: 'info',
+  warn: 'warn',
+  error: 'error'
+};
+
+const DEFAULT_ENDPOINT = 'http://localhost:3001/api/logs/ingest';
+
+const randomId = () => {
+  if (globalThis.crypto && typeof globalThis.crypto.randomUUID === 'function') {
+    return globalThis.crypto.randomUUID();
+  }
+  return Math.random().toString(16).slice(2) + Date.now().toString(16);
+};
+
+const now = () => (globalThis.performance ? globalThis.performance.now() : Date.now());
+
+const round = (value) => Math.round(value * 100) / 100;
+
+const safeStringify = (value) => {
+  try {
+    return JSON.stringify(value) ?? String(value);
+  } catch {
+    return String(value);
+  }
+};
+
+// Same shape as lib/errors.mjs, minus the Node-specific fields
+export const serializeBrowserError = (error, depth = 0) => {
+  if (!(error instanceof Error)) {
+    return { name: 'NonError', message: typeof error === 'string' ? error : safeStringify(error) };
+  }
+  const serialized = { name: error.name, message: error.message, stack: error.stack };
+  for (const [key, value] of Object.entries(error)) {
+    if (!(key in serialized)) {
+      serialized[key] = value;
+    }
+  }
+  if (error.cause !== undefined && depth < 10) {
+    serialized.cause = serializeBrowserError(error.cause, depth + 1);
+  }
+  return serialized;
+};
+
+const serializeMeta = (meta) => {
+  if (meta instanceof Error) {
+    return { error: serializeBrowserError(meta) };
+  }
+  if (!meta || typeof meta !== 'object') {
+    return {};
+  }
+  const result = { ...meta };
+  for (const [key, value] of Object.entries(result)) {
+    if (value instanceof Error) {
+      result[key] = serializeBrowserError(value);
+    }
+  }
+  return result;
+};
+
+// sendBeacon and keepalive fetch refuse bodies over 64 KB; stay under it with room to spare
+const MAX_PAYLOAD_BYTES = 60 * 1024;
+
+const byteLength = (text) => (typeof TextEncoder !== 'undefined' ? new TextEncoder().encode(text).length : text.length);
+
+// Batches entries for one endpoint, shared by a logger and all of its children
+export class BrowserShipper {
+  constructor(options = {}) {
+    this.endpoint = options.endpoint || DEFAULT_ENDPOINT;
+    this.batchSize = options.batchSize || 20;
+    this.interval = options.interval ?? 2000;
+    this.maxQueue = options.maxQueue || 1000;
+    this.maxPayload = options.maxPayload || MAX_PAYLOAD_BYTES;
+    this.fetch = options.fetch || globalThis.fetch?.bind(globalThis);
+    this.navigator = options.navigator || globalThis.navigator;
+    this.queue = [];
+    this.dropped = 0;
+    // Entries too large to ever fit in a request
+    this.oversized = 0;
+    this.timer = null;
+  }
+
+  push(entry) {
+    if (this.queue.length >= this.maxQueue) {
+      this.queue.shift();
+      this.dropped++;
+    }
+    this.queue.push(entry);
+
+    if (this.queue.length >= this.batchSize) {
+      this.flush();
+    } else if (!this.timer && this.interval > 0) {
+      this.timer = setTimeout(() => this.flush(), this.interval);
+    }
+  }
+
+  payload(entries) {
+    const body = { entries, page: globalThis.location?.href, userAgent: this.navigator?.userAgent };
+    if (this.dropped > 0) {
+      body.dropped = this.dropped;
+      this.dropped = 0;
+    }
+    if (this.oversized > 0) {
+      body.oversized = this.oversized;
+      this.oversized = 0;
+    }
+    return JSON.stringify(body);
+  }
+
+  // Groups entries into payloads under `maxPayload`. A batch over the limit would fail
+  // and be re-queued forever, so an entry that can't fit on its own is dropped and counted.
+  split(entries) {
+    // Room for page, userAgent and the counters
+    const overhead = byteLength(JSON.stringify({
+      entries: [],
+      page: globalThis.location?.href,
+      userAgent: this.navigator?.userAgent,
+      dropped: Number.MAX_SAFE_INTEGER,
+      oversized: Number.MAX_SAFE_INTEGER
+    }));
+    const batches = [];
+    let batch = [];
+    let size = overhead;
+    for (const entry of entries) {
+      const entrySize = byteLength(JSON.stringify(entry)) + 1;
+      if (overhead + entrySize > this.maxPayload) {
+        this.oversized++;
+        continue;
+      }
+      if (size + entrySize > this.maxPayload) {
+        batches.push(batch);
+        batch = [];
+        size = overhead;
+      }
+      batch.push(entry);
+      size += entrySize;
+    }
+    if (batch.length > 0 || batches.length === 0) {
+      batches.push(batch);
+    }
+    return batches;
+  }
+
+  // `beacon` is for page unload: sendBeacon survives navigation, fetch may not
+  flush({ beacon = false } = {}) {
+    clearTimeout(this.timer);
+    this.timer = null;
+    if (this.queue.length === 0) {
+      return Promise.resolve(0);
+    }
+
+    const batches = this.split(this.queue.splice(0, this.queue.length));
+    return Promise.all(batches.map(entries => this.send(entries, beacon)))
+      .then(counts => counts.reduce((total, count) => total + count, 0));
+  }
+
+  send(entries, beacon) {
+    // text/plain keeps the request "simple" (no CORS preflight), the server parses JSON anyway
+    const body = this.payload(entries);
+
+    if (beacon && this.navigator && typeof this.navigator.sendBeacon === 'function') {
+      const blob = typeof Blob !== 'undefined' ? new Blob([body], { type: 'text/plain' }) : body;
+      if (this.navigator.sendBeacon(this.endpoint, blob)) {
+        return Promise.resolve(entries.length);
+      }
+    }
+    if (!this.fetch) {
+      return Promise.resolve(0);
+    }
+
+    return this.fetch(this.endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'text/plain' },
+      body,
+      keepalive: true
+    }).then(() => entries.length, () => {
+      // Debug server not running: put the entries back for the next attempt
+      this.queue.unshift(...entries.slice(-(this.maxQueue - this.queue.length)));
+      return 0;
+    });
+  }
+}
+
+export class BrowserLogger {
+  constructor(options = {}) {
+    this.service = options.service || 'browser';
+    this.parent = options.parent || null;
+    this.level = options.level || (this.parent ? null : 'info');
+    this.context = options.context || {};
+    this.sessionId = options.sessionId || randomId().slice(0, 8);
+    // Mirror entries to the devtools console
+    this.console = options.console !== false;
+    this.shipper = options.shipper || new BrowserShipper(options);
+    this.window = options.window || globalThis.window;
+    this.cleanup = [];
+
+    if (!this.parent && options.captureErrors !== false && this.window) {
+      this.captureErrors();
+    }
+  }
+
+  static levels = LEVELS;
+
+  get level() {
+    return this.ownLevel || this.parent?.level || 'info';
+  }
+
+  set level(level) {
+    if (level !== null && !(level in LEVELS)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    this.ownLevel = level;
+  }
+
+  setLevel(level) {
+    this.level = level;
+    return this;
+  }
+
+  shouldLog(level) {
+    return LEVELS[level] >= LEVELS[this.level];
+  }
+
+  log(level, message, meta = {}) {
+    if (!this.shouldLog(level)) {
+      return;
+    }
+
+    const entry = {
+      timestamp: new Date().toISOString(),
+      level,
+      service: this.service,
+      message,
+      sessionId: this.sessionId,
+      ...this.context,
+      ...serializeMeta(meta)
+    };
+
+    if (this.console && globalThis.console) {
+      globalThis.console[CONSOLE_METHODS[level]](`[${level.toUpperCase()}] [${this.service}] ${message}`, meta);
+    }
+    this.shipper.push(entry);
+  }
+
+  debug(message, meta) { this.log('debug', message, meta); }
+  info(message, meta) { this.log('info', message, meta); }
+  warn(message, meta) { this.log('warn', message, meta); }
+  error(message, meta) { this.log('error', message, meta); }
+
+  errorWithStack(message, error, meta = {}) {
+    this.error(message, { ...meta, error: serializeBrowserError(error) });
+  }
+
+  child(context) {
+    return new BrowserLogger({
+      service: this.service,
+      parent: this,
+      context: { ...this.context, ...context },
+      sessionId: this.sessionId,
+      console: this.console,
+      shipper: this.shipper,
+      window: this.window,
+      captureErrors: false
+    });
+  }
+
+  timer(label) {
+    const start = now();
+    return () => {
+      const duration = round(now() - start);
+      this.log('debug', `Timer ${label}`, { duration });
+      return duration;
+    };
+  }
+
+  performance(operation, fn) {
+    const timer = this.timer(operation);
+    try {
+      const result = fn();
+      if (result && typeof result.then === 'function') {
+        return result.then(res => {
+          timer();
+          return res;
+        }, error => {
+          timer();
+          throw error;
+        });
+      }
+      timer();
+      return result;
+    } catch (error) {
+      timer();
+      throw error;
+    }
+  }
+
+  flush() {
+    return this.shipper.flush();
+  }
+
+  // window 'error' and 'unhandledrejection' (listeners, so an existing window.onerror keeps working),
+  // plus a beacon flush when the page is hidden or unloaded
+  captureErrors() {
+    const target = this.window;
+    const on = (type, handler) => {
+      target.addEventListener(type, handler);
+      this.cleanup.push(() => target.removeEventListener(type, handler));
+    };
+
+    on('error', (event) => {
+      this.error('Uncaught error', {
+        error: event.error ? serializeBrowserError(event.error) : { name: 'Error', message: event.message },
+        source: { file: event.filename, line: event.lineno, column: event.colno }
+      });
+    });
+    on('unhandledrejection', (event) => {
+      this.error('Unhandled promise rejection', { error: serializeBrowserError(event.reason) });
+    });
+    on('pagehide', () => this.shipper.flush({ beacon: true }));
+
+    const document = target.document;
+    if (document && typeof document.addEventListener === 'function') {
+      const onHidden = () => {
+        if (document.visibilityState === 'hidden') {
+          this.shipper.flush({ beacon: true });
+        }
+      };
+      document.addEventListener('visibilitychange', onHidden);
+      this.cleanup.push(() => document.removeEventListener('visibilitychange', onHidden));
+    }
+    return this;
+  }
+
+  close() {
+    this.cleanup.forEach(remove => remove());
+    this.cleanup = [];
+    return this.flush();
+  }
+}
+
+export const createBrowserLogger = (options) => new BrowserLogger(options);
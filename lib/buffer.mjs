@@ -0,0 +1,145 @@
+// Batches formatted lines per transport and writes them on a size or interval threshold.
+// Every live buffer, and every sampler with summaries still pending, is flushed when the
+// process exits, is signalled or crashes.
+
+const activeBuffers = new Set();
+const pendingSamplers = new Set();
+let exitHooksInstalled = false;
+
+const flushAll = () => {
+  // Summaries first, so the ones going into a buffer are written with it
+  for (const flushable of [...pendingSamplers, ...activeBuffers]) {
+    try {
+      flushable.flush();
+    } catch {
+      // Never let logging break shutdown
+    }
+  }
+};
+
+// Flush, then let the signal do what it would have done without us
+const onSignal = (signal) => {
+  flushAll();
+  if (process.listenerCount(signal) === 1) {
+    process.removeListener(signal, signalHandlers[signal]);
+    process.kill(process.pid, signal);
+  }
+};
+
+const signalHandlers = {
+  SIGINT: () => onSignal('SIGINT'),
+  SIGTERM: () => onSignal('SIGTERM')
+};
+
+const installExitHooks = () => {
+  if (exitHooksInstalled) {
+    return;
+  }
+  exitHooksInstalled = true;
+
+  process.on('beforeExit', flushAll);
+  process.on('exit', flushAll);
+  process.on('uncaughtExceptionMonitor', flushAll);
+  for (const [signal, handler] of Object.entries(signalHandlers)) {
+    process.on(signal, handler);
+  }
+};
+
+// Samplers register while they hold a dedupe or rate limit summary
+export const flushOnExit = (sampler) => {
+  pendingSamplers.add(sampler);
+  installExitHooks();
+};
+
+export const cancelFlushOnExit = (sampler) => {
+  pendingSamplers.delete(sampler);
+};
+
+export class LogBuffer {
+  constructor(options = {}) {
+    this.size = options.size || 100;
+    this.interval = options.interval || 1000;
+    // Past `size` the flush is deferred; only a producer that never yields hits this cap
+    this.maxSize = Math.max(options.maxSize || this.size * 10, this.size);
+    this.records = [];
+    this.timer = null;
+    this.pending = null;
+
+    activeBuffers.add(this);
+    if (options.exitHooks !== false) {
+      installExitHooks();
+    }
+  }
+
+  push(transport, line, entry) {
+    this.records.push({ transport, line, entry });
+
+    if (this.records.length >= this.maxSize) {
+      this.flush();
+    } else if (this.records.length >= this.size) {
+      // Written after the current call returns rather than inside the log call
+      if (!this.pending) {
+        this.pending = setImmediate(() => this.flush());
+        this.pending.unref();
+      }
+    } else if (!this.timer) {
+      this.timer = setTimeout(() => this.flush(), this.interval);
+      if (typeof this.timer.unref === 'function') {
+        this.timer.unref();
+      }
+    }
+  }
+
+  // Write everything buffered so far, one batch per transport
+  flush() {
+    if (this.timer) {
+      clearTimeout(this.timer);
+      this.timer = null;
+    }
+    if (this.pending) {
+      clearImmediate(this.pending);
+      this.pending = null;
+    }
+    if (this.records.length === 0) {
+      return 0;
+    }
+
+    const records = this.records;
+    this.records = [];
+
+    const batches = new Map();
+    for (const { transport, line, entry } of records) {
+      if (!batches.has(transport)) {
+        batches.set(transport, { lines: [], entries: [] });
+      }
+      const batch = batches.get(transport);
+      batch.lines.push(line);
+      batch.entries.push(entry);
+    }
+
+    for (const [transport, { lines, entries }] of batches) {
+      if (typeof transport.writeBatch === 'function') {
+        transport.writeBatch(lines, entries);
+      } else {
+        lines.forEach((line, i) => transport.write(line, entries[i]));
+      }
+    }
+
+    return records.length;
+  }
+
+  close() {
+    this.flush();
+    activeBuffers.delete(this);
+  }
+}
+
+export const createLogBuffer = (options) => {
+  if (!options) {
+    return null;
+  }
+  if (options instanceof LogBuffer) {
+    return options;
+  }
+  return new LogBuffer(options === true ? {} : options);
+};
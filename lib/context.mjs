@@ -0,0 +1,31 @@
+import { AsyncLocalStorage } from 'node:async_hooks';
+
+// Request-scoped context that follows the async call tree
+export const contextStorage = new AsyncLocalStorage();
+
+export const getContext = () => contextStorage.getStore() || null;
+
+export const getRequestId = () => getContext()?.requestId;
+
+// Run fn with context merged over the current one (nested scopes inherit)
+export const runWithContext = (context, fn) =>
+  contextStorage.run({ ...getContext(), ...context }, fn);
+
+// Add fields to the active context, visible to everything later in the same scope
+export const setContext = (values) => {
+  const store = getContext();
+  if (!store) {
+    return false;
+  }
+  Object.assign(store, values);
+  return true;
+};
+
+// Bind fn to the current context so callbacks run later keep it
+export const bindContext = (fn) => {
+  const store = getContext();
+  if (!store) {
+    return fn;
+  }
+  return (...args) => contextStorage.run(store, () => fn(...args));
+};
@@ -0,0 +1,778 @@
+import net from 'node:net';
+import tls from 'node:tls';
+import dns from 'node:dns';
+import crypto from 'node:crypto';
+import { performance } from 'node:perf_hooks';
+import { redactConnectionString } from './redaction.mjs';
+
+// Dependency-free connectivity probes: each one speaks just enough of the wire
+// protocol to authenticate (where the server requires it), ping and read the
+// server version.
+
+const SCHEMES = {
+  'postgres:': 'postgres',
+  'postgresql:': 'postgres',
+  'mysql:': 'mysql',
+  'mariadb:': 'mysql',
+  'redis:': 'redis',
+  'rediss:': 'redis',
+  'mongodb:': 'mongodb',
+  'mongodb+srv:': 'mongodb'
+};
+
+const DEFAULT_PORTS = { postgres: 5432, mysql: 3306, redis: 6379, mongodb: 27017 };
+
+export const DATABASE_NAMES = { postgres: 'PostgreSQL', mysql: 'MySQL', redis: 'Redis', mongodb: 'MongoDB' };
+
+const elapsed = (start) => Math.round((performance.now() - start) * 100) / 100;
+
+const decode = (value) => (value ? decodeURIComponent(value) : null);
+
+const parseHost = (value, defaultPort) => {
+  const match = /^\[([^\]]+)\](?::(\d+))?$/.exec(value) || /^([^:]*)(?::(\d+))?$/.exec(value);
+  if (!match) {
+    throw new Error(`Invalid host "${value}"`);
+  }
+  return { host: match[1] || 'localhost', port: match[2] ? Number(match[2]) : defaultPort };
+};
+
+// WHATWG URL can't parse the comma separated host lists Postgres and MongoDB allow
+export const parseConnectionString = (connectionString) => {
+  const match = /^([a-z][a-z0-9+.-]*:)\/\/(?:([^:@/]*)(?::([^@/]*))?@)?([^/?#]*)(?:\/([^?#]*))?(?:\?([^#]*))?/i.exec(connectionString);
+  if (!match) {
+    throw new Error('Invalid connection string');
+  }
+  const [, scheme, user, password, hosts, database, query] = match;
+  const type = SCHEMES[scheme.toLowerCase()];
+  if (!type) {
+    throw new Error(`Unsupported database scheme "${scheme}"`);
+  }
+
+  return {
+    scheme: scheme.toLowerCase(),
+    type,
+    user: decode(user),
+    password: decode(password),
+    hosts: (hosts || 'localhost').split(',').map(host => parseHost(host, DEFAULT_PORTS[type])),
+    database: decode(database),
+    params: new URLSearchParams(query || '')
+  };
+};
+
+// Buffers incoming bytes so the protocol code can await whole messages.
+// parse(buffer) returns [message, bytesUsed], or null until enough has arrived.
+class WireConnection {
+  constructor(socket) {
+    this.buffer = Buffer.alloc(0);
+    this.pending = null;
+    this.error = null;
+    this.listeners = {
+      data: (chunk) => {
+        this.buffer = this.buffer.length > 0 ? Buffer.concat([this.buffer, chunk]) : chunk;
+        this.check();
+      },
+      error: (error) => this.fail(error),
+      close: () => this.fail(new Error('Connection closed by server'))
+    };
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.socket = socket;
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      socket.on(event, listener);
+    }
+  }
+
+  detach() {
+    for (const [event, listener] of Object.entries(this.listeners)) {
+      this.socket.off(event, listener);
+    }
+  }
+
+  // Upgrade the open socket (Postgres SSLRequest)
+  async startTls(options) {
+    this.detach();
+    const socket = await new Promise((resolve, reject) => {
+      const secure = tls.connect({ ...options, socket: this.socket }, () => {
+        secure.off('error', reject);
+        resolve(secure);
+      });
+      secure.once('error', reject);
+    });
+    this.attach(socket);
+  }
+
+  read(parse) {
+    return new Promise((resolve, reject) => {
+      this.pending = { parse, resolve, reject };
+      this.check();
+    });
+  }
+
+  check() {
+    if (!this.pending) {
+      return;
+    }
+    const { parse, resolve, reject } = this.pending;
+    let parsed;
+    try {
+      parsed = parse(this.buffer);
+    } catch (error) {
+      this.pending = null;
+      reject(error);
+      return;
+    }
+    if (parsed) {
+      this.pending = null;
+      this.buffer = this.buffer.subarray(parsed[1]);
+      resolve(parsed[0]);
+    } else if (this.error) {
+      this.pending = null;
+      reject(this.error);
+    }
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    this.check();
+  }
+
+  write(data) {
+    this.socket.write(data);
+  }
+
+  destroy(error) {
+    if (error) {
+      this.fail(error);
+    }
+    this.socket.destroy();
+  }
+}
+
+const openSocket = ({ host, port, secure, signal }) => new Promise((resolve, reject) => {
+  const socket = secure
+    ? tls.connect({ host, port, servername: net.isIP(host) ? undefined : host, ...secure })
+    : net.connect({ host, port });
+  const onAbort = () => socket.destroy(signal.reason);
+  const cleanup = () => {
+    signal?.removeEventListener('abort', onAbort);
+    socket.off('error', onError);
+  };
+  const onError = (error) => {
+    cleanup();
+    reject(error);
+  };
+  socket.once(secure ? 'secureConnect' : 'connect', () => {
+    cleanup();
+    resolve(socket);
+  });
+  socket.once('error', onError);
+  signal?.addEventListener('abort', onAbort, { once: true });
+});
+
+const cstring = (value) => Buffer.from(`${value}\0`);
+
+const readCString = (buffer, offset) => {
+  const end = buffer.indexOf(0, offset);
+  return [buffer.toString('utf8', offset, end === -1 ? buffer.length : end), end === -1 ? buffer.length : end + 1];
+};
+
+const xor = (a, b) => Buffer.from(a.map((byte, i) => byte ^ b[i % b.length]));
+
+const hash = (algorithm, ...parts) => {
+  const digest = crypto.createHash(algorithm);
+  parts.forEach(part => digest.update(part));
+  return digest.digest();
+};
+
+const hmac = (key, data) => crypto.createHmac('sha256', key).update(data).digest();
+
+// Postgres - https://www.postgresql.org/docs/current/protocol-flow.html
+
+const int32 = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32BE(value);
+  return buffer;
+};
+
+const pgMessage = (type, body = Buffer.alloc(0)) => Buffer.concat([Buffer.from(type), int32(body.length + 4), body]);
+
+const parsePgMessage = (buffer) => {
+  if (buffer.length < 5 || buffer.length < 1 + buffer.readInt32BE(1)) {
+    return null;
+  }
+  const length = 1 + buffer.readInt32BE(1);
+  return [{ type: String.fromCharCode(buffer[0]), body: buffer.subarray(5, length) }, length];
+};
+
+const pgError = (body) => {
+  const fields = {};
+  let offset = 0;
+  while (offset < body.length && body[offset] !== 0) {
+    const field = String.fromCharCode(body[offset]);
+    const [value, next] = readCString(body, offset + 1);
+    fields[field] = value;
+    offset = next;
+  }
+  return Object.assign(new Error(fields.M || 'Unknown server error'), { code: fields.C });
+};
+
+const scramSha256 = (password) => {
+  const nonce = crypto.randomBytes(18).toString('base64');
+  const clientFirstBare = `n=*,r=${nonce}`;
+  let serverSignature;
+
+  return {
+    first: () => {
+      const message = Buffer.from(`n,,${clientFirstBare}`);
+      return Buffer.concat([cstring('SCRAM-SHA-256'), int32(message.length), message]);
+    },
+    final: (serverFirst) => {
+      const attributes = Object.fromEntries(serverFirst.split(',').map(part => [part[0], part.slice(2)]));
+      if (!attributes.r?.startsWith(nonce)) {
+        throw new Error('SCRAM server nonce mismatch');
+      }
+      const salted = crypto.pbkdf2Sync(password, Buffer.from(attributes.s, 'base64'), Number(attributes.i), 32, 'sha256');
+      const clientKey = hmac(salted, 'Client Key');
+      const clientFinal = `c=biws,r=${attributes.r}`;
+      const authMessage = `${clientFirstBare},${serverFirst},${clientFinal}`;
+      const proof = xor(clientKey, hmac(hash('sha256', clientKey), authMessage));
+      serverSignature = hmac(hmac(salted, 'Server Key'), authMessage).toString('base64');
+      return Buffer.from(`${clientFinal},p=${proof.toString('base64')}`);
+    },
+    verify: (serverFinal) => {
+      if (serverFinal !== `v=${serverSignature}`) {
+        throw new Error('SCRAM server signature mismatch');
+      }
+    }
+  };
+};
+
+async function probePostgres(conn, config, { host }) {
+  const sslmode = config.params.get('sslmode') || (config.params.get('ssl') === 'true' ? 'require' : 'prefer');
+  if (sslmode !== 'disable' && sslmode !== 'allow') {
+    conn.write(Buffer.concat([int32(8), int32(80877103)]));
+    const answer = await conn.read(buffer => (buffer.length > 0 ? [String.fromCharCode(buffer[0]), 1] : null));
+    if (answer === 'S') {
+      await conn.startTls({
+        rejectUnauthorized: sslmode.startsWith('verify'),
+        servername: net.isIP(host) ? undefined : host,
+        checkServerIdentity: sslmode === 'verify-full' ? tls.checkServerIdentity : () => undefined
+      });
+    } else if (sslmode !== 'prefer') {
+      throw new Error('Server does not support SSL');
+    }
+  }
+
+  const user = config.user || 'postgres';
+  const password = config.password || '';
+  const parameters = { user, database: config.database || user, application_name: 'dr-cursored' };
+  const startup = Buffer.concat([
+    int32(196608),
+    ...Object.entries(parameters).flatMap(([name, value]) => [cstring(name), cstring(value)]),
+    Buffer.from([0])
+  ]);
+  conn.write(Buffer.concat([int32(startup.length + 4), startup]));
+
+  let version = null;
+  let scram = null;
+  for (;;) {
+    const { type, body } = await conn.read(parsePgMessage);
+    if (type === 'E') {
+      throw pgError(body);
+    }
+    if (type === 'S') {
+      const [name, next] = readCString(body, 0);
+      if (name === 'server_version') {
+        version = readCString(body, next)[0];
+      }
+    } else if (type === 'R') {
+      const code = body.readInt32BE(0);
+      if (code === 3) {
+        conn.write(pgMessage('p', cstring(password)));
+      } else if (code === 5) {
+        const inner = hash('md5', password, user).toString('hex');
+        conn.write(pgMessage('p', cstring(`md5${hash('md5', inner, body.subarray(4, 8)).toString('hex')}`)));
+      } else if (code === 10) {
+        const mechanisms = body.toString('utf8', 4).split('\0');
+        if (!mechanisms.includes('SCRAM-SHA-256')) {
+          throw new Error(`Unsupported SASL mechanisms: ${mechanisms.filter(Boolean).join(', ')}`);
+        }
+        scram = scramSha256(password);
+        conn.write(pgMessage('p', scram.first()));
+      } else if (code === 11) {
+        conn.write(pgMessage('p', scram.final(body.toString('utf8', 4))));
+      } else if (code === 12) {
+        scram.verify(body.toString('utf8', 4));
+      } else if (code !== 0) {
+        throw new Error(`Unsupported authentication method (${code})`);
+      }
+    } else if (type === 'Z') {
+      break;
+    }
+  }
+
+  const start = performance.now();
+  conn.write(pgMessage('Q', cstring('SELECT 1')));
+  for (;;) {
+    const { type, body } = await conn.read(parsePgMessage);
+    if (type === 'E') {
+      throw pgError(body);
+    }
+    if (type === 'Z') {
+      break;
+    }
+  }
+  const latency = elapsed(start);
+  conn.write(pgMessage('X'));
+  return { version, latency };
+}
+
+// MySQL / MariaDB - https://dev.mysql.com/doc/dev/mysql-server/latest/page_protocol_connection_phase.html
+
+const MYSQL = {
+  CLIENT_LONG_PASSWORD: 0x1,
+  CLIENT_CONNECT_WITH_DB: 0x8,
+  CLIENT_PROTOCOL_41: 0x200,
+  CLIENT_TRANSACTIONS: 0x2000,
+  CLIENT_SECURE_CONNECTION: 0x8000,
+  CLIENT_PLUGIN_AUTH: 0x80000,
+  COM_QUIT: 0x01,
+  COM_PING: 0x0e
+};
+
+const mysqlPacket = (sequence, payload) => {
+  const header = Buffer.alloc(4);
+  header.writeUIntLE(payload.length, 0, 3);
+  header[3] = sequence;
+  return Buffer.concat([header, payload]);
+};
+
+const parseMysqlPacket = (buffer) => {
+  if (buffer.length < 4 || buffer.length < 4 + buffer.readUIntLE(0, 3)) {
+    return null;
+  }
+  const length = 4 + buffer.readUIntLE(0, 3);
+  return [{ sequence: buffer[3], payload: buffer.subarray(4, length) }, length];
+};
+
+const mysqlError = (payload) => {
+  const code = payload.readUInt16LE(1);
+  const message = payload[3] === 0x23 ? payload.toString('utf8', 9) : payload.toString('utf8', 3);
+  return Object.assign(new Error(message), { code });
+};
+
+const mysqlAuth = (plugin, password, scramble) => {
+  if (!password) {
+    return Buffer.alloc(0);
+  }
+  if (plugin === 'mysql_native_password') {
+    const stage1 = hash('sha1', password);
+    return xor(stage1, hash('sha1', scramble, hash('sha1', stage1)));
+  }
+  if (plugin === 'caching_sha2_password') {
+    const stage1 = hash('sha256', password);
+    return xor(stage1, hash('sha256', hash('sha256', stage1), scramble));
+  }
+  throw new Error(`Unsupported authentication plugin "${plugin}"`);
+};
+
+const parseMysqlHandshake = (payload) => {
+  if (payload[0] === 0xff) {
+    throw mysqlError(payload);
+  }
+  const [version, end] = readCString(payload, 1);
+  let offset = end + 4;
+  const part1 = payload.subarray(offset, offset + 8);
+  offset += 9;
+  let capabilities = payload.readUInt16LE(offset);
+  offset += 2;
+  let part2 = Buffer.alloc(0);
+  let plugin = 'mysql_native_password';
+  if (offset < payload.length) {
+    capabilities += payload.readUInt16LE(offset + 3) * 0x10000;
+    const authLength = payload[offset + 5];
+    offset += 16;
+    if (capabilities & MYSQL.CLIENT_SECURE_CONNECTION) {
+      const length = Math.max(13, authLength - 8);
+      part2 = payload.subarray(offset, offset + length - 1);
+      offset += length;
+    }
+    if (capabilities & MYSQL.CLIENT_PLUGIN_AUTH) {
+      plugin = readCString(payload, offset)[0] || plugin;
+    }
+  }
+  // MariaDB prefixes its version for old clients: 5.5.5-10.11.6-MariaDB
+  return { version: version.replace(/^5\.5\.5-/, ''), capabilities, scramble: Buffer.concat([part1, part2]), plugin };
+};
+
+async function probeMysql(conn, config) {
+  const { payload, sequence } = await conn.read(parseMysqlPacket);
+  const handshake = parseMysqlHandshake(payload);
+  const password = config.password || '';
+  let plugin = handshake.plugin;
+  let scramble = handshake.scramble;
+
+  let flags = MYSQL.CLIENT_LONG_PASSWORD | MYSQL.CLIENT_PROTOCOL_41 | MYSQL.CLIENT_TRANSACTIONS |
+    MYSQL.CLIENT_SECURE_CONNECTION | MYSQL.CLIENT_PLUGIN_AUTH;
+  if (config.database) {
+    flags |= MYSQL.CLIENT_CONNECT_WITH_DB;
+  }
+  const header = Buffer.alloc(32);
+  header.writeUInt32LE(flags >>> 0, 0);
+  header.writeUInt32LE(0x1000000, 4);
+  header[8] = 45; // utf8mb4_general_ci
+  const auth = mysqlAuth(plugin, password, scramble);
+  let next = sequence + 1;
+  conn.write(mysqlPacket(next, Buffer.concat([
+    header,
+    cstring(config.user || 'root'),
+    Buffer.from([auth.length]),
+    auth,
+    config.database ? cstring(config.database) : Buffer.alloc(0),
+    cstring(plugin)
+  ])));
+
+  for (;;) {
+    const packet = await conn.read(parseMysqlPacket);
+    next = packet.sequence + 1;
+    const status = packet.payload[0];
+    if (status === 0x00) {
+      break;
+    }
+    if (status === 0xff) {
+      throw mysqlError(packet.payload);
+    }
+    if (status === 0xfe) {
+      // Auth switch request: answer the new plugin's challenge
+      const [name, offset] = readCString(packet.payload, 1);
+      plugin = name;
+      scramble = packet.payload.subarray(offset, packet.payload[packet.payload.length - 1] === 0 ? -1 : undefined);
+      conn.write(mysqlPacket(next, mysqlAuth(plugin, password, scramble)));
+    } else if (status === 0x01 && packet.payload[1] === 0x04) {
+      // caching_sha2_password cache miss: send the password RSA-encrypted with the server's key
+      conn.write(mysqlPacket(next, Buffer.from([0x02])));
+      const key = await conn.read(parseMysqlPacket);
+      const encrypted = crypto.publicEncrypt({
+        key: key.payload.subarray(1).toString(),
+        padding: crypto.constants.RSA_PKCS1_OAEP_PADDING
+      }, xor(Buffer.from(`${password}\0`), scramble));
+      conn.write(mysqlPacket(key.sequence + 1, encrypted));
+    } else if (status !== 0x01) {
+      throw new Error(`Unexpected authentication packet (0x${status.toString(16)})`);
+    }
+  }
+
+  const start = performance.now();
+  conn.write(mysqlPacket(0, Buffer.from([MYSQL.COM_PING])));
+  const pong = await conn.read(parseMysqlPacket);
+  if (pong.payload[0] === 0xff) {
+    throw mysqlError(pong.payload);
+  }
+  const latency = elapsed(start);
+  conn.write(mysqlPacket(0, Buffer.from([MYSQL.COM_QUIT])));
+  return { version: handshake.version, latency };
+}
+
+// Redis - RESP2
+
+const respCommand = (...args) => Buffer.from(
+  `*${args.length}\r\n${args.map(arg => `$${Buffer.byteLength(String(arg))}\r\n${arg}\r\n`).join('')}`
+);
+
+const parseResp = (buffer) => {
+  const end = buffer.indexOf('\r\n');
+  if (end === -1) {
+    return null;
+  }
+  const type = String.fromCharCode(buffer[0]);
+  const line = buffer.toString('utf8', 1, end);
+  if (type === '+' || type === ':') {
+    return [line, end + 2];
+  }
+  if (type === '-') {
+    return [Object.assign(new Error(line), { code: line.split(' ')[0] }), end + 2];
+  }
+  if (type === '$') {
+    const length = Number(line);
+    if (length < 0) {
+      return [null, end + 2];
+    }
+    if (buffer.length < end + 4 + length) {
+      return null;
+    }
+    return [buffer.toString('utf8', end + 2, end + 2 + length), end + 4 + length];
+  }
+  throw new Error(`Unexpected Redis reply "${type}"`);
+};
+
+const redisCommand = async (conn, ...args) => {
+  conn.write(respCommand(...args));
+  const reply = await conn.read(parseResp);
+  if (reply instanceof Error) {
+    throw reply;
+  }
+  return reply;
+};
+
+async function probeRedis(conn, config) {
+  if (config.password) {
+    await redisCommand(conn, 'AUTH', ...(config.user ? [config.user] : []), config.password);
+  }
+  const start = performance.now();
+  const pong = await redisCommand(conn, 'PING');
+  const latency = elapsed(start);
+  if (pong !== 'PONG') {
+    throw new Error(`Unexpected PING reply "${pong}"`);
+  }
+  const info = await redisCommand(conn, 'INFO', 'server');
+  const version = /^(?:redis|valkey)_version:(\S+)/m.exec(info || '')?.[1] || null;
+  conn.write(respCommand('QUIT'));
+  return { version, latency };
+}
+
+// MongoDB - OP_MSG with just enough BSON for hello/ping/buildInfo
+
+const int32LE = (value) => {
+  const buffer = Buffer.alloc(4);
+  buffer.writeInt32LE(value);
+  return buffer;
+};
+
+const encodeBson = (doc) => {
+  const parts = [];
+  for (const [key, value] of Object.entries(doc)) {
+    const name = cstring(key);
+    if (typeof value === 'string') {
+      const string = cstring(value);
+      parts.push(Buffer.from([0x02]), name, int32LE(string.length), string);
+    } else if (typeof value === 'boolean') {
+      parts.push(Buffer.from([0x08]), name, Buffer.from([value ? 1 : 0]));
+    } else if (Number.isInteger(value) && Math.abs(value) < 2 ** 31) {
+      parts.push(Buffer.from([0x10]), name, int32LE(value));
+    } else if (typeof value === 'number') {
+      const double = Buffer.alloc(8);
+      double.writeDoubleLE(value);
+      parts.push(Buffer.from([0x01]), name, double);
+    } else if (value === null) {
+      parts.push(Buffer.from([0x0a]), name);
+    } else {
+      parts.push(Buffer.from([0x03]), name, encodeBson(value));
+    }
+  }
+  const body = Buffer.concat(parts);
+  return Buffer.concat([int32LE(body.length + 5), body, Buffer.from([0])]);
+};
+
+const decodeBson = (buffer, offset = 0, asArray = false) => {
+  const end = offset + buffer.readInt32LE(offset);
+  const doc = asArray ? [] : {};
+  let position = offset + 4;
+  while (position < end - 1) {
+    const type = buffer[position];
+    const [key, next] = readCString(buffer, position + 1);
+    position = next;
+    let value;
+    switch (type) {
+    case 0x01:
+      value = buffer.readDoubleLE(position);
+      position += 8;
+      break;
+    case 0x02:
+    case 0x0d:
+    case 0x0e: {
+      const length = buffer.readInt32LE(position);
+      value = buffer.toString('utf8', position + 4, position + 4 + length - 1);
+      position += 4 + length;
+      break;
+    }
+    case 0x03:
+    case 0x04:
+      value = decodeBson(buffer, position, type === 0x04);
+      position += buffer.readInt32LE(position);
+      break;
+    case 0x05: {
+      const length = buffer.readInt32LE(position);
+      value = buffer.subarray(position + 5, position + 5 + length);
+      position += 5 + length;
+      break;
+    }
+    case 0x07:
+      value = buffer.toString('hex', position, position + 12);
+      position += 12;
+      break;
+    case 0x08:
+      value = buffer[position] === 1;
+      position += 1;
+      break;
+    case 0x09:
+      value = new Date(Number(buffer.readBigInt64LE(position)));
+      position += 8;
+      break;
+    case 0x0a:
+    case 0x06:
+    case 0x7f:
+    case 0xff:
+      value = null;
+      break;
+    case 0x10:
+      value = buffer.readInt32LE(position);
+      position += 4;
+      break;
+    case 0x11:
+    case 0x12:
+      value = Number(buffer.readBigInt64LE(position));
+      position += 8;
+      break;
+    case 0x13:
+      value = buffer.subarray(position, position + 16);
+      position += 16;
+      break;
+    default:
+      throw new Error(`Unsupported BSON type 0x${type.toString(16)}`);
+    }
+    if (asArray) {
+      doc.push(value);
+    } else {
+      doc[key] = value;
+    }
+  }
+  return doc;
+};
+
+const OP_MSG = 2013;
+
+const parseOpMsg = (buffer) => {
+  if (buffer.length < 4 || buffer.length < buffer.readInt32LE(0)) {
+    return null;
+  }
+  const length = buffer.readInt32LE(0);
+  if (buffer.readInt32LE(12) !== OP_MSG || buffer[20] !== 0) {
+    throw new Error('Unexpected MongoDB reply');
+  }
+  return [decodeBson(buffer, 21), length];
+};
+
+async function mongoCommand(conn, command) {
+  conn.requestId = (conn.requestId || 0) + 1;
+  const body = Buffer.concat([int32LE(0), Buffer.from([0]), encodeBson({ ...command, $db: 'admin' })]);
+  const header = Buffer.alloc(16);
+  header.writeInt32LE(16 + body.length, 0);
+  header.writeInt32LE(conn.requestId, 4);
+  header.writeInt32LE(OP_MSG, 12);
+  conn.write(Buffer.concat([header, body]));
+  const reply = await conn.read(parseOpMsg);
+  if (reply.ok !== 1) {
+    throw Object.assign(new Error(reply.errmsg || 'Command failed'), { code: reply.codeName || reply.code });
+  }
+  return reply;
+}
+
+// hello, ping and buildInfo are allowed before authentication, so credentials are not sent
+async function probeMongo(conn) {
+  const hello = await mongoCommand(conn, { hello: 1, client: { application: { name: 'dr-cursored' } } });
+  const start = performance.now();
+  await mongoCommand(conn, { ping: 1 });
+  const latency = elapsed(start);
+  const { version } = await mongoCommand(conn, { buildInfo: 1 });
+  return { version, latency, primary: hello.isWritablePrimary ?? hello.ismaster ?? null, setName: hello.setName || null };
+}
+
+const PROBES = { postgres: probePostgres, mysql: probeMysql, redis: probeRedis, mongodb: probeMongo };
+
+const enabled = (params, ...names) => names.some(name => params.get(name) === 'true');
+
+// TLS from the first byte (Postgres negotiates it in-band instead)
+const tlsOptions = (config) => {
+  const insecure = enabled(config.params, 'tlsInsecure', 'tlsAllowInvalidCertificates');
+  if (config.scheme === 'rediss:') {
+    return { rejectUnauthorized: !insecure };
+  }
+  if (config.type === 'mongodb') {
+    // mongodb+srv:// defaults to TLS
+    const explicit = config.params.get('tls') ?? config.params.get('ssl');
+    const on = explicit ? explicit === 'true' : config.scheme === 'mongodb+srv:';
+    return on ? { rejectUnauthorized: !insecure } : null;
+  }
+  return null;
+};
+
+const resolveHosts = async (config) => {
+  if (config.scheme !== 'mongodb+srv:') {
+    return config.hosts;
+  }
+  const records = await dns.promises.resolveSrv(`_mongodb._tcp.${config.hosts[0].host}`);
+  return records
+    .sort((a, b) => a.priority - b.priority || b.weight - a.weight)
+    .map(record => ({ host: record.name, port: record.port }));
+};
+
+// Connect, authenticate and ping the first reachable host of a connection string.
+// Resolves { type, host, port, database, version, latency, connectTime } or throws.
+export async function probeDatabase(connectionString, options = {}) {
+  const config = parseConnectionString(connectionString);
+  const signal = options.signal || AbortSignal.timeout(options.timeout || 5000);
+  const hosts = await resolveHosts(config);
+  const secure = tlsOptions(config);
+
+  let lastError;
+  for (const { host, port } of hosts) {
+    const start = performance.now();
+    let conn;
+    const onAbort = () => conn?.destroy(signal.reason);
+    try {
+      signal.throwIfAborted();
+      conn = new WireConnection(await openSocket({ host, port, secure, signal }));
+      signal.addEventListener('abort', onAbort, { once: true });
+      const result = await PROBES[config.type](conn, config, { host, port });
+      return {
+        type: config.type,
+        host,
+        port,
+        database: config.database || null,
+        ...result,
+        connectTime: elapsed(start)
+      };
+    } catch (error) {
+      lastError = Object.assign(error, { host, port });
+      if (signal.aborted) {
+        break;
+      }
+    } finally {
+      signal.removeEventListener('abort', onAbort);
+      // Let the goodbye message (Terminate, COM_QUIT, QUIT) flush before closing
+      conn?.socket.destroySoon();
+    }
+  }
+  throw lastError;
+}
+
+// Health check result for a connection string
+export async function checkDatabaseConnection(connectionString, options = {}) {
+  const redacted = redactConnectionString(connectionString);
+  let type = null;
+  try {
+    type = parseConnectionString(connectionString).type;
+    const result = await probeDatabase(connectionString, options);
+    const name = DATABASE_NAMES[type];
+    return {
+      status: 'healthy',
+      data: { ...result, connectionString: redacted },
+      message: `${name}${result.version ? ` ${result.version}` : ''} responding in ${result.latency}ms`
+    };
+  } catch (error) {
+    return {
+      status: 'error',
+      data: {
+        type,
+        host: error.host,
+        port: error.port,
+        connectionString: redacted,
+        error: error.message,
+        code: error.code
+      },
+      message: `${type ? DATABASE_NAMES[type] : 'Database'} check failed: ${error.message}`
+    };
+  }
+}
@@ -0,0 +1,343 @@
+import http from 'node:http';
+import https from 'node:https';
+import { performance } from 'node:perf_hooks';
+import { isDeepStrictEqual } from 'node:util';
+
+// Bodies beyond this are drained but not kept
+const MAX_BODY_SIZE = 1024 * 1024;
+
+// Longer diffs only keep this many unchanged lines around each change
+const DIFF_FULL_LINES = 20;
+const DIFF_CONTEXT = 3;
+
+// The LCS table needs changed-expected x changed-actual cells; beyond this the
+// changed region is shown as a head/tail excerpt of each side instead
+const DIFF_MAX_CELLS = 250000;
+const DIFF_EXCERPT_LINES = 10;
+
+const isObject = (value) => value !== null && typeof value === 'object';
+
+const hasHeader = (headers, name) => Object.keys(headers).some(key => key.toLowerCase() === name);
+
+// Sends the request and always consumes the response so the socket is released
+export const requestEndpoint = (url, options = {}) => new Promise((resolve, reject) => {
+  const { method = 'GET', signal, timeout = 5000, maxBodySize = MAX_BODY_SIZE } = options;
+  const urlObj = new URL(url);
+  const client = urlObj.protocol === 'https:' ? https : http;
+  const headers = { ...options.headers };
+
+  let payload = options.body;
+  if (payload !== undefined && typeof payload !== 'string' && !Buffer.isBuffer(payload)) {
+    payload = JSON.stringify(payload);
+    if (!hasHeader(headers, 'content-type')) {
+      headers['content-type'] = 'application/json';
+    }
+  }
+
+  const startTime = performance.now();
+  const req = client.request(urlObj, { method, headers, timeout, signal }, (res) => {
+    const chunks = [];
+    let size = 0;
+    res.on('data', (chunk) => {
+      if (size < maxBodySize) {
+        chunks.push(chunk.subarray(0, maxBodySize - size));
+      }
+      size += chunk.length;
+    });
+    res.on('end', () => {
+      resolve({
+        url,
+        method,
+        statusCode: res.statusCode,
+        headers: res.headers,
+        body: Buffer.concat(chunks).toString('utf8'),
+        size,
+        truncated: size > maxBodySize,
+        responseTime: Math.round(performance.now() - startTime)
+      });
+    });
+    res.on('error', reject);
+  });
+
+  req.on('timeout', () => {
+    req.destroy(Object.assign(new Error('timeout'), { code: 'ETIMEDOUT' }));
+  });
+  req.on('error', reject);
+  req.end(payload);
+});
+
+// 'status', '$.data.items[0].id', 'checks.database.status'
+export const getJsonPath = (value, jsonPath) => {
+  const keys = String(jsonPath).replace(/^\$\.?/, '').match(/[^.[\]]+/g) || [];
+  let current = value;
+  for (const key of keys) {
+    if (!isObject(current) || !(key in current)) {
+      return { found: false };
+    }
+    current = current[key];
+  }
+  return { found: true, value: current };
+};
+
+// Substrings of strings, members of arrays and (recursively) subsets of objects
+export const containsValue = (actual, expected) => {
+  if (typeof actual === 'string') {
+    return typeof expected === 'string' && actual.includes(expected);
+  }
+  if (Array.isArray(actual)) {
+    return actual.some(item => isDeepStrictEqual(item, expected) || (isObject(expected) && containsValue(item, expected)));
+  }
+  if (isObject(actual) && isObject(expected) && !Array.isArray(expected)) {
+    return Object.entries(expected).every(([key, value]) =>
+      key in actual && (isDeepStrictEqual(actual[key], value) || containsValue(actual[key], value)));
+  }
+  return isDeepStrictEqual(actual, expected);
+};
+
+// RegExp, '/pattern/flags' or a bare pattern (from .dr-cursored.json)
+const toRegExp = (value) => {
+  if (value instanceof RegExp) {
+    return value;
+  }
+  const match = /^\/(.*)\/([a-z]*)$/s.exec(value);
+  return match ? new RegExp(match[1], match[2]) : new RegExp(value);
+};
+
+const stringify = (value) => (value === undefined ? 'undefined' : JSON.stringify(value, null, 2));
+
+// First and last lines of a changed region that is too large to diff
+const excerpt = (type, lines) => {
+  if (lines.length <= DIFF_EXCERPT_LINES * 2) {
+    return lines.map(text => ({ type, text }));
+  }
+  return [
+    ...lines.slice(0, DIFF_EXCERPT_LINES).map(text => ({ type, text })),
+    { type, text: `... ${lines.length - DIFF_EXCERPT_LINES * 2} more lines` },
+    ...lines.slice(-DIFF_EXCERPT_LINES).map(text => ({ type, text }))
+  ];
+};
+
+// Longest common subsequence walk: unchanged, removed and added lines in order
+const lcsDiff = (a, b) => {
+  // Table filled from the end
+  const lcs = Array.from({ length: a.length + 1 }, () => new Array(b.length + 1).fill(0));
+  for (let i = a.length - 1; i >= 0; i--) {
+    for (let j = b.length - 1; j >= 0; j--) {
+      lcs[i][j] = a[i] === b[j] ? lcs[i + 1][j + 1] + 1 : Math.max(lcs[i + 1][j], lcs[i][j + 1]);
+    }
+  }
+
+  const lines = [];
+  let i = 0;
+  let j = 0;
+  while (i < a.length || j < b.length) {
+    if (i < a.length && j < b.length && a[i] === b[j]) {
+      lines.push({ type: ' ', text: a[i++] });
+      j++;
+    } else if (i < a.length && (j === b.length || lcs[i + 1][j] >= lcs[i][j + 1])) {
+      lines.push({ type: '-', text: a[i++] });
+    } else {
+      lines.push({ type: '+', text: b[j++] });
+    }
+  }
+  return lines;
+};
+
+// Line diff of two values as pretty JSON: '- expected', '+ actual'
+export const diffValues = (expected, actual) => {
+  const a = stringify(expected).split('\n');
+  const b = stringify(actual).split('\n');
+
+  // Only the region between the common first and last lines needs the table
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    start++;
+  }
+  let end = 0;
+  while (end < a.length - start && end < b.length - start && a[a.length - 1 - end] === b[b.length - 1 - end]) {
+    end++;
+  }
+  const removed = a.slice(start, a.length - end);
+  const added = b.slice(start, b.length - end);
+
+  const lines = [
+    ...a.slice(0, start).map(text => ({ type: ' ', text })),
+    ...((removed.length + 1) * (added.length + 1) > DIFF_MAX_CELLS
+      ? [...excerpt('-', removed), ...excerpt('+', added)]
+      : lcsDiff(removed, added)),
+    ...a.slice(a.length - end).map(text => ({ type: ' ', text }))
+  ];
+  if (lines.length <= DIFF_FULL_LINES) {
+    return lines.map(line => `${line.type} ${line.text}`).join('\n');
+  }
+
+  // Lines within DIFF_CONTEXT of a change, found in two linear passes
+  const distance = new Array(lines.length).fill(Infinity);
+  let last = -Infinity;
+  lines.forEach((line, index) => {
+    last = line.type === ' ' ? last : index;
+    distance[index] = index - last;
+  });
+  last = Infinity;
+  for (let index = lines.length - 1; index >= 0; index--) {
+    last = lines[index].type === ' ' ? last : index;
+    distance[index] = Math.min(distance[index], last - index);
+  }
+
+  const output = [];
+  lines.forEach((line, index) => {
+    if (distance[index] <= DIFF_CONTEXT) {
+      output.push(`${line.type} ${line.text}`);
+    } else if (output[output.length - 1] !== '  ...') {
+      output.push('  ...');
+    }
+  });
+  return output.join('\n');
+};
+
+const describeValue = (value) => {
+  const text = value === undefined ? 'undefined' : JSON.stringify(value);
+  return text.length > 80 ? `${text.slice(0, 77)}...` : text;
+};
+
+// Scalars read fine in the message; objects and arrays also get a line diff
+const structuralDiff = (expected, actual) =>
+  (isObject(expected) || isObject(actual) ? { diff: diffValues(expected, actual) } : {});
+
+const parseJson = (response) => {
+  if (!('json' in response)) {
+    try {
+      response.json = JSON.parse(response.body);
+    } catch (error) {
+      response.json = undefined;
+      response.jsonError = error.message;
+    }
+  }
+  return response;
+};
+
+const assertJson = (response, assertion) => {
+  const { path: jsonPath = '$' } = assertion;
+  if (parseJson(response).jsonError) {
+    return { assertion: 'json', path: jsonPath, status: 'error', message: `Response body is not valid JSON: ${response.jsonError}` };
+  }
+
+  const { found, value } = getJsonPath(response.json, jsonPath);
+  if (!found) {
+    return 'exists' in assertion && !assertion.exists
+      ? null
+      : { assertion: 'json', path: jsonPath, status: 'error', message: `JSON path ${jsonPath} not found` };
+  }
+  if ('exists' in assertion && !assertion.exists) {
+    return { assertion: 'json', path: jsonPath, status: 'error', message: `JSON path ${jsonPath} should not exist, got ${describeValue(value)}` };
+  }
+
+  if ('equals' in assertion && !isDeepStrictEqual(value, assertion.equals)) {
+    return {
+      assertion: 'json',
+      path: jsonPath,
+      status: 'error',
+      message: `JSON path ${jsonPath}: expected ${describeValue(assertion.equals)}, got ${describeValue(value)}`,
+      ...structuralDiff(assertion.equals, value)
+    };
+  }
+  if ('contains' in assertion && !containsValue(value, assertion.contains)) {
+    return {
+      assertion: 'json',
+      path: jsonPath,
+      status: 'error',
+      message: `JSON path ${jsonPath}: expected to contain ${describeValue(assertion.contains)}, got ${describeValue(value)}`,
+      ...structuralDiff(assertion.contains, value)
+    };
+  }
+  if ('matches' in assertion) {
+    let regex;
+    try {
+      regex = toRegExp(assertion.matches);
+    } catch (error) {
+      return { assertion: 'json', path: jsonPath, status: 'error', message: `JSON path ${jsonPath}: ${error.message}` };
+    }
+    if (!regex.test(String(value))) {
+      return {
+        assertion: 'json',
+        path: jsonPath,
+        status: 'error',
+        message: `JSON path ${jsonPath}: ${describeValue(value)} does not match ${regex}`
+      };
+    }
+  }
+  return null;
+};
+
+// headers: ['x-request-id'] or { 'content-type': 'json', etag: true, 'cache-control': /no-store/ }
+const assertHeaders = (response, expected) => {
+  const entries = Array.isArray(expected) ? expected.map(name => [name, true]) : Object.entries(expected);
+  return entries.map(([name, rule]) => {
+    const value = response.headers[name.toLowerCase()];
+    if (value === undefined) {
+      return rule === false ? null : { assertion: 'header', header: name, status: 'error', message: `Missing header ${name}` };
+    }
+    if (rule === false) {
+      return { assertion: 'header', header: name, status: 'error', message: `Unexpected header ${name}: ${value}` };
+    }
+    const actual = Array.isArray(value) ? value.join(', ') : String(value);
+    if (rule instanceof RegExp && !rule.test(actual)) {
+      return { assertion: 'header', header: name, status: 'error', message: `Header ${name}: "${actual}" does not match ${rule}` };
+    }
+    if (typeof rule === 'string' && !actual.toLowerCase().includes(rule.toLowerCase())) {
+      return { assertion: 'header', header: name, status: 'error', message: `Header ${name}: expected to contain "${rule}", got "${actual}"` };
+    }
+    return null;
+  }).filter(Boolean);
+};
+
+// Every failed expectation: wrong status and slow responses degrade, content mismatches fail
+export const assertResponse = (response, expectations = {}) => {
+  const failures = [];
+  const { status = 200, maxResponseTime, headers, body, json } = expectations;
+
+  const statuses = [].concat(status);
+  if (!statuses.includes(response.statusCode)) {
+    failures.push({
+      assertion: 'status',
+      status: 'warning',
+      message: `Expected status ${statuses.join(' or ')}, got ${response.statusCode}`
+    });
+  }
+
+  if (maxResponseTime !== undefined && response.responseTime > maxResponseTime) {
+    failures.push({
+      assertion: 'responseTime',
+      status: 'warning',
+      message: `Response took ${response.responseTime}ms, expected at most ${maxResponseTime}ms`
+    });
+  }
+
+  if (headers) {
+    failures.push(...assertHeaders(response, headers));
+  }
+
+  for (const pattern of [].concat(body ?? [])) {
+    let regex;
+    try {
+      regex = toRegExp(pattern);
+    } catch (error) {
+      // A typo in .dr-cursored.json fails the check instead of the whole run
+      failures.push({ assertion: 'body', status: 'error', message: `Invalid body pattern: ${error.message}` });
+      continue;
+    }
+    if (!regex.test(response.body)) {
+      const bodyExcerpt = response.body.length > 200 ? `${response.body.slice(0, 200)}...` : response.body;
+      failures.push({ assertion: 'body', status: 'error', message: `Body does not match ${regex}`, excerpt: bodyExcerpt });
+    }
+  }
+
+  for (const assertion of [].concat(json ?? [])) {
+    const failure = assertJson(response, assertion);
+    if (failure) {
+      failures.push(failure);
+    }
+  }
+
+  return failures;
+};
@@ -0,0 +1,119 @@
+// Fields Node puts on system errors (ENOENT, ECONNREFUSED, ...)
+const SYSTEM_FIELDS = ['code', 'errno', 'syscall', 'path', 'dest', 'address', 'port', 'hostname', 'info'];
+
+// Handled explicitly below, never copied as custom properties
+const SKIPPED_FIELDS = new Set(['name', 'message', 'stack', 'cause', 'errors', ...SYSTEM_FIELDS]);
+
+export const isError = (value) =>
+  value instanceof Error || Object.prototype.toString.call(value) === '[object Error]';
+
+const DEFAULTS = {
+  maxDepth: 10,
+  stackFrames: 20
+};
+
+const truncateStack = (stack, frames) => {
+  if (typeof stack !== 'string') {
+    return undefined;
+  }
+  const lines = stack.split('\n');
+  const firstFrame = lines.findIndex(line => /^\s+at /.test(line));
+  if (firstFrame === -1 || lines.length - firstFrame <= frames) {
+    return stack;
+  }
+  const kept = lines.slice(0, firstFrame + frames);
+  kept.push(`    ... ${lines.length - firstFrame - frames} more frames`);
+  return kept.join('\n');
+};
+
+// JSON-safe copy of arbitrary property values
+const toSerializable = (value, options, seen, depth) => {
+  if (isError(value)) {
+    return serialize(value, options, seen, depth + 1);
+  }
+  if (typeof value === 'bigint') {
+    return value.toString();
+  }
+  if (typeof value === 'function' || typeof value === 'symbol') {
+    return undefined;
+  }
+  if (value === null || typeof value !== 'object' || value instanceof Date) {
+    return value;
+  }
+  if (seen.has(value)) {
+    return '[Circular]';
+  }
+  if (depth >= options.maxDepth) {
+    return '[Max depth]';
+  }
+
+  seen.add(value);
+  let result;
+  if (Array.isArray(value)) {
+    result = value.map(item => toSerializable(item, options, seen, depth + 1));
+  } else {
+    result = {};
+    for (const [key, item] of Object.entries(value)) {
+      const copy = toSerializable(item, options, seen, depth + 1);
+      if (copy !== undefined) {
+        result[key] = copy;
+      }
+    }
+  }
+  seen.delete(value);
+  return result;
+};
+
+const serialize = (error, options, seen, depth) => {
+  if (!isError(error)) {
+    if (error !== null && typeof error === 'object') {
+      return toSerializable(error, options, seen, depth);
+    }
+    return { name: 'NonError', message: String(error) };
+  }
+  if (seen.has(error)) {
+    return '[Circular]';
+  }
+  if (depth >= options.maxDepth) {
+    return { name: error.name, message: error.message, truncated: true };
+  }
+
+  seen.add(error);
+
+  const result = {
+    name: error.name,
+    message: error.message,
+    stack: truncateStack(error.stack, options.stackFrames)
+  };
+
+  for (const field of SYSTEM_FIELDS) {
+    if (error[field] !== undefined) {
+      result[field] = toSerializable(error[field], options, seen, depth);
+    }
+  }
+
+  for (const [key, value] of Object.entries(error)) {
+    if (SKIPPED_FIELDS.has(key)) {
+      continue;
+    }
+    const copy = toSerializable(value, options, seen, depth);
+    if (copy !== undefined) {
+      result[key] = copy;
+    }
+  }
+
+  if (error.cause !== undefined) {
+    result.cause = serialize(error.cause, options, seen, depth + 1);
+  }
+
+  if (Array.isArray(error.errors)) {
+    result.errors = error.errors.map(inner => serialize(inner, options, seen, depth + 1));
+  }
+
+  seen.delete(error);
+  return result;
+};
+
+// Plain-object copy of an error, its cause chain and AggregateError members
+export const serializeError = (error, options = {}) =>
+  serialize(error, { ...DEFAULTS, ...options }, new WeakSet(), 0);
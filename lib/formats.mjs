@@ -0,0 +1,249 @@
+import { inspect } from 'node:util';
+import chalk from 'chalk';
+
+// Fields every entry carries - everything else is metadata
+export const ENTRY_FIELDS = ['timestamp', 'level', 'service', 'message', 'requestId'];
+
+export const levelColors = {
+  debug: chalk.cyan,
+  info: chalk.green,
+  warn: chalk.yellow,
+  error: chalk.red,
+  reset: chalk.reset
+};
+
+const ECS_VERSION = '8.11.0';
+
+const paint = (colors, fn, text) => colors ? fn(text) : text;
+
+const metaOf = (entry) => Object.fromEntries(
+  Object.entries(entry).filter(([key]) => !ENTRY_FIELDS.includes(key))
+);
+
+const header = (entry, colors) => {
+  const prefix = paint(colors, levelColors[entry.level] || (x => x), `[${entry.level.toUpperCase()}]`);
+  const timestamp = paint(colors, chalk.gray, entry.timestamp);
+  const service = paint(colors, chalk.blue, `[${entry.service}]`);
+  const requestId = paint(colors, chalk.magenta, `[${entry.requestId}]`);
+  return `${prefix} ${timestamp} ${service} ${requestId} ${entry.message}`;
+};
+
+// logfmt helpers
+const flatten = (value, prefix = '', out = {}, seen = new WeakSet()) => {
+  if (value !== null && typeof value === 'object' && !Array.isArray(value) && !(value instanceof Date)) {
+    if (seen.has(value)) {
+      out[prefix] = '[Circular]';
+      return out;
+    }
+    const entries = Object.entries(value);
+    if (entries.length === 0 && prefix) {
+      out[prefix] = '{}';
+    }
+    seen.add(value);
+    for (const [key, item] of entries) {
+      flatten(item, prefix ? `${prefix}.${key}` : key, out, seen);
+    }
+    seen.delete(value);
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+};
+
+// Arrays are written as JSON; references back to an enclosing value become '[Circular]'
+const circularReplacer = () => {
+  const ancestors = [];
+  return function (key, value) {
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    while (ancestors.length > 0 && ancestors[ancestors.length - 1] !== this) {
+      ancestors.pop();
+    }
+    if (ancestors.includes(value)) {
+      return '[Circular]';
+    }
+    ancestors.push(value);
+    return value;
+  };
+};
+
+const logfmtValue = (value) => {
+  if (value === undefined) {
+    return null;
+  }
+  let text;
+  if (value === null) {
+    text = 'null';
+  } else if (value instanceof Date) {
+    text = value.toISOString();
+  } else if (Array.isArray(value)) {
+    text = JSON.stringify(value, circularReplacer());
+  } else {
+    text = String(value);
+  }
+  if (text === '' || /[\s="\\]/.test(text) || [...text].some(char => char.charCodeAt(0) < 32)) {
+    return JSON.stringify(text);
+  }
+  return text;
+};
+
+const logfmtKey = (key) => key.replace(/[\s="]/g, '_');
+
+// ECS helpers
+const setPath = (target, path, value) => {
+  const keys = path.split('.');
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    if (node[key] === null || typeof node[key] !== 'object') {
+      node[key] = {};
+    }
+    node = node[key];
+  }
+  node[keys[keys.length - 1]] = value;
+};
+
+const ECS_FIELDS = {
+  requestId: 'http.request.id',
+  traceId: 'trace.id',
+  spanId: 'span.id',
+  // ECS has no parent span field
+  parentSpanId: 'labels.parent_span_id',
+  method: 'http.request.method',
+  url: 'url.original',
+  status: 'http.response.status_code',
+  statusCode: 'http.response.status_code',
+  userAgent: 'user_agent.original',
+  ip: 'client.ip'
+};
+
+// pretty helpers
+// 'key: value', or just 'key:' when the value continues on the next lines
+const prettyField = (key, value, colors, indent, seen) => {
+  const label = `${'  '.repeat(indent)}${paint(colors, chalk.gray, key + ':')}`;
+  const text = prettyValue(value, colors, indent, seen);
+  return text.startsWith('\n') ? label + text : `${label} ${text}`;
+};
+
+const prettyValue = (value, colors, indent, seen = new WeakSet()) => {
+  const pad = '  '.repeat(indent);
+  if (typeof value === 'string' && value.includes('\n')) {
+    return '\n' + value.split('\n').map(line => (line ? `${pad}  ${line}` : '')).join('\n');
+  }
+  if (value !== null && typeof value === 'object' && !(value instanceof Date)) {
+    if (seen.has(value)) {
+      return '[Circular]';
+    }
+    const entries = Object.entries(value);
+    if (entries.length === 0) {
+      return Array.isArray(value) ? '[]' : '{}';
+    }
+    seen.add(value);
+    const lines = entries.map(([key, item]) => prettyField(key, item, colors, indent + 1, seen));
+    seen.delete(value);
+    return '\n' + lines.join('\n');
+  }
+  return inspect(value, { colors });
+};
+
+// Built-in formatters: (entry, { colors }) => string
+const formatters = new Map(Object.entries({
+  json: (entry) => JSON.stringify(entry),
+
+  text: (entry, { colors }) => {
+    const meta = metaOf(entry);
+    const line = header(entry, colors);
+    return Object.keys(meta).length > 0 ?
+      `${line} ${inspect(meta, { colors, breakLength: Infinity })}` : line;
+  },
+
+  logfmt: (entry) => {
+    const { timestamp, level, service, message, ...rest } = entry;
+    const fields = { time: timestamp, level, service, msg: message, ...flatten(rest) };
+    return Object.entries(fields)
+      .map(([key, value]) => [logfmtKey(key), logfmtValue(value)])
+      .filter(([, value]) => value !== null)
+      .map(([key, value]) => `${key}=${value}`)
+      .join(' ');
+  },
+
+  ecs: (entry) => {
+    const { timestamp, level, service, message, duration, error, ...rest } = entry;
+    const doc = {
+      '@timestamp': timestamp,
+      'log.level': level,
+      message,
+      ecs: { version: ECS_VERSION },
+      service: { name: service }
+    };
+
+    if (typeof duration === 'number') {
+      // ECS durations are nanoseconds, Logger durations are milliseconds
+      setPath(doc, 'event.duration', Math.round(duration * 1e6));
+    }
+    if (error && typeof error === 'object') {
+      setPath(doc, 'error.type', error.name);
+      setPath(doc, 'error.message', error.message);
+      if (error.stack) {
+        setPath(doc, 'error.stack_trace', error.stack);
+      }
+      if (error.code) {
+        setPath(doc, 'error.code', String(error.code));
+      }
+    } else if (error !== undefined) {
+      setPath(doc, 'error.message', String(error));
+    }
+
+    for (const [key, value] of Object.entries(rest)) {
+      if (value === undefined) {
+        continue;
+      }
+      if (key === 'source') {
+        // `source` is ECS's network source, caller locations go under log.origin (ECS has no column)
+        if (value && typeof value === 'object') {
+          setPath(doc, 'log.origin.file.name', value.file);
+          setPath(doc, 'log.origin.file.line', value.line);
+          if (value.function) {
+            setPath(doc, 'log.origin.function', value.function);
+          }
+        } else {
+          setPath(doc, 'labels.source', String(value));
+        }
+      } else if (ECS_FIELDS[key]) {
+        setPath(doc, ECS_FIELDS[key], value);
+      } else {
+        doc[key] = value;
+      }
+    }
+
+    return JSON.stringify(doc);
+  },
+
+  pretty: (entry, { colors }) => {
+    const meta = metaOf(entry);
+    const lines = [header(entry, colors)];
+    for (const [key, value] of Object.entries(meta)) {
+      lines.push(prettyField(key, value, colors, 1));
+    }
+    return lines.join('\n');
+  }
+}));
+
+export const registerFormat = (name, formatter) => {
+  if (typeof formatter !== 'function') {
+    throw new Error(`Formatter for "${name}" must be a function`);
+  }
+  formatters.set(name, formatter);
+};
+
+export const hasFormat = (name) => formatters.has(name);
+
+export const getFormatter = (name) => {
+  const formatter = formatters.get(name);
+  if (!formatter) {
+    throw new Error(`Unknown log format: ${name}. Available: ${listFormats().join(', ')}`);
+  }
+  return formatter;
+};
+
+export const listFormats = () => Array.from(formatters.keys());
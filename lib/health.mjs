@@ -1,39 +1,295 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import http from 'node:http';
-import https from 'node:https';
-import { spawnSync } from 'node:child_process';
+import { execFile } from 'node:child_process';
 import os from 'node:os';
+import { performance } from 'node:perf_hooks';
+import { setTimeout as sleep } from 'node:timers/promises';
 import { logger } from './logger.mjs';
+import { redactConnectionString } from './redaction.mjs';
+import { checkDatabaseConnection } from './database.mjs';
+import { checkCertificate, TLS_THRESHOLDS } from './tls.mjs';
+import { requestEndpoint, assertResponse } from './endpoint.mjs';
+import { checkTcpConnection, checkUdpService, checkDnsResolution } from './network.mjs';
+import { HealthHistory } from './history.mjs';
+
+// Percentages of used space/inodes at which checkDiskSpace reports warning/critical
+const DISK_THRESHOLDS = {
+  warning: 90,
+  critical: 95,
+  inodeWarning: 90,
+  inodeCritical: 95
+};
+
+const STATUS_SEVERITY = { healthy: 0, warning: 1, critical: 2, error: 2 };
+
+const worstStatus = (statuses) => statuses.reduce(
+  (worst, status) => ((STATUS_SEVERITY[status] || 0) > (STATUS_SEVERITY[worst] || 0) ? status : worst),
+  'healthy'
+);
+
+const formatBytes = (bytes) => {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${value.toFixed(unit === 0 ? 0 : 1)} ${units[unit]}`;
+};
+
+// Retry delays double after every attempt, up to this cap
+const MAX_RETRY_DELAY = 5000;
+
+// Checks that ignore the signal still stop being awaited once it aborts
+const raceSignal = (promise, signal) => new Promise((resolve, reject) => {
+  const onAbort = () => reject(signal.reason);
+  if (signal.aborted) {
+    onAbort();
+    return;
+  }
+  signal.addEventListener('abort', onAbort, { once: true });
+  Promise.resolve(promise).then(resolve, reject).finally(() => signal.removeEventListener('abort', onAbort));
+});
+
+const mapConcurrent = async (items, limit, fn) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await fn(items[index], index);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, worker));
+  return results;
+};
+
+const setPath = (target, keys, value) => {
+  let node = target;
+  for (const key of keys.slice(0, -1)) {
+    node = node[key] = node[key] || {};
+  }
+  node[keys[keys.length - 1]] = value;
+};
+
+const isFailure = (status) => status === 'error' || status === 'critical';
+
+// Registered checks may return a full result, a boolean or nothing (healthy unless they throw)
+const normalizeResult = (value) => {
+  if (value === undefined || value === null || value === true) {
+    return { status: 'healthy' };
+  }
+  if (value === false) {
+    return { status: 'error', message: 'Check failed' };
+  }
+  if (typeof value === 'object' && value.status) {
+    return value;
+  }
+  return { status: 'healthy', data: value };
+};
+
+const parseTags = (url = '') => {
+  const { searchParams } = new URL(url, 'http://localhost');
+  return [...searchParams.getAll('tag'), ...searchParams.getAll('tags')]
+    .flatMap(value => value.split(','))
+    .map(tag => tag.trim())
+    .filter(Boolean);
+};
+
+// Works with raw http.ServerResponse as well as Express (res.status().json())
+// and Fastify (reply.code().send())
+const sendJson = (res, statusCode, data) => {
+  if (typeof res.status === 'function' && typeof res.json === 'function') {
+    res.status(statusCode).json(data);
+  } else if (typeof res.code === 'function' && typeof res.send === 'function') {
+    res.code(statusCode).send(data);
+  } else {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' });
+    res.end(JSON.stringify(data));
+  }
+};
+
+const PROBES = ['liveness', 'readiness', 'startup'];
+
+// Checked by includeDatabase when no `databases` are given
+export const DATABASE_ENV_VARS = ['DATABASE_URL', 'REDIS_URL', 'MONGODB_URI', 'MONGO_URL'];
+
+// npm's default cache location, unless overridden through config/env
+export const getNpmCacheDir = () => {
+  if (process.env.npm_config_cache) {
+    return process.env.npm_config_cache;
+  }
+  if (process.platform === 'win32' && process.env.LOCALAPPDATA) {
+    return path.join(process.env.LOCALAPPDATA, 'npm-cache');
+  }
+  return path.join(os.homedir(), '.npm');
+};
 
 export class HealthChecker {
   constructor(options = {}) {
     this.timeout = options.timeout || 5000;
-    this.retries = options.retries || 3;
+    // Failed checks ('error' status, exception or timeout) are retried this many times
+    this.retries = options.retries || 0;
+    this.retryDelay = options.retryDelay ?? 200;
+    this.concurrency = options.concurrency || 8;
     this.logger = options.logger || logger;
+    this.disk = { ...DISK_THRESHOLDS, ...options.disk };
+    // warningDays, criticalDays, allowUntrusted, ca
+    this.tls = { ...TLS_THRESHOLDS, ...options.tls };
+    this.registry = new Map();
+    // true, { dir, retentionDays, flapWindow, flapThreshold } or a HealthHistory:
+    // every runHealthCheck report is recorded for uptime and flapping trends
+    this.history = !options.history || options.history instanceof HealthHistory
+      ? options.history || null
+      : new HealthHistory(options.history === true ? {} : options.history);
   }
 
-  // System health checks
-  async checkSystemHealth() {
-    const checks = {
-      memory: this.checkMemory(),
-      disk: this.checkDiskSpace(),
-      cpu: this.checkCPU(),
-      uptime: this.checkUptime()
+  // Project-specific checks: fn(signal) returns a result ({ status, message, data }),
+  // a boolean or nothing, or throws. Checks with an `interval` run in the background
+  // and reports use their latest result.
+  register(name, fn, options = {}) {
+    if (typeof fn !== 'function') {
+      throw new TypeError(`Health check "${name}" must be a function`);
+    }
+    this.unregister(name);
+
+    const check = {
+      name,
+      fn,
+      critical: options.critical !== false,
+      timeout: options.timeout,
+      tags: [].concat(options.tags || []),
+      interval: options.interval || null,
+      last: null,
+      pending: null,
+      timer: null
     };
+    this.registry.set(name, check);
 
-    const results = {};
-    for (const [name, check] of Object.entries(checks)) {
+    if (check.interval) {
+      const refresh = () => {
+        this.runRegistered(check, { fresh: true }).catch(() => {});
+      };
+      check.timer = setInterval(refresh, check.interval);
+      check.timer.unref?.();
+      refresh();
+    }
+    return this;
+  }
+
+  unregister(name) {
+    const check = this.registry.get(name);
+    if (check?.timer) {
+      clearInterval(check.timer);
+    }
+    return this.registry.delete(name);
+  }
+
+  // Registered checks carrying at least one of `tags` (all of them without tags)
+  registeredChecks(tags = []) {
+    const wanted = [].concat(tags || []);
+    return [...this.registry.values()].filter(check =>
+      wanted.length === 0 || check.tags.some(tag => wanted.includes(tag))
+    );
+  }
+
+  async runRegistered(check, options = {}) {
+    if (check.interval && check.last && !options.fresh) {
+      return check.last;
+    }
+    // Never overlap two runs of the same check
+    if (!check.pending) {
+      check.pending = this.runCheck(async (signal) => normalizeResult(await check.fn(signal)), { timeout: check.timeout })
+        .then((result) => {
+          check.last = { ...result, critical: check.critical, tags: check.tags, checkedAt: new Date().toISOString() };
+          return check.last;
+        })
+        .finally(() => {
+          check.pending = null;
+        });
+    }
+    return check.pending;
+  }
+
+  registeredTasks(tags, prefix = []) {
+    return this.registeredChecks(tags).map(check => ({
+      path: [...prefix, check.name],
+      result: () => this.runRegistered(check)
+    }));
+  }
+
+  async runRegisteredChecks(options = {}) {
+    return this.runChecks(this.registeredTasks(options.tags), options);
+  }
+
+  // Runs one check with an AbortSignal timeout and retries, recording how long it took
+  async runCheck(check, options = {}) {
+    const timeout = options.timeout ?? this.timeout;
+    const retries = options.retries ?? this.retries;
+    const retryDelay = options.retryDelay ?? this.retryDelay;
+    const startTime = performance.now();
+
+    let result;
+    let attempts = 0;
+    do {
+      if (attempts > 0) {
+        await sleep(Math.min(retryDelay * 2 ** (attempts - 1), MAX_RETRY_DELAY));
+      }
+      attempts++;
+      const signal = AbortSignal.timeout(timeout);
       try {
-        results[name] = await check;
+        result = await raceSignal(check(signal), signal);
       } catch (error) {
-        results[name] = { status: 'error', error: error.message };
+        result = signal.aborted ? {
+          status: 'error',
+          error: 'timeout',
+          message: `Check timed out after ${timeout}ms`
+        } : {
+          status: 'error',
+          error: error.message,
+          message: `Check failed: ${error.message}`
+        };
       }
-    }
+    } while (result?.status === 'error' && attempts <= retries);
 
+    return {
+      ...result,
+      duration: Math.round((performance.now() - startTime) * 100) / 100,
+      attempts
+    };
+  }
+
+  // Runs [{ path, run, timeout, retries }] with at most `concurrency` in flight and
+  // nests each result under its path. `result` instead of `run` supplies a finished result.
+  async runChecks(checks, options = {}) {
+    const results = {};
+    const outcomes = await mapConcurrent(checks, options.concurrency ?? this.concurrency, (check) =>
+      (check.result ? check.result() : this.runCheck(check.run, {
+        timeout: check.timeout ?? options.timeout,
+        retries: check.retries ?? options.retries,
+        retryDelay: options.retryDelay
+      }))
+    );
+    checks.forEach((check, index) => setPath(results, check.path, outcomes[index]));
     return results;
   }
 
+  systemChecks(prefix = []) {
+    return [
+      { path: [...prefix, 'memory'], run: () => this.checkMemory() },
+      { path: [...prefix, 'disk'], run: () => this.checkDiskSpace() },
+      { path: [...prefix, 'cpu'], run: () => this.checkCPU() },
+      { path: [...prefix, 'uptime'], run: () => this.checkUptime() }
+    ];
+  }
+
+  // System health checks
+  async checkSystemHealth(options = {}) {
+    return this.runChecks(this.systemChecks(), options);
+  }
+
   checkMemory() {
     const used = process.memoryUsage();
     const total = os.totalmem();
@@ -64,22 +320,91 @@ export class HealthChecker {
     };
   }
 
-  checkDiskSpace() {
-    try {
-      const stats = fs.statSync(process.cwd());
-      // This is a simplified check - in production you'd want to use a proper disk space library
-      return {
-        status: 'healthy',
-        data: { path: process.cwd() },
-        message: 'Disk space check passed'
-      };
-    } catch (error) {
+  // Free space and inodes for the project volume, the temp dir and the npm cache.
+  // Locations on the same device are only stat'ed once.
+  async checkDiskSpace(options = {}) {
+    // fs.statfs only exists from Node.js 18.15
+    if (typeof fs.promises.statfs !== 'function') {
       return {
-        status: 'error',
-        error: error.message,
-        message: 'Disk space check failed'
+        status: 'warning',
+        data: { supported: false },
+        message: `Disk space check unsupported: requires Node.js 18.15 or later (running ${process.version})`
       };
     }
+
+    const thresholds = { ...this.disk, ...options };
+    const locations = options.paths || thresholds.paths || {
+      project: process.cwd(),
+      tmp: os.tmpdir(),
+      npmCache: getNpmCacheDir()
+    };
+
+    const volumes = new Map();
+    const data = {};
+
+    for (const [name, location] of Object.entries(locations)) {
+      try {
+        const { dev } = await fs.promises.stat(location);
+        if (!volumes.has(dev)) {
+          volumes.set(dev, this.readVolume(await fs.promises.statfs(location), thresholds));
+        }
+        data[name] = { path: location, device: dev, ...volumes.get(dev) };
+      } catch (error) {
+        // The npm cache only exists once something has been installed
+        if (error.code === 'ENOENT' && !options.paths && name === 'npmCache') {
+          continue;
+        }
+        data[name] = { path: location, status: 'error', error: error.message };
+      }
+    }
+
+    const entries = Object.entries(data);
+    if (entries.length === 0) {
+      return { status: 'error', data, message: 'Disk space check failed: no locations to check' };
+    }
+
+    // Report the location in the worst state, then the fullest one
+    const fullness = (volume) => Math.max(volume.usagePercent || 0, volume.inodes?.usagePercent || 0);
+    const [name, worst] = entries.reduce((a, b) => {
+      const severity = STATUS_SEVERITY[b[1].status] - STATUS_SEVERITY[a[1].status];
+      return severity > 0 || (severity === 0 && fullness(b[1]) > fullness(a[1])) ? b : a;
+    });
+
+    let message;
+    if (worst.error) {
+      message = `Disk space check failed for ${name} (${worst.path}): ${worst.error}`;
+    } else if ((worst.inodes?.usagePercent || 0) > worst.usagePercent) {
+      message = `Inode usage: ${worst.inodes.usagePercent}% on ${name} (${worst.inodes.free} free)`;
+    } else {
+      message = `Disk usage: ${worst.usagePercent}% on ${name} (${formatBytes(worst.available)} free)`;
+    }
+
+    return { status: worst.status, data, message };
+  }
+
+  readVolume(stats, thresholds) {
+    const total = stats.blocks * stats.bsize;
+    const free = stats.bfree * stats.bsize;
+    // Blocks reserved for root are free but not available to us
+    const available = stats.bavail * stats.bsize;
+    const used = total - free;
+    const usagePercent = used + available > 0 ? Math.round((used / (used + available)) * 100) : 0;
+
+    const volume = { total, free, available, used, usagePercent, inodes: null };
+    const statuses = [
+      usagePercent >= thresholds.critical ? 'critical' : usagePercent >= thresholds.warning ? 'warning' : 'healthy'
+    ];
+
+    // Some filesystems (btrfs, many network mounts) allocate inodes dynamically and report 0
+    if (stats.files > 0) {
+      const inodesUsed = stats.files - stats.ffree;
+      const inodePercent = Math.round((inodesUsed / stats.files) * 100);
+      volume.inodes = { total: stats.files, free: stats.ffree, used: inodesUsed, usagePercent: inodePercent };
+      statuses.push(inodePercent >= thresholds.inodeCritical ? 'critical' : inodePercent >= thresholds.inodeWarning ? 'warning' : 'healthy');
+    }
+
+    volume.status = worstStatus(statuses);
+    return volume;
   }
 
   checkCPU() {
@@ -112,54 +437,51 @@ export class HealthChecker {
   }
 
   // Network health checks
-  async checkEndpoint(url, expectedStatus = 200) {
-    return new Promise((resolve) => {
-      try {
-        const urlObj = new URL(url);
-        const client = urlObj.protocol === 'https:' ? https : http;
-        
-        const req = client.get(url, { timeout: this.timeout }, (res) => {
-          const success = res.statusCode === expectedStatus;
-          resolve({
-            status: success ? 'healthy' : 'warning',
-            data: {
-              url,
-              statusCode: res.statusCode,
-              responseTime: Date.now() - startTime,
-              headers: res.headers
-            },
-            message: success ? 
-              `Endpoint responding: ${url} (${res.statusCode})` :
-              `Endpoint returned ${res.statusCode}: ${url}`
-          });
-        });
-        
-        const startTime = Date.now();
-        
-        req.on('error', (e) => {
-          resolve({
-            status: 'error',
-            data: { url, error: e.message },
-            message: `Endpoint failed: ${url} - ${e.message}`
-          });
-        });
-        
-        req.on('timeout', () => {
-          req.destroy();
-          resolve({
-            status: 'error',
-            data: { url, error: 'timeout' },
-            message: `Endpoint timeout: ${url}`
-          });
-        });
-      } catch (error) {
-        resolve({
-          status: 'error',
-          data: { url, error: error.message },
-          message: `Invalid URL: ${url}`
-        });
+  // `endpoint` is a URL or { url, method, headers, body, timeout, expect: { status, json, body, headers, maxResponseTime } }
+  async checkEndpoint(endpoint, expectedStatus = 200, options = {}) {
+    const { url, expect: expectations = {}, ...request } = typeof endpoint === 'string'
+      ? { url: endpoint, ...options }
+      : { ...endpoint, ...options };
+
+    let response;
+    try {
+      response = await requestEndpoint(url, { timeout: this.timeout, ...request });
+    } catch (error) {
+      if (error.code === 'ERR_INVALID_URL') {
+        return { status: 'error', data: { url, error: error.message }, message: `Invalid URL: ${url}` };
       }
-    });
+      if (error.code === 'ETIMEDOUT') {
+        return { status: 'error', data: { url, error: 'timeout' }, message: `Endpoint timeout: ${url}` };
+      }
+      return { status: 'error', data: { url, error: error.message }, message: `Endpoint failed: ${url} - ${error.message}` };
+    }
+
+    const failures = assertResponse(response, { status: expectedStatus, ...expectations });
+    const data = {
+      url,
+      method: response.method,
+      statusCode: response.statusCode,
+      responseTime: response.responseTime,
+      headers: response.headers
+    };
+    if (failures.length === 0) {
+      return { status: 'healthy', data, message: `Endpoint responding: ${url} (${response.statusCode})` };
+    }
+
+    const [first] = failures;
+    const more = failures.length > 1 ? ` (+${failures.length - 1} more)` : '';
+    return {
+      status: worstStatus(failures.map(failure => failure.status)),
+      data: { ...data, failures },
+      message: first.assertion === 'status'
+        ? `Endpoint returned ${response.statusCode}: ${url}${more}`
+        : `Endpoint assertion failed: ${url} - ${first.message}${more}`
+    };
+  }
+
+  // Certificate subject, SANs, issuer chain, expiry, protocol and hostname match
+  async checkTLS(target, options = {}) {
+    return checkCertificate(target, { timeout: this.timeout, ...this.tls, ...options });
   }
 
   async checkPort(port) {
@@ -183,15 +505,28 @@ export class HealthChecker {
     });
   }
 
+  // Raw TCP connect, optionally writing `send` and matching the `banner` the server replies with
+  async checkTcp(target, options = {}) {
+    return checkTcpConnection(target, { timeout: this.timeout, ...options });
+  }
+
+  // One UDP datagram (`send`), optionally waiting for a reply matching `expect`
+  async checkUdp(target, options = {}) {
+    return checkUdpService(target, { timeout: this.timeout, ...options });
+  }
+
+  // Resolver timing plus `expect`ed records for `type` (A, AAAA, MX, TXT, SRV, ... or LOOKUP)
+  async checkDns(hostname, options = {}) {
+    return checkDnsResolution(hostname, { timeout: this.timeout, ...options });
+  }
+
   // Database health checks
-  async checkDatabase(connectionString) {
-    // This would be implemented based on your database type
-    // For now, return a placeholder
-    return {
-      status: 'healthy',
-      data: { connectionString: connectionString.replace(/\/\/.*@/, '//***:***@') },
-      message: 'Database connection check not implemented'
-    };
+  // Handshake + ping for postgres://, mysql://, redis(s):// and mongodb(+srv):// URLs
+  async checkDatabase(connectionString, options = {}) {
+    return checkDatabaseConnection(connectionString, {
+      signal: options.signal,
+      timeout: options.timeout || this.timeout
+    });
   }
 
   // File system health checks
@@ -259,39 +594,42 @@ export class HealthChecker {
   }
 
   // Git health checks
-  async checkGitStatus() {
+  async checkGitStatus(options = {}) {
+    let stdout;
     try {
-      const status = spawnSync('git', ['status', '--porcelain'], { 
-        stdio: 'pipe', 
-        encoding: 'utf8' 
-      });
-      
-      if (status.status !== 0) {
-        return {
-          status: 'warning',
-          message: 'Not a git repository'
-        };
-      }
-      
-      const changes = status.stdout.trim().split('\n').filter(Boolean);
-      
-      return {
-        status: changes.length === 0 ? 'healthy' : 'warning',
-        data: {
-          clean: changes.length === 0,
-          changes: changes.length,
-          files: changes
-        },
-        message: changes.length === 0 ? 
-          'Working directory clean' : 
-          `${changes.length} uncommitted changes`
-      };
+      ({ stdout } = await new Promise((resolve, reject) => {
+        execFile('git', ['status', '--porcelain'], { encoding: 'utf8', signal: options.signal }, (error, out, stderr) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve({ stdout: out, stderr });
+          }
+        });
+      }));
     } catch (error) {
+      if (error.name === 'AbortError') {
+        throw error;
+      }
+      // git exited non-zero or is not installed
       return {
-        status: 'error',
-        message: `Git check failed: ${error.message}`
+        status: 'warning',
+        message: 'Not a git repository'
       };
     }
+
+    const changes = stdout.trim().split('\n').filter(Boolean);
+
+    return {
+      status: changes.length === 0 ? 'healthy' : 'warning',
+      data: {
+        clean: changes.length === 0,
+        changes: changes.length,
+        files: changes
+      },
+      message: changes.length === 0 ? 
+        'Working directory clean' : 
+        `${changes.length} uncommitted changes`
+    };
   }
 
   // Comprehensive health check
@@ -303,84 +641,139 @@ export class HealthChecker {
       includeFileSystem = true,
       includeDependencies = true,
       includeGit = true,
+      includeCustom = true,
+      tags = [],
       endpoints = [],
       ports = [],
-      files = []
+      files = [],
+      databases = [],
+      tls = [],
+      tcp = [],
+      udp = [],
+      dns = []
     } = options;
 
+    const startTime = performance.now();
     const results = {
       timestamp: new Date().toISOString(),
       overall: 'healthy',
       checks: {}
     };
 
-    // System checks
+    const checks = [];
+
     if (includeSystem) {
-      results.checks.system = await this.checkSystemHealth();
+      checks.push(...this.systemChecks(['system']));
     }
 
-    // Dependencies check
     if (includeDependencies) {
-      results.checks.dependencies = await this.checkDependencies();
+      checks.push({ path: ['dependencies'], run: () => this.checkDependencies() });
     }
 
-    // Git check
     if (includeGit) {
-      results.checks.git = await this.checkGitStatus();
+      checks.push({ path: ['git'], run: (signal) => this.checkGitStatus({ signal }) });
     }
 
-    // File system checks
-    if (includeFileSystem && files.length > 0) {
-      results.checks.filesystem = await this.checkFileSystem(files);
+    if (includeFileSystem) {
+      for (const file of files) {
+        checks.push({ path: ['filesystem', file], run: async () => (await this.checkFileSystem([file]))[file] });
+      }
     }
 
-    // Network checks
     if (includeNetwork) {
-      results.checks.network = {};
-      
-      // Check endpoints
+      // URLs or { name, url, method, headers, body, expect }
       for (const endpoint of endpoints) {
-        const result = await this.checkEndpoint(endpoint);
-        results.checks.network[endpoint] = result;
+        const name = typeof endpoint === 'string' ? endpoint : endpoint.name || endpoint.url;
+        checks.push({ path: ['network', name], run: (signal) => this.checkEndpoint(endpoint, 200, { signal }) });
       }
-      
-      // Check ports
+
       for (const port of ports) {
-        const result = await this.checkPort(port);
-        results.checks.network[`port_${port}`] = result;
+        checks.push({ path: ['network', `port_${port}`], run: () => this.checkPort(port) });
+      }
+
+      // 'host:port' or { name, host, port, send, banner }
+      for (const target of tcp) {
+        const name = typeof target === 'string' ? target : target.name || `${target.host}:${target.port}`;
+        checks.push({ path: ['tcp', name], run: (signal) => this.checkTcp(target, { signal }) });
+      }
+
+      // 'host:port' or { name, host, port, send, expect }
+      for (const target of udp) {
+        const name = typeof target === 'string' ? target : target.name || `${target.host}:${target.port}`;
+        checks.push({ path: ['udp', name], run: (signal) => this.checkUdp(target, { signal }) });
+      }
+
+      // Host names or { name, hostname, type, expect, servers, maxResolveTime }
+      for (const entry of dns) {
+        const { hostname, ...query } = typeof entry === 'string' ? { hostname: entry } : entry;
+        const name = query.name || (query.type ? `${hostname} ${query.type.toUpperCase()}` : hostname);
+        checks.push({ path: ['dns', name], run: (signal) => this.checkDns(hostname, { ...query, signal }) });
       }
     }
 
-    // Database checks
-    if (includeDatabase) {
-      // This would be implemented based on your database setup
-      results.checks.database = {
-        status: 'not_implemented',
-        message: 'Database checks not configured'
-      };
+    // 'host[:port]', 'https://...' or { host, port, servername, ...thresholds }
+    for (const target of tls) {
+      const name = typeof target === 'string' ? target : target.name || `${target.host}:${target.port || 443}`;
+      checks.push({ path: ['tls', name], run: (signal) => this.checkTLS(target, { signal }) });
+    }
+
+    // Strings or { name, url }
+    if (includeDatabase || databases.length > 0) {
+      const configured = databases.length > 0
+        ? databases
+        : DATABASE_ENV_VARS.filter(name => process.env[name]).map(name => ({ name, url: process.env[name] }));
+      for (const database of configured) {
+        const url = typeof database === 'string' ? database : database.url;
+        const name = database.name || redactConnectionString(url);
+        checks.push({ path: ['database', name], run: (signal) => this.checkDatabase(url, { signal }) });
+      }
+    }
+
+    if (includeCustom) {
+      checks.push(...this.registeredTasks(tags, ['custom']));
+    }
+
+    Object.assign(results.checks, await this.runChecks(checks, options));
+    if (includeNetwork && !results.checks.network) {
+      results.checks.network = {};
+    }
+    if (includeDatabase && !results.checks.database) {
+      results.checks.database = {};
     }
 
     // Determine overall status
     const allChecks = this.flattenChecks(results.checks);
-    const criticalFailures = allChecks.filter(check => check.status === 'error');
+    const failures = allChecks.filter(check => isFailure(check.status));
+    // Checks registered with `critical: false` only degrade the report
+    const criticalFailures = failures.filter(check => check.critical !== false);
     const warnings = allChecks.filter(check => check.status === 'warning');
 
     if (criticalFailures.length > 0) {
       results.overall = 'critical';
-    } else if (warnings.length > 0) {
+    } else if (warnings.length > 0 || failures.length > 0) {
       results.overall = 'warning';
     }
 
+    results.duration = Math.round((performance.now() - startTime) * 100) / 100;
+
+    if (this.history) {
+      try {
+        await this.history.record(results);
+      } catch (error) {
+        this.logger.warn('Failed to record health history', { error: error.message });
+      }
+    }
     return results;
   }
 
+  // A group may hold a check named "status", so only a string status marks a result
   flattenChecks(checks, prefix = '') {
     const flattened = [];
     
     for (const [key, value] of Object.entries(checks)) {
-      if (value.status) {
+      if (typeof value?.status === 'string') {
         flattened.push({ ...value, name: prefix + key });
-      } else if (typeof value === 'object') {
+      } else if (value && typeof value === 'object') {
         flattened.push(...this.flattenChecks(value, prefix + key + '.'));
       }
     }
@@ -389,18 +782,20 @@ export class HealthChecker {
   }
 
   // Health check endpoint handler
-  createHealthEndpoint() {
+  createHealthEndpoint(options = {}) {
     return async (req, res) => {
       try {
-        const health = await this.runHealthCheck();
+        // /health?tag=db,queue limits registered checks to those tags
+        const tags = parseTags(req.originalUrl || req.url);
+        const health = await this.runHealthCheck(tags.length > 0 ? { ...options, tags } : options);
         
         const statusCode = health.overall === 'critical' ? 503 : 
                           health.overall === 'warning' ? 200 : 200;
         
-        res.status(statusCode).json(health);
+        sendJson(res, statusCode, health);
       } catch (error) {
         this.logger.error('Health check failed', error);
-        res.status(500).json({
+        sendJson(res, 500, {
           status: 'error',
           message: 'Health check failed',
           error: error.message
@@ -408,6 +803,68 @@ export class HealthChecker {
       }
     };
   }
+
+  // Registered checks a probe looks at. Liveness only fails on critical checks, so a
+  // degraded cache (critical: false) takes the instance out of rotation without a restart.
+  probeChecks(probe, options = {}) {
+    const names = options.checks ? [].concat(options.checks) : null;
+    return this.registeredChecks(options.tags).filter(check =>
+      (!names || names.includes(check.name)) && (probe !== 'liveness' || check.critical)
+    );
+  }
+
+  async runProbe(probe, options = {}) {
+    if (!PROBES.includes(probe)) {
+      throw new Error(`Unknown probe "${probe}" (expected ${PROBES.join(', ')})`);
+    }
+    const checks = this.probeChecks(probe, options);
+    const results = await this.runChecks(checks.map(check => ({
+      path: [check.name],
+      result: () => this.runRegistered(check)
+    })), options);
+
+    const failed = Object.keys(results).filter(name => isFailure(results[name].status));
+    return failed.length > 0 ? { status: 'fail', failed } : { status: 'ok' };
+  }
+
+  // Kubernetes-style probe handler: 200 { status: 'ok' } or 503 { status: 'fail', failed: [...] }.
+  // Options: checks (names) and tags select the registered checks to run.
+  createProbeEndpoint(probe, options = {}) {
+    let started = false;
+
+    return async (req, res) => {
+      // Once startup has passed it stays passed; liveness/readiness take over
+      if (probe === 'startup' && started) {
+        sendJson(res, 200, { status: 'ok' });
+        return;
+      }
+      try {
+        const result = await this.runProbe(probe, options);
+        started = result.status === 'ok';
+        sendJson(res, result.status === 'ok' ? 200 : 503, result);
+      } catch (error) {
+        this.logger.error(`${probe} probe failed`, error);
+        sendJson(res, 503, { status: 'fail', error: error.message });
+      }
+    };
+  }
+
+  createLivenessEndpoint(options = {}) {
+    return this.createProbeEndpoint('liveness', options);
+  }
+
+  createReadinessEndpoint(options = {}) {
+    return this.createProbeEndpoint('readiness', options);
+  }
+
+  createStartupEndpoint(options = {}) {
+    return this.createProbeEndpoint('startup', options);
+  }
+
+  // { liveness, readiness, startup } handlers, each configurable by name
+  createProbeEndpoints(options = {}) {
+    return Object.fromEntries(PROBES.map(probe => [probe, this.createProbeEndpoint(probe, options[probe])]));
+  }
 }
 
 // Create default health checker
@@ -0,0 +1,209 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import { parseTime } from './logs.mjs';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Share of state changes across the last `flapWindow` runs at which a check counts as flapping
+export const FLAP_DEFAULTS = {
+  flapWindow: 20,
+  flapThreshold: 0.3
+};
+
+const isDown = (status) => status === 'error' || status === 'critical';
+
+const truncate = (text, length = 200) => (text && text.length > length ? `${text.slice(0, length - 3)}...` : text);
+
+// Nested report checks -> { 'system.memory': { status, duration, message } }.
+// Results have a string status; a group can contain a check named "status"
+const flatten = (checks, prefix = '', flat = {}) => {
+  for (const [key, value] of Object.entries(checks || {})) {
+    if (typeof value?.status === 'string') {
+      flat[prefix + key] = { status: value.status, duration: value.duration, message: truncate(value.message) };
+    } else if (value && typeof value === 'object') {
+      flatten(value, `${prefix}${key}.`, flat);
+    }
+  }
+  return flat;
+};
+
+const average = (values) => (values.length > 0
+  ? Math.round((values.reduce((sum, value) => sum + value, 0) / values.length) * 10) / 10
+  : null);
+
+// Uptime, current state, last state change and flapping for one check's runs (oldest first)
+export const summarizeCheck = (samples, options = {}) => {
+  const { flapWindow, flapThreshold } = { ...FLAP_DEFAULTS, ...options };
+  const up = samples.filter(sample => !isDown(sample.status)).length;
+  const latest = samples[samples.length - 1];
+
+  let lastChange = null;
+  let lastFailure = null;
+  let transitions = 0;
+  samples.forEach((sample, i) => {
+    if (i > 0 && sample.status !== samples[i - 1].status) {
+      transitions++;
+      lastChange = { at: sample.timestamp, from: samples[i - 1].status, to: sample.status, message: sample.message };
+    }
+    if (isDown(sample.status)) {
+      lastFailure = { at: sample.timestamp, status: sample.status, message: sample.message };
+    }
+  });
+
+  // Measured against a full window so a short history with one outage doesn't count
+  const window = samples.slice(-flapWindow);
+  const changes = window.filter((sample, i) => i > 0 && sample.status !== window[i - 1].status).length;
+  const flapRate = flapWindow > 1 ? changes / (flapWindow - 1) : 0;
+
+  return {
+    status: latest.status,
+    samples: samples.length,
+    uptime: Math.round((up / samples.length) * 10000) / 100,
+    since: lastChange ? lastChange.at : samples[0].timestamp,
+    lastChange,
+    lastFailure,
+    transitions,
+    flapRate: Math.round(flapRate * 100) / 100,
+    flapping: changes > 0 && flapRate >= flapThreshold,
+    averageDuration: average(samples.map(sample => sample.duration).filter(Number.isFinite))
+  };
+};
+
+// One NDJSON file per day under .dr-cursored/health-history; files older than
+// `retentionDays` are removed when a new run is recorded
+export class HealthHistory {
+  constructor(options = {}) {
+    this.dir = options.dir || path.join(process.cwd(), '.dr-cursored', 'health-history');
+    this.retentionDays = options.retentionDays || 7;
+    this.flapWindow = options.flapWindow || FLAP_DEFAULTS.flapWindow;
+    this.flapThreshold = options.flapThreshold ?? FLAP_DEFAULTS.flapThreshold;
+  }
+
+  fileFor(time) {
+    return path.join(this.dir, `${new Date(time).toISOString().slice(0, 10)}.ndjson`);
+  }
+
+  async listFiles() {
+    try {
+      const names = await fs.promises.readdir(this.dir);
+      return names.filter(name => /^\d{4}-\d{2}-\d{2}\.ndjson$/.test(name)).sort();
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  // Appends a runHealthCheck report
+  async record(report) {
+    const timestamp = report.timestamp || new Date().toISOString();
+    const entry = {
+      timestamp,
+      overall: report.overall,
+      duration: report.duration,
+      checks: flatten(report.checks)
+    };
+    await fs.promises.mkdir(this.dir, { recursive: true });
+    await fs.promises.appendFile(this.fileFor(Date.parse(timestamp)), JSON.stringify(entry) + '\n');
+    await this.prune(Date.parse(timestamp));
+    return entry;
+  }
+
+  async prune(now = Date.now()) {
+    const oldest = new Date(now - this.retentionDays * DAY).toISOString().slice(0, 10);
+    for (const name of await this.listFiles()) {
+      if (name.slice(0, 10) < oldest) {
+        await fs.promises.rm(path.join(this.dir, name), { force: true });
+      }
+    }
+  }
+
+  // Recorded runs, oldest first; `since` / `until` accept '24h' style durations or dates
+  async load(options = {}) {
+    const since = parseTime(options.since);
+    const until = parseTime(options.until);
+    const entries = [];
+    for (const name of await this.listFiles()) {
+      // Whole days outside the range are skipped without reading them
+      const day = Date.parse(name.slice(0, 10));
+      if ((since !== undefined && day + DAY <= since) || (until !== undefined && day > until)) {
+        continue;
+      }
+      const text = await fs.promises.readFile(path.join(this.dir, name), 'utf8');
+      for (const line of text.split('\n')) {
+        if (!line.trim()) {
+          continue;
+        }
+        let entry;
+        try {
+          entry = JSON.parse(line);
+        } catch {
+          // A run cut off mid-write
+          continue;
+        }
+        const time = Date.parse(entry.timestamp);
+        if ((since === undefined || time >= since) && (until === undefined || time <= until)) {
+          entries.push(entry);
+        }
+      }
+    }
+    return entries.sort((a, b) => Date.parse(a.timestamp) - Date.parse(b.timestamp));
+  }
+
+  // Per-check trends; `check` limits to one check or a group ('system' -> system.*)
+  async summarize(options = {}) {
+    const entries = await this.load(options);
+    const samples = new Map();
+    for (const entry of entries) {
+      for (const [name, result] of Object.entries(entry.checks)) {
+        if (options.check && name !== options.check && !name.startsWith(`${options.check}.`)) {
+          continue;
+        }
+        if (!samples.has(name)) {
+          samples.set(name, []);
+        }
+        samples.get(name).push({ timestamp: entry.timestamp, ...result });
+      }
+    }
+
+    const checks = {};
+    for (const [name, runs] of [...samples].sort(([a], [b]) => a.localeCompare(b))) {
+      checks[name] = summarizeCheck(runs, { flapWindow: this.flapWindow, flapThreshold: this.flapThreshold });
+    }
+    return {
+      runs: entries.length,
+      from: entries[0]?.timestamp || null,
+      to: entries[entries.length - 1]?.timestamp || null,
+      checks
+    };
+  }
+}
+
+export const createHealthHistory = (options) => new HealthHistory(options);
+
+// GET /api/health/history?since=24h&check=system
+export const createHistoryEndpoint = (options = {}) => {
+  const history = options.history || new HealthHistory(options);
+
+  return async (req, res) => {
+    const send = (statusCode, data) => {
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data, null, 2));
+    };
+
+    if (req.method !== 'GET') {
+      send(405, { error: `Method ${req.method} not allowed` });
+      return;
+    }
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      const query = Object.fromEntries(['since', 'until', 'check']
+        .filter(name => url.searchParams.has(name))
+        .map(name => [name, url.searchParams.get(name)]));
+      send(200, await history.summarize(query));
+    } catch (error) {
+      send(400, { error: error.message });
+    }
+  };
+};
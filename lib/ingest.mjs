@@ -0,0 +1,104 @@
+// Server side of lib/browser.mjs: accepts batches of browser entries and
+// re-logs them through a regular Logger (transports, redaction, levels apply).
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const readBody = (req, limit) => new Promise((resolve, reject) => {
+  const chunks = [];
+  let size = 0;
+  req.on('data', chunk => {
+    size += chunk.length;
+    // Keep draining so the 413 can still be sent on this connection
+    if (size <= limit) {
+      chunks.push(chunk);
+    }
+  });
+  req.on('end', () => {
+    if (size > limit) {
+      const error = new Error(`Payload exceeds ${limit} bytes`);
+      error.statusCode = 413;
+      reject(error);
+      return;
+    }
+    resolve(Buffer.concat(chunks).toString('utf8'));
+  });
+  req.on('error', reject);
+});
+
+const sendJson = (res, statusCode, data) => {
+  res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(data));
+};
+
+// One browser entry -> (level, message, meta) for Logger.log
+export const normalizeBrowserEntry = (entry, batch = {}) => {
+  if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+    return null;
+  }
+  const { level, message, ...meta } = entry;
+  return {
+    level: LEVELS.includes(level) ? level : 'info',
+    message: typeof message === 'string' ? message : JSON.stringify(message ?? ''),
+    meta: {
+      ...meta,
+      origin: 'browser',
+      ...(batch.page && meta.page === undefined ? { page: batch.page } : {}),
+      ...(batch.userAgent ? { userAgent: batch.userAgent } : {}),
+      ...(batch.ip ? { ip: batch.ip } : {})
+    }
+  };
+};
+
+// POST /api/logs/ingest with { entries: [...], page, userAgent, dropped, oversized }
+// (JSON, sent as text/plain by sendBeacon)
+export const createIngestEndpoint = (options = {}) => {
+  const logger = options.logger;
+  if (!logger) {
+    throw new Error('createIngestEndpoint requires a logger');
+  }
+  const maxBytes = options.maxBytes || 1024 * 1024;
+  const maxEntries = options.maxEntries || 500;
+
+  return async (req, res) => {
+    if (req.method !== 'POST') {
+      sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+      return;
+    }
+
+    let batch;
+    try {
+      batch = JSON.parse(await readBody(req, maxBytes));
+    } catch (error) {
+      sendJson(res, error.statusCode || 400, { error: error.statusCode ? error.message : `Invalid JSON body: ${error.message}` });
+      return;
+    }
+
+    const entries = Array.isArray(batch) ? batch : batch?.entries;
+    if (!Array.isArray(entries)) {
+      sendJson(res, 400, { error: 'Expected { "entries": [...] }' });
+      return;
+    }
+
+    const context = {
+      page: batch.page,
+      userAgent: batch.userAgent || req.headers['user-agent'],
+      ip: req.socket?.remoteAddress
+    };
+    let accepted = 0;
+    for (const entry of entries.slice(0, maxEntries)) {
+      const normalized = normalizeBrowserEntry(entry, context);
+      if (normalized) {
+        logger.log(normalized.level, normalized.message, normalized.meta);
+        accepted++;
+      }
+    }
+    if (batch.dropped) {
+      logger.warn(`Browser logger dropped ${batch.dropped} entries (queue full)`, { origin: 'browser', dropped: batch.dropped });
+    }
+    if (batch.oversized) {
+      logger.warn(`Browser logger dropped ${batch.oversized} entries too large to send`, { origin: 'browser', oversized: batch.oversized });
+    }
+
+    sendJson(res, 202, { accepted, rejected: entries.length - accepted });
+  };
+};
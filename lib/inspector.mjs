@@ -1,13 +1,22 @@
+import os from 'node:os';
 import { performance } from 'node:perf_hooks';
 import { randomUUID } from 'node:crypto';
 import { logger } from './logger.mjs';
+import { getContext, runWithContext } from './context.mjs';
+import { createTraceContext, setTraceHeaders } from './tracing.mjs';
+import { serializeError } from './errors.mjs';
+
+const tagKey = (tags) => JSON.stringify(Object.entries(tags).sort(([a], [b]) => a.localeCompare(b)));
 
 export class Inspector {
   constructor(options = {}) {
     this.logger = options.logger || logger;
     this.activeInspections = new Map();
     this.metrics = new Map();
+    // Running count/sum per name and tag set, unaffected by the 1000-sample window
+    this.metricTotals = new Map();
     this.traces = [];
+    this.maxTraces = options.maxTraces || 1000;
   }
 
   // Performance inspection
@@ -18,7 +27,8 @@ export class Inspector {
     this.activeInspections.set(id, {
       label,
       startTime,
-      type: 'timer'
+      type: 'timer',
+      requestId: getContext()?.requestId
     });
     
     return id;
@@ -39,6 +49,9 @@ export class Inspector {
       duration: Math.round(duration * 100) / 100,
       timestamp: new Date().toISOString()
     };
+    if (inspection.requestId) {
+      result.requestId = inspection.requestId;
+    }
     
     this.logger.debug('Timer completed', result);
     return result;
@@ -62,8 +75,8 @@ export class Inspector {
 
   // CPU inspection
   inspectCPU() {
-    const cpus = require('os').cpus();
-    const loadAvg = require('os').loadavg();
+    const cpus = os.cpus();
+    const loadAvg = os.loadavg();
     
     const result = {
       timestamp: new Date().toISOString(),
@@ -125,17 +138,39 @@ export class Inspector {
 
   // HTTP request inspection
   inspectHttpRequest(req, res, next) {
-    const requestId = randomUUID().slice(0, 8);
+    const active = getContext();
+    const requestId = active?.requestId || randomUUID().slice(0, 8);
+    // Reuse the trace opened by requestLogger, otherwise continue the caller's
+    let traceId = active?.traceId;
+    let spanId = active?.spanId;
+    if (!traceId) {
+      const trace = createTraceContext(req.headers);
+      traceId = trace.traceId;
+      spanId = trace.spanId;
+      setTraceHeaders(res, trace);
+    }
     const startTime = performance.now();
     const startMemory = this.inspectMemory();
     
+    // Parent span for outgoing calls made while handling this request
+    const spanTraceId = this.startTrace(`HTTP ${req.method} ${req.url}`, {
+      kind: 'server',
+      method: req.method,
+      url: req.url,
+      traceId,
+      spanId
+    });
+    
     req.inspectionId = requestId;
+    req.traceId = traceId;
     req.startTime = startTime;
     req.startMemory = startMemory;
     
     // Log request start
     this.logger.info('HTTP request started', {
       requestId,
+      traceId,
+      spanId,
       method: req.method,
       url: req.url,
       userAgent: req.headers['user-agent'],
@@ -151,6 +186,8 @@ export class Inspector {
       
       this.logger.info('HTTP request completed', {
         requestId,
+        traceId,
+        spanId,
         method: req.method,
         url: req.url,
         statusCode: res.statusCode,
@@ -158,11 +195,14 @@ export class Inspector {
         memoryDelta: endMemory.heapUsed - startMemory.heapUsed,
         contentLength: res.get('content-length') || 0
       });
+      this.endTrace(spanTraceId, { statusCode: res.statusCode });
       
       return originalEnd.apply(res, args);
     }.bind(this);
     
-    if (next) next();
+    runWithContext({ requestId, traceId, spanId }, () => {
+      if (next) next();
+    });
   }
 
   // Database query inspection
@@ -200,9 +240,10 @@ export class Inspector {
   }
 
   // Trace collection
-  startTrace(label, metadata = {}) {
+  startTrace(label, metadata = {}, parentId = null) {
     const traceId = randomUUID();
     const startTime = performance.now();
+    const parent = parentId ? this.traces.find(t => t.id === parentId) : null;
     
     const trace = {
       id: traceId,
@@ -210,13 +251,37 @@ export class Inspector {
       startTime,
       metadata,
       children: [],
-      parent: null
+      parent: parent ? parent.id : null,
+      requestId: getContext()?.requestId
     };
+    if (parent) {
+      parent.children.push(traceId);
+    }
     
     this.traces.push(trace);
+    
+    // Keep only the last maxTraces, dropping completed ones first
+    if (this.traces.length > this.maxTraces) {
+      const index = this.traces.findIndex(t => t.endTime);
+      this.traces.splice(index === -1 ? 0 : index, 1);
+    }
     return traceId;
   }
 
+  // Open trace for a W3C span id (e.g. the inbound request), used to parent outgoing calls
+  findSpan(spanId) {
+    if (!spanId) {
+      return null;
+    }
+    for (let i = this.traces.length - 1; i >= 0; i--) {
+      const trace = this.traces[i];
+      if (trace.metadata?.spanId === spanId && !trace.endTime) {
+        return trace.id;
+      }
+    }
+    return null;
+  }
+
   endTrace(traceId, result = {}) {
     const trace = this.traces.find(t => t.id === traceId);
     if (!trace) {
@@ -256,6 +321,15 @@ export class Inspector {
     }
     
     this.metrics.get(name).push(metric);
+
+    const key = tagKey(tags);
+    if (!this.metricTotals.has(name)) {
+      this.metricTotals.set(name, new Map());
+    }
+    const totals = this.metricTotals.get(name).get(key) || { tags, count: 0, sum: 0 };
+    totals.count++;
+    totals.sum += value;
+    this.metricTotals.get(name).set(key, totals);
     
     // Keep only last 1000 metrics per name
     const metrics = this.metrics.get(name);
@@ -270,6 +344,16 @@ export class Inspector {
     return this.metrics.get(name) || [];
   }
 
+  // Tag sets recorded for `name` with running totals and the values still held
+  getMetricSeries(name) {
+    const series = [];
+    for (const [key, totals] of this.metricTotals.get(name) || []) {
+      const values = this.getMetrics(name).filter(metric => tagKey(metric.tags) === key).map(metric => metric.value);
+      series.push({ ...totals, values });
+    }
+    return series;
+  }
+
   getMetricSummary(name) {
     const metrics = this.getMetrics(name);
     if (metrics.length === 0) return null;
@@ -315,9 +399,7 @@ export class Inspector {
     
     const errorInfo = {
       id: errorId,
-      name: error.name,
-      message: error.message,
-      stack: error.stack,
+      ...serializeError(error),
       context,
       system,
       timestamp: new Date().toISOString()
@@ -352,6 +434,7 @@ export class Inspector {
   clear() {
     this.activeInspections.clear();
     this.metrics.clear();
+    this.metricTotals.clear();
     this.traces.length = 0;
     this.logger.debug('Inspector data cleared');
   }
@@ -371,7 +454,8 @@ export const createInspectionMiddleware = (inspector) => {
       inspector.inspectError(error, {
         method: req.method,
         url: req.url,
-        requestId: req.inspectionId
+        requestId: req.inspectionId,
+        traceId: req.traceId
       });
       if (next) next(error);
     }
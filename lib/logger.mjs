@@ -1,15 +1,57 @@
 import { randomUUID } from 'node:crypto';
 import { performance } from 'node:perf_hooks';
-import chalk from 'chalk';
+import { ConsoleTransport, createTransport } from './transports.mjs';
+import { createRedactor } from './redaction.mjs';
+import { getContext, runWithContext } from './context.mjs';
+import { createTraceContext, setTraceHeaders, getHeader } from './tracing.mjs';
+import { levelColors, getFormatter, registerFormat } from './formats.mjs';
+import { serializeError, isError } from './errors.mjs';
+import { createSampler } from './sampling.mjs';
+import { loggerRegistry } from './registry.mjs';
+import { createLogBuffer } from './buffer.mjs';
+import { isSourceEnabled, captureSource, resolveSource } from './source.mjs';
 
 export class Logger {
   constructor(options = {}) {
     this.service = options.service || 'app';
-    this.level = options.level || 'info';
+    this.name = options.name || null;
+    this.parent = options.parent || null;
+    // Children without their own level follow their parent's
+    this.level = options.level || (this.parent ? null : 'info');
     this.format = options.format || 'json';
     this.enableColors = options.colors !== false;
     this.context = options.context || {};
     this.requestId = options.requestId || this.generateRequestId();
+    this.transports = options.transports ?
+      options.transports.map(t => typeof t === 'string' ? createTransport(t) : t) :
+      [new ConsoleTransport()];
+    this.redactor = options.redact ? createRedactor(options.redact) : null;
+    this.errorOptions = options.errors || {};
+    // Caller file/line/function on every entry (or LOG_SOURCE=1)
+    this.source = isSourceEnabled(options.source);
+    // Shared with child loggers so limits apply across the whole tree
+    this.sampler = options.sampler || createSampler({
+      sampling: options.sampling,
+      dedupe: options.dedupe,
+      rateLimit: options.rateLimit
+    });
+
+    // Buffered mode batches writes off the hot path (see flush())
+    this.buffer = createLogBuffer(options.buffer);
+
+    this.registry = options.registry || loggerRegistry;
+    this.levelCache = { version: -1, level: null };
+    if (this.name && !this.parent) {
+      this.registry.register(this.name, this);
+    }
+
+    // Fail fast on typos rather than on the first log call
+    getFormatter(this.format);
+    for (const transport of this.transports) {
+      if (transport.format) {
+        getFormatter(transport.format);
+      }
+    }
   }
 
   static levels = {
@@ -19,42 +61,155 @@ export class Logger {
     error: 3
   };
 
-  static colors = {
-    debug: chalk.cyan,
-    info: chalk.green, 
-    warn: chalk.yellow,
-    error: chalk.red,
-    reset: chalk.reset
-  };
+  static colors = levelColors;
+
+  static registerFormat(name, formatter) {
+    registerFormat(name, formatter);
+  }
+
+  get level() {
+    return this.ownLevel || this.parent?.level || 'info';
+  }
+
+  set level(level) {
+    if (level !== null && !(level in Logger.levels)) {
+      throw new Error(`Unknown log level: ${level}`);
+    }
+    this.ownLevel = level;
+  }
+
+  setLevel(level) {
+    this.level = level;
+    return this;
+  }
+
+  // Registry overrides (DEBUG=app:db*, SIGUSR2, createLoggersEndpoint) win over the configured level
+  getEffectiveLevel() {
+    if (this.levelCache.version !== this.registry.version) {
+      this.levelCache = {
+        version: this.registry.version,
+        level: this.registry.levelFor(this.name || this.service)
+      };
+    }
+    return this.levelCache.level || this.level;
+  }
 
   shouldLog(level) {
-    return Logger.levels[level] >= Logger.levels[this.level];
+    return Logger.levels[level] >= Logger.levels[this.getEffectiveLevel()];
   }
 
-  log(level, message, meta = {}) {
+  log(level, message, meta = {}, source = null) {
     if (!this.shouldLog(level)) return;
 
-    const entry = {
+    if (this.sampler) {
+      const extra = this.sampler.check(this, level, message);
+      if (!extra) {
+        return;
+      }
+      if (extra.sampleRate) {
+        meta = { ...this.serializeMeta(meta), ...extra };
+      }
+    }
+
+    // Only entries that survived the filters pay for a stack trace
+    if (this.source) {
+      meta = { ...this.serializeMeta(meta), source: resolveSource(source || captureSource()) };
+    }
+
+    this.emit(level, message, meta);
+  }
+
+  // Build and dispatch an entry, bypassing level and sampling checks
+  emit(level, message, meta = {}) {
+    meta = this.serializeMeta(meta);
+
+    // Async request context (see requestLogger) wins over the logger's own id
+    const activeContext = getContext();
+    let entry = {
       timestamp: new Date().toISOString(),
       level,
       service: this.service,
       message,
       requestId: this.requestId,
+      ...activeContext,
       ...this.context,
       ...meta
     };
 
-    if (this.format === 'json') {
-      console.log(JSON.stringify(entry));
-    } else {
-      const color = this.enableColors ? Logger.colors[level] : (x) => x;
-      const prefix = color(`[${level.toUpperCase()}]`);
-      const timestamp = this.enableColors ? chalk.gray(entry.timestamp) : entry.timestamp;
-      const service = this.enableColors ? chalk.blue(`[${this.service}]`) : `[${this.service}]`;
-      const requestId = this.enableColors ? chalk.magenta(`[${this.requestId}]`) : `[${this.requestId}]`;
-      
-      console.log(`${prefix} ${timestamp} ${service} ${requestId} ${message}`, 
-        Object.keys(meta).length > 0 ? meta : '');
+    // Mask secrets before any transport sees the entry
+    if (this.redactor) {
+      entry = this.redactor.redact(entry);
+    }
+
+    for (const transport of this.transports) {
+      if (transport.level && Logger.levels[level] < Logger.levels[transport.level]) {
+        continue;
+      }
+      const format = transport.format || this.format;
+      const colors = transport.colors ?? this.enableColors;
+      const line = this.formatEntry(entry, format, colors);
+      if (this.buffer) {
+        this.buffer.push(transport, line, entry);
+      } else {
+        transport.write(line, entry);
+      }
+    }
+  }
+
+  // Write out pending summaries and buffered entries
+  flush() {
+    if (this.sampler) {
+      this.sampler.flush();
+    }
+    return this.buffer ? this.buffer.flush() : 0;
+  }
+
+  // Errors passed as meta (or inside it) would otherwise serialize to {}
+  serializeMeta(meta) {
+    if (isError(meta)) {
+      return { error: serializeError(meta, this.errorOptions) };
+    }
+    if (!meta || typeof meta !== 'object') {
+      return meta;
+    }
+
+    let result = meta;
+    for (const [key, value] of Object.entries(meta)) {
+      if (isError(value)) {
+        if (result === meta) {
+          result = { ...meta };
+        }
+        result[key] = serializeError(value, this.errorOptions);
+      }
+    }
+    return result;
+  }
+
+  formatEntry(entry, format = this.format, colors = this.enableColors) {
+    return getFormatter(format)(entry, { colors });
+  }
+
+  // Transport management
+  addTransport(transport) {
+    this.transports.push(transport);
+    return this;
+  }
+
+  removeTransport(transport) {
+    const index = this.transports.indexOf(transport);
+    if (index !== -1) {
+      this.transports.splice(index, 1);
+    }
+    return this;
+  }
+
+  close() {
+    this.flush();
+    if (this.buffer) {
+      this.buffer.close();
+    }
+    for (const transport of this.transports) {
+      transport.close();
     }
   }
 
@@ -66,19 +221,27 @@ export class Logger {
   child(context) {
     return new Logger({
       service: this.service,
-      level: this.level,
+      name: this.name,
+      parent: this,
+      registry: this.registry,
       format: this.format,
       colors: this.enableColors,
+      source: this.source,
       context: { ...this.context, ...context },
-      requestId: this.requestId
+      requestId: this.requestId,
+      transports: this.transports,
+      redact: this.redactor,
+      errors: this.errorOptions,
+      sampler: this.sampler,
+      buffer: this.buffer
     });
   }
 
-  timer(label) {
+  timer(label, source = null) {
     const start = performance.now();
     return () => {
       const duration = performance.now() - start;
-      this.debug(`Timer ${label}`, { duration: Math.round(duration * 100) / 100 });
+      this.log('debug', `Timer ${label}`, { duration: Math.round(duration * 100) / 100 }, source);
       return Math.round(duration * 100) / 100;
     };
   }
@@ -93,7 +256,8 @@ export class Logger {
 
   // Performance logging
   performance(operation, fn) {
-    const timer = this.timer(operation);
+    // Async completions run without the caller on the stack, so capture it up front
+    const timer = this.timer(operation, this.source ? captureSource() : null);
     try {
       const result = fn();
       if (result && typeof result.then === 'function') {
@@ -113,17 +277,28 @@ export class Logger {
 
   // HTTP request logging
   httpRequest(req, res, startTime) {
-    const duration = performance.now() - startTime;
-    const status = res.statusCode;
-    const level = status >= 400 ? 'error' : status >= 300 ? 'warn' : 'info';
-    
-    this.log(level, 'HTTP Request', {
+    this.logHttpRequest({
       method: req.method,
       url: req.url,
+      status: res.statusCode,
+      duration: performance.now() - startTime,
+      userAgent: req.headers['user-agent'],
+      ip: req.ip || req.socket?.remoteAddress
+    });
+  }
+
+  // Framework-neutral form of httpRequest (see lib/adapters.mjs)
+  logHttpRequest({ method, url, status, duration, userAgent, ip, ...meta }) {
+    const level = status >= 400 ? 'error' : status >= 300 ? 'warn' : 'info';
+
+    this.log(level, 'HTTP Request', {
+      method,
+      url,
       status,
       duration: Math.round(duration * 100) / 100,
-      userAgent: req.headers['user-agent'],
-      ip: req.ip || req.connection.remoteAddress
+      userAgent,
+      ip,
+      ...meta
     });
   }
 
@@ -131,70 +306,169 @@ export class Logger {
   errorWithStack(message, error, meta = {}) {
     this.error(message, {
       ...meta,
-      error: {
-        name: error.name,
-        message: error.message,
-        stack: error.stack
-      }
+      error: serializeError(error, this.errorOptions)
     });
   }
 
   // Structured logging for common operations
   operation(operation, fn, meta = {}) {
-    this.debug(`Starting operation: ${operation}`, meta);
-    const timer = this.timer(operation);
+    const source = this.source ? captureSource() : null;
+    this.log('debug', `Starting operation: ${operation}`, meta, source);
+    const timer = this.timer(operation, source);
     
     try {
       const result = fn();
       if (result && typeof result.then === 'function') {
         return result.then(res => {
           timer();
-          this.info(`Operation completed: ${operation}`, { ...meta, success: true });
+          this.log('info', `Operation completed: ${operation}`, { ...meta, success: true }, source);
           return res;
         }).catch(err => {
           timer();
-          this.error(`Operation failed: ${operation}`, { ...meta, success: false, error: err.message });
+          this.log('error', `Operation failed: ${operation}`, { ...meta, success: false, error: err.message }, source);
           throw err;
         });
       } else {
         timer();
-        this.info(`Operation completed: ${operation}`, { ...meta, success: true });
+        this.log('info', `Operation completed: ${operation}`, { ...meta, success: true }, source);
         return result;
       }
     } catch (error) {
       timer();
-      this.error(`Operation failed: ${operation}`, { ...meta, success: false, error: error.message });
+      this.log('error', `Operation failed: ${operation}`, { ...meta, success: false, error: error.message }, source);
       throw error;
     }
   }
 }
 
+// Transports
+export {
+  Transport,
+  ConsoleTransport,
+  StreamTransport,
+  FileTransport,
+  RotatingFileTransport,
+  MemoryTransport,
+  createTransport
+} from './transports.mjs';
+
+// Request context
+export {
+  contextStorage,
+  getContext,
+  getRequestId,
+  runWithContext,
+  setContext,
+  bindContext
+} from './context.mjs';
+
+// Named logger registry and runtime level control
+export {
+  LoggerRegistry,
+  loggerRegistry,
+  parseDebugEnv,
+  createLoggersEndpoint
+} from './registry.mjs';
+
+// Buffered writes
+export { LogBuffer, createLogBuffer } from './buffer.mjs';
+
+// Sampling, deduplication and rate limiting
+export { LogSampler, createSampler } from './sampling.mjs';
+
+// Error serialization
+export { serializeError } from './errors.mjs';
+
+// Output formats
+export { registerFormat, getFormatter, listFormats } from './formats.mjs';
+
+// W3C trace context
+export {
+  createTraceContext,
+  parseTraceparent,
+  formatTraceparent,
+  parseTracestate,
+  generateTraceId,
+  generateSpanId
+} from './tracing.mjs';
+
+// Redaction
+export {
+  Redactor,
+  createRedactor,
+  redactConnectionString,
+  DEFAULT_REDACT_PATHS,
+  DEFAULT_REDACT_PATTERNS
+} from './redaction.mjs';
+
 // Create default logger instance
-export const logger = new Logger();
+export const logger = new Logger({ name: 'app' });
 
 // Create specialized loggers
 export const createLogger = (options) => new Logger(options);
 
 // Common logger configurations
 export const loggers = {
-  development: new Logger({ level: 'debug', format: 'text', colors: true }),
-  production: new Logger({ level: 'info', format: 'json', colors: false }),
-  test: new Logger({ level: 'error', format: 'text', colors: false })
+  development: new Logger({ name: 'development', level: 'debug', format: 'text', colors: true }),
+  production: new Logger({ name: 'production', level: 'info', format: 'json', colors: false, redact: true }),
+  test: new Logger({ name: 'test', level: 'error', format: 'text', colors: false })
 };
 
-// Middleware for Express/Fastify
-export const requestLogger = (req, res, next) => {
+// Request ids, trace context and a child logger for one request; shared by
+// requestLogger and the framework adapters
+export const startRequestLog = (request, baseLogger = logger) => {
   const startTime = performance.now();
   const requestId = randomUUID().slice(0, 8);
-  
-  req.logger = logger.child({ requestId, method: req.method, url: req.url });
-  req.requestId = requestId;
-  
+  const trace = createTraceContext(request.headers || {});
+  const context = {
+    requestId,
+    traceId: trace.traceId,
+    spanId: trace.spanId,
+    method: request.method,
+    url: request.url
+  };
+  if (trace.parentSpanId) {
+    context.parentSpanId = trace.parentSpanId;
+  }
+  const requestLog = baseLogger.child(context);
+
+  return {
+    requestId,
+    trace,
+    context,
+    startTime,
+    logger: requestLog,
+    // Everything called inside fn logs with this request's ids
+    run: (fn) => runWithContext(context, fn),
+    finish: (status, meta = {}) => requestLog.logHttpRequest({
+      method: request.method,
+      url: request.url,
+      status,
+      duration: performance.now() - startTime,
+      userAgent: getHeader(request.headers || {}, 'user-agent'),
+      ip: request.ip,
+      ...meta
+    })
+  };
+};
+
+// Middleware for Express (Fastify, Koa, Hono and raw http: see lib/adapters.mjs)
+export const requestLogger = (req, res, next) => {
+  const request = startRequestLog({ method: req.method, url: req.url, headers: req.headers });
+
+  req.logger = request.logger;
+  req.requestId = request.requestId;
+  req.trace = request.trace;
+  setTraceHeaders(res, request.trace);
+
   res.on('finish', () => {
-    logger.httpRequest(req, res, startTime);
+    req.logger.httpRequest(req, res, request.startTime);
+  });
+
+  // Everything downstream of next() logs with this request's ids
+  request.run(() => {
+    if (next) next();
   });
-  
-  if (next) next();
 };
 
 // Error handler middleware
@@ -0,0 +1,313 @@
+import fs from 'node:fs';
+import path from 'node:path';
+import readline from 'node:readline';
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const DURATIONS = {
+  ms: 1,
+  s: 1000,
+  m: 60 * 1000,
+  h: 60 * 60 * 1000,
+  d: 24 * 60 * 60 * 1000,
+  w: 7 * 24 * 60 * 60 * 1000
+};
+
+// NDJSON line -> entry, or null for anything that isn't a Logger entry
+export const parseLogLine = (line) => {
+  const trimmed = line.trim();
+  if (!trimmed.startsWith('{')) {
+    return null;
+  }
+  try {
+    const entry = JSON.parse(trimmed);
+    return entry && typeof entry === 'object' && !Array.isArray(entry) ? entry : null;
+  } catch {
+    return null;
+  }
+};
+
+export const parseDuration = (value) => {
+  const match = /^(\d+(?:\.\d+)?)\s*(ms|s|m|h|d|w)$/.exec(String(value).trim());
+  if (!match) {
+    throw new Error(`Invalid duration: ${value} (expected e.g. 30s, 15m, 2h, 1d)`);
+  }
+  return Number(match[1]) * DURATIONS[match[2]];
+};
+
+// '15m' / '2h' (ago) or anything Date can parse -> epoch ms
+export const parseTime = (value, now = Date.now()) => {
+  if (value === undefined || value === null || value === '') {
+    return undefined;
+  }
+  if (typeof value === 'number') {
+    return value;
+  }
+  if (/^\d+(?:\.\d+)?\s*(ms|s|m|h|d|w)$/.test(String(value).trim())) {
+    return now - parseDuration(value);
+  }
+  const time = Date.parse(value);
+  if (Number.isNaN(time)) {
+    throw new Error(`Invalid time: ${value}`);
+  }
+  return time;
+};
+
+// Dotted path lookup: 'error.code', 'user.id'
+export const getField = (entry, field) => {
+  let value = entry;
+  for (const key of field.split('.')) {
+    if (value === null || typeof value !== 'object') {
+      return undefined;
+    }
+    value = value[key];
+  }
+  return value;
+};
+
+const WHERE = /^([\w.@$-]+)\s*(!=|>=|<=|==|=|>|<|!~|~)\s*(.*)$/;
+
+const isNumeric = (value) => value !== '' && value !== null && !Number.isNaN(Number(value));
+
+const compare = (actual, op, expected) => {
+  if (actual === undefined) {
+    return op === '!=' || op === '!~';
+  }
+  if (op === '~' || op === '!~') {
+    const matches = expected.test(String(actual));
+    return op === '~' ? matches : !matches;
+  }
+
+  const numeric = isNumeric(actual) && isNumeric(expected);
+  const a = numeric ? Number(actual) : String(actual);
+  const b = numeric ? Number(expected) : String(expected);
+
+  switch (op) {
+  case '=':
+  case '==':
+    return a === b;
+  case '!=':
+    return a !== b;
+  case '>':
+    return a > b;
+  case '>=':
+    return a >= b;
+  case '<':
+    return a < b;
+  case '<=':
+    return a <= b;
+  default:
+    return false;
+  }
+};
+
+// 'status>=500', 'url~^/api', 'error.code!=ENOENT', or a bare 'field' for "exists"
+export const parseWhere = (expression) => {
+  const match = WHERE.exec(expression.trim());
+  if (!match) {
+    const field = expression.trim();
+    if (!/^[\w.@$-]+$/.test(field)) {
+      throw new Error(`Invalid filter expression: ${expression}`);
+    }
+    return (entry) => getField(entry, field) !== undefined;
+  }
+
+  const [, field, op, raw] = match;
+  let expected = raw.replace(/^(['"])(.*)\1$/, '$2');
+  if (op === '~' || op === '!~') {
+    try {
+      expected = new RegExp(expected);
+    } catch (error) {
+      throw new Error(`Invalid pattern in "${expression}": ${error.message}`);
+    }
+  }
+  return (entry) => compare(getField(entry, field), op, expected);
+};
+
+export const createLogFilter = (options = {}) => {
+  const predicates = [];
+
+  if (options.level) {
+    const min = LEVELS.indexOf(options.level);
+    if (min === -1) {
+      throw new Error(`Unknown log level: ${options.level}`);
+    }
+    predicates.push(entry => LEVELS.indexOf(entry.level) >= min);
+  }
+  if (options.service) {
+    predicates.push(entry => entry.service === options.service);
+  }
+  if (options.requestId) {
+    predicates.push(entry => entry.requestId === options.requestId);
+  }
+
+  const since = parseTime(options.since);
+  const until = parseTime(options.until);
+  if (since !== undefined || until !== undefined) {
+    predicates.push(entry => {
+      const time = Date.parse(entry.timestamp);
+      if (Number.isNaN(time)) {
+        return false;
+      }
+      return (since === undefined || time >= since) && (until === undefined || time <= until);
+    });
+  }
+
+  for (const expression of [].concat(options.where || [])) {
+    predicates.push(parseWhere(expression));
+  }
+
+  return (entry) => predicates.every(predicate => predicate(entry));
+};
+
+// logs/app.log.3, logs/app.log.2, logs/app.log.1, logs/app.log - oldest first
+export const listLogFiles = (dir = 'logs') => {
+  if (!fs.existsSync(dir)) {
+    return [];
+  }
+
+  const rotation = (file) => Number(/\.log\.(\d+)$/.exec(file)?.[1] || 0);
+  const base = (file) => file.replace(/\.\d+$/, '');
+
+  return fs.readdirSync(dir)
+    .filter(file => /\.log(\.\d+)?$/.test(file))
+    .sort((a, b) => base(a).localeCompare(base(b)) || rotation(b) - rotation(a))
+    .map(file => path.join(dir, file));
+};
+
+// Streams every entry from the files in order (non-JSON lines are skipped)
+export async function* readLogEntries(files) {
+  for (const file of files) {
+    const input = fs.createReadStream(file, { encoding: 'utf8' });
+    const lines = readline.createInterface({ input, crlfDelay: Infinity });
+    for await (const line of lines) {
+      const entry = parseLogLine(line);
+      if (entry) {
+        yield entry;
+      }
+    }
+  }
+}
+
+// Polls files for appended lines; survives rotation and truncation
+export class LogFollower {
+  constructor(files, options = {}) {
+    this.files = files;
+    this.interval = options.interval || 500;
+    this.onLine = options.onLine || (() => {});
+    this.state = new Map();
+    this.timer = null;
+  }
+
+  start({ fromStart = false } = {}) {
+    for (const file of this.files) {
+      const stat = this.stat(file);
+      this.state.set(file, {
+        fd: null,
+        ino: stat?.ino ?? null,
+        position: stat && !fromStart ? stat.size : 0,
+        partial: ''
+      });
+    }
+    this.timer = setInterval(() => this.poll(), this.interval);
+    return this;
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+    for (const state of this.state.values()) {
+      this.closeFd(state);
+    }
+  }
+
+  stat(file) {
+    try {
+      return fs.statSync(file);
+    } catch {
+      return null;
+    }
+  }
+
+  closeFd(state) {
+    if (state.fd !== null) {
+      fs.closeSync(state.fd);
+      state.fd = null;
+    }
+  }
+
+  readFrom(file, state) {
+    if (state.fd === null) {
+      try {
+        state.fd = fs.openSync(file, 'r');
+      } catch {
+        return;
+      }
+    }
+
+    const chunk = Buffer.alloc(64 * 1024);
+    let bytes;
+    while ((bytes = fs.readSync(state.fd, chunk, 0, chunk.length, state.position)) > 0) {
+      state.position += bytes;
+      const text = state.partial + chunk.toString('utf8', 0, bytes);
+      const lines = text.split('\n');
+      state.partial = lines.pop();
+      for (const line of lines) {
+        this.onLine(line, file);
+      }
+    }
+  }
+
+  // Several rotations between two polls: app.log.1 ... app.log.k-1 are newer than
+  // the file we had open (now app.log.k) and were never read
+  readSkippedRotations(file, ino) {
+    const skipped = [];
+    for (let i = 1; ; i++) {
+      const stat = this.stat(`${file}.${i}`);
+      if (!stat) {
+        return;
+      }
+      if (stat.ino === ino) {
+        break;
+      }
+      skipped.unshift(`${file}.${i}`);
+    }
+    for (const rotatedFile of skipped) {
+      const state = { fd: null, position: 0, partial: '' };
+      this.readFrom(rotatedFile, state);
+      if (state.partial) {
+        this.onLine(state.partial, file);
+      }
+      this.closeFd(state);
+    }
+  }
+
+  poll() {
+    for (const [file, state] of this.state) {
+      const stat = this.stat(file);
+      if (!stat) {
+        continue;
+      }
+
+      const rotated = state.ino !== null && stat.ino !== state.ino;
+      const truncated = !rotated && stat.size < state.position;
+      if (rotated || truncated) {
+        // Drain what was written to the old file before it was renamed
+        if (rotated && state.fd !== null) {
+          this.readFrom(file, state);
+        }
+        this.closeFd(state);
+        if (rotated) {
+          this.readSkippedRotations(file, state.ino);
+        }
+        state.position = 0;
+        state.partial = '';
+      }
+      state.ino = stat.ino;
+
+      if (stat.size > state.position || state.fd === null) {
+        this.readFrom(file, state);
+      }
+    }
+  }
+}
@@ -0,0 +1,253 @@
+import { healthChecker as defaultHealthChecker } from './health.mjs';
+import { inspector as defaultInspector } from './inspector.mjs';
+import { percentile } from './query.mjs';
+
+export const PROMETHEUS_CONTENT_TYPE = 'text/plain; version=0.0.4; charset=utf-8';
+export const OPENMETRICS_CONTENT_TYPE = 'application/openmetrics-text; version=1.0.0; charset=utf-8';
+
+const HEALTH_STATUSES = ['healthy', 'warning', 'critical', 'error'];
+
+// Quantiles reported for Inspector series, over the samples it still holds
+const QUANTILES = [0.5, 0.9, 0.99];
+
+// 'http.request.duration' -> 'http_request_duration'
+export const sanitizeMetricName = (name) => {
+  const sanitized = String(name).replace(/[^a-zA-Z0-9_:]/g, '_');
+  return /^[0-9]/.test(sanitized) ? `_${sanitized}` : sanitized;
+};
+
+// Label names can't contain ':' and '__' is reserved for Prometheus itself
+export const sanitizeLabelName = (name) => {
+  const sanitized = String(name).replace(/[^a-zA-Z0-9_]/g, '_').replace(/^__+/, '_');
+  return /^[0-9]/.test(sanitized) ? `_${sanitized}` : sanitized;
+};
+
+export const escapeLabelValue = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/"/g, '\\"')
+  .replace(/\n/g, '\\n');
+
+const escapeHelp = (text) => String(text).replace(/\\/g, '\\\\').replace(/\n/g, '\\n');
+
+const formatValue = (value) => {
+  if (typeof value === 'boolean') {
+    return value ? '1' : '0';
+  }
+  if (Number.isNaN(value)) {
+    return 'NaN';
+  }
+  if (value === Infinity) {
+    return '+Inf';
+  }
+  if (value === -Infinity) {
+    return '-Inf';
+  }
+  return String(value);
+};
+
+const formatLabels = (labels = {}) => {
+  const entries = Object.entries(labels).filter(([, value]) => value !== undefined && value !== null);
+  if (entries.length === 0) {
+    return '';
+  }
+  return `{${entries.map(([name, value]) => `${sanitizeLabelName(name)}="${escapeLabelValue(value)}"`).join(',')}}`;
+};
+
+// Names that collide once sanitized ('http.duration' and 'http_duration') become one family:
+// samples of the same type are merged, the first series with a given suffix and labels wins,
+// and a family of a different type than the first is dropped
+export const mergeFamilies = (families) => {
+  const merged = new Map();
+  const series = new Set();
+  for (const family of families) {
+    const name = sanitizeMetricName(family.name);
+    if (!merged.has(name)) {
+      merged.set(name, { ...family, name, samples: [] });
+    }
+    const target = merged.get(name);
+    if (target.type !== family.type) {
+      continue;
+    }
+    for (const sample of family.samples) {
+      const key = `${name}${sample.suffix ?? ''}${formatLabels(sample.labels)}`;
+      if (!series.has(key)) {
+        series.add(key);
+        target.samples.push(sample);
+      }
+    }
+  }
+  return [...merged.values()];
+};
+
+// Families: { name, help, type: 'gauge' | 'counter' | 'summary', samples: [{ suffix, labels, value }] }.
+// Counter samples get the `_total` suffix; OpenMetrics names the family without it and ends with # EOF.
+export const formatMetrics = (families, options = {}) => {
+  const { openMetrics = false } = options;
+  const lines = [];
+  for (const family of mergeFamilies(families)) {
+    if (family.samples.length === 0) {
+      continue;
+    }
+    const { name } = family;
+    const typeName = family.type === 'counter' && !openMetrics ? `${name}_total` : name;
+    if (family.help) {
+      lines.push(`# HELP ${typeName} ${escapeHelp(family.help)}`);
+    }
+    lines.push(`# TYPE ${typeName} ${family.type}`);
+    for (const sample of family.samples) {
+      const suffix = sample.suffix ?? (family.type === 'counter' ? '_total' : '');
+      lines.push(`${name}${suffix}${formatLabels(sample.labels)} ${formatValue(sample.value)}`);
+    }
+  }
+  if (openMetrics) {
+    lines.push('# EOF');
+  }
+  return lines.join('\n') + '\n';
+};
+
+// Same walk as HealthChecker.flattenChecks: only a string status marks a result
+const flattenReport = (checks, prefix = '') => Object.entries(checks || {}).flatMap(([key, value]) => {
+  if (typeof value?.status === 'string') {
+    return [{ name: prefix + key, ...value }];
+  }
+  return value && typeof value === 'object' ? flattenReport(value, `${prefix}${key}.`) : [];
+});
+
+// runHealthCheck report -> status (one sample per possible state), up and duration gauges
+export const collectHealthMetrics = (report) => {
+  const checks = flattenReport(report.checks);
+  return [
+    {
+      name: 'dr_cursored_health_status',
+      help: 'Overall health status (1 for the current state)',
+      type: 'gauge',
+      samples: HEALTH_STATUSES.map(status => ({ labels: { status }, value: report.overall === status ? 1 : 0 }))
+    },
+    {
+      name: 'dr_cursored_health_check_status',
+      help: 'Health check status (1 for the current state)',
+      type: 'gauge',
+      samples: checks.flatMap(check => HEALTH_STATUSES.map(status => ({
+        labels: { check: check.name, status },
+        value: check.status === status ? 1 : 0
+      })))
+    },
+    {
+      name: 'dr_cursored_health_check_up',
+      help: 'Whether the health check is passing (healthy or warning)',
+      type: 'gauge',
+      samples: checks.map(check => ({ labels: { check: check.name }, value: check.status === 'healthy' || check.status === 'warning' ? 1 : 0 }))
+    },
+    {
+      name: 'dr_cursored_health_check_duration_seconds',
+      help: 'Duration of the last run of the health check',
+      type: 'gauge',
+      samples: checks
+        .filter(check => Number.isFinite(check.duration))
+        .map(check => ({ labels: { check: check.name }, value: check.duration / 1000 }))
+    },
+    {
+      name: 'dr_cursored_health_duration_seconds',
+      help: 'Duration of the last health check run',
+      type: 'gauge',
+      samples: Number.isFinite(report.duration) ? [{ value: report.duration / 1000 }] : []
+    }
+  ];
+};
+
+// Names follow the standard process_* / nodejs_* metrics so existing dashboards work
+export const collectProcessMetrics = () => {
+  const cpu = process.cpuUsage();
+  const memory = process.memoryUsage();
+  return [
+    { name: 'process_cpu_user_seconds', help: 'Total user CPU time spent in seconds', type: 'counter', samples: [{ value: cpu.user / 1e6 }] },
+    { name: 'process_cpu_system_seconds', help: 'Total system CPU time spent in seconds', type: 'counter', samples: [{ value: cpu.system / 1e6 }] },
+    { name: 'process_cpu_seconds', help: 'Total user and system CPU time spent in seconds', type: 'counter', samples: [{ value: (cpu.user + cpu.system) / 1e6 }] },
+    { name: 'process_resident_memory_bytes', help: 'Resident memory size in bytes', type: 'gauge', samples: [{ value: memory.rss }] },
+    { name: 'process_start_time_seconds', help: 'Start time of the process since unix epoch in seconds', type: 'gauge', samples: [{ value: Math.round(Date.now() / 1000 - process.uptime()) }] },
+    { name: 'nodejs_heap_size_total_bytes', help: 'Process heap size from Node.js in bytes', type: 'gauge', samples: [{ value: memory.heapTotal }] },
+    { name: 'nodejs_heap_size_used_bytes', help: 'Process heap size used from Node.js in bytes', type: 'gauge', samples: [{ value: memory.heapUsed }] },
+    { name: 'nodejs_external_memory_bytes', help: 'Node.js external memory size in bytes', type: 'gauge', samples: [{ value: memory.external }] }
+  ];
+};
+
+// Every Inspector.recordMetric series as a summary: quantiles over the retained samples,
+// count and sum over everything recorded
+export const collectInspectorMetrics = (inspector) => {
+  const families = [];
+  for (const name of inspector.metrics.keys()) {
+    const samples = [];
+    for (const { tags, count, sum, values } of inspector.getMetricSeries(name)) {
+      const sorted = [...values].sort((a, b) => a - b);
+      if (sorted.length > 0) {
+        for (const quantile of QUANTILES) {
+          samples.push({ labels: { ...tags, quantile }, value: percentile(sorted, quantile * 100) });
+        }
+      }
+      samples.push({ suffix: '_sum', labels: tags, value: sum });
+      samples.push({ suffix: '_count', labels: tags, value: count });
+    }
+    families.push({ name, help: `Inspector metric ${name}`, type: 'summary', samples });
+  }
+  return families;
+};
+
+const wantsOpenMetrics = (req) => /application\/openmetrics-text/.test(req.headers?.accept || '');
+
+// Scrapes within this many ms of the last health run reuse its report
+const HEALTH_TTL = 15000;
+
+// GET /metrics - health checks (runHealthCheck options in `health`, false to skip),
+// process metrics and Inspector series, as Prometheus text or OpenMetrics when accepted.
+// Metrics describe the process serving them, so apps mount this on their own server.
+export const createMetricsEndpoint = (options = {}) => {
+  const checker = options.healthChecker || defaultHealthChecker;
+  const source = options.inspector || defaultInspector;
+  // git status spawns a process on every run; opt back in with health: { includeGit: true }
+  const health = options.health === false ? false : { includeGit: false, ...options.health };
+  const healthTtl = options.healthTtl ?? HEALTH_TTL;
+  let cached = null;
+
+  // Concurrent scrapes share one run; failed runs aren't cached
+  const healthReport = () => {
+    if (!cached || Date.now() - cached.at >= healthTtl) {
+      const run = { at: Date.now(), report: checker.runHealthCheck(health) };
+      run.report.catch(() => {
+        if (cached === run) {
+          cached = null;
+        }
+      });
+      cached = run;
+    }
+    return cached.report;
+  };
+
+  return async (req, res) => {
+    const families = [];
+    let statusCode = 200;
+    try {
+      if (health !== false) {
+        families.push(...collectHealthMetrics(await healthReport()));
+      }
+      if (options.process !== false) {
+        families.push(...collectProcessMetrics());
+      }
+      families.push(...collectInspectorMetrics(source));
+    } catch (error) {
+      statusCode = 500;
+      families.length = 0;
+      families.push({ name: 'dr_cursored_metrics_error', help: error.message, type: 'gauge', samples: [{ value: 1 }] });
+    }
+
+    const openMetrics = wantsOpenMetrics(req);
+    const contentType = openMetrics ? OPENMETRICS_CONTENT_TYPE : PROMETHEUS_CONTENT_TYPE;
+    const body = formatMetrics(families, { openMetrics });
+    if (typeof res.writeHead === 'function') {
+      res.writeHead(statusCode, { 'Content-Type': contentType, 'Cache-Control': 'no-store' });
+      res.end(body);
+    } else {
+      // Fastify reply
+      res.code(statusCode).header('Content-Type', contentType).send(body);
+    }
+  };
+};
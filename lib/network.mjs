@@ -0,0 +1,295 @@
+import dgram from 'node:dgram';
+import dns from 'node:dns';
+import net from 'node:net';
+import { performance } from 'node:perf_hooks';
+
+// Banners and replies beyond this are not kept
+const MAX_REPLY_SIZE = 64 * 1024;
+
+// How long a UDP check without `expect` waits for the port to be refused
+const UDP_GRACE_PERIOD = 200;
+
+const elapsed = (start) => Math.round((performance.now() - start) * 10) / 10;
+
+// 'host:port', '[::1]:port', 'tcp://host:port' or { host, port }
+export const parseHostPort = (target, defaultPort) => {
+  if (typeof target === 'object' && target !== null) {
+    return { ...target, port: Number(target.port ?? defaultPort) };
+  }
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(target)) {
+    const url = new URL(target);
+    return { host: url.hostname.replace(/^\[|\]$/g, ''), port: Number(url.port) || defaultPort };
+  }
+  const match = /^\[([^\]]+)\](?::(\d+))?$/.exec(target) || /^([^:]+)(?::(\d+))?$/.exec(target);
+  if (!match || !(match[2] || defaultPort)) {
+    throw new Error(`Invalid target "${target}", expected host:port`);
+  }
+  return { host: match[1], port: match[2] ? Number(match[2]) : defaultPort };
+};
+
+// RegExp, '/pattern/flags' or a plain substring
+const toMatcher = (pattern) => {
+  if (pattern instanceof RegExp) {
+    return pattern;
+  }
+  const match = /^\/(.*)\/([a-z]*)$/s.exec(pattern);
+  if (match) {
+    return new RegExp(match[1], match[2]);
+  }
+  return { test: (text) => text.includes(pattern), toString: () => JSON.stringify(pattern) };
+};
+
+const excerpt = (text) => {
+  const line = text.replace(/\r?\n/g, '\\n');
+  return line.length > 120 ? `${line.slice(0, 117)}...` : line;
+};
+
+const abortable = (signal, timeout) => signal || AbortSignal.timeout(timeout || 5000);
+
+// Connects, optionally writes `send`, and waits for data matching `banner`.
+// Resolves { host, port, connectTime, banner, responseTime } or throws.
+export const probeTcp = (target, options = {}) => new Promise((resolve, reject) => {
+  // Objects can carry their own send/banner
+  const { host, port, ...settings } = parseHostPort(target);
+  const { send, banner } = { ...settings, ...options };
+  const signal = abortable(options.signal, options.timeout);
+  const matcher = banner === undefined ? null : toMatcher(banner);
+  const startTime = performance.now();
+  let connectTime = null;
+  let received = '';
+
+  const socket = net.connect({ host, port });
+  let done = false;
+  const finish = (error, result) => {
+    if (done) {
+      return;
+    }
+    done = true;
+    signal.removeEventListener('abort', onAbort);
+    socket.destroy();
+    if (error) {
+      reject(Object.assign(error, { host, port, received: received || undefined }));
+    } else {
+      resolve(result);
+    }
+  };
+  const onAbort = () => {
+    const waiting = connectTime === null ? 'connecting' : 'waiting for banner';
+    finish(new Error(`Timed out ${waiting}`));
+  };
+  signal.addEventListener('abort', onAbort, { once: true });
+
+  socket.once('connect', () => {
+    connectTime = elapsed(startTime);
+    if (send !== undefined) {
+      socket.write(send);
+    }
+    if (!matcher) {
+      finish(null, { host, port, connectTime });
+    }
+  });
+  socket.on('data', (chunk) => {
+    received = (received + chunk.toString('utf8')).slice(0, MAX_REPLY_SIZE);
+    if (matcher && matcher.test(received)) {
+      finish(null, { host, port, connectTime, banner: received, responseTime: elapsed(startTime) });
+    }
+  });
+  socket.once('end', () => {
+    finish(new Error(`Connection closed before banner matched ${matcher}`));
+  });
+  socket.once('error', (error) => finish(error));
+});
+
+// Sends one datagram to a connected UDP socket and waits for a reply matching `expect`.
+// Without `expect` it waits `grace` ms for an ICMP port unreachable (ECONNREFUSED) and
+// resolves if none arrives; hosts that drop the datagram silently still pass.
+export const probeUdp = (target, options = {}) => new Promise((resolve, reject) => {
+  const { host, port, ...settings } = parseHostPort(target);
+  const { send = '', expect, grace = UDP_GRACE_PERIOD } = { ...settings, ...options };
+  const signal = abortable(options.signal, options.timeout);
+  const matcher = expect === undefined ? null : toMatcher(expect);
+  const startTime = performance.now();
+  let received = '';
+  let sent = null;
+  let graceTimer = null;
+
+  const socket = dgram.createSocket(net.isIPv6(host) ? 'udp6' : 'udp4');
+  let done = false;
+  const finish = (error, result) => {
+    if (done) {
+      return;
+    }
+    done = true;
+    clearTimeout(graceTimer);
+    signal.removeEventListener('abort', onAbort);
+    socket.close();
+    if (error) {
+      reject(Object.assign(error, { host, port, received: received || undefined }));
+    } else {
+      resolve(result);
+    }
+  };
+  const onAbort = () => (sent && !matcher ? finish(null, sent) : finish(new Error('Timed out waiting for reply')));
+  signal.addEventListener('abort', onAbort, { once: true });
+
+  socket.once('error', (error) => finish(error));
+  socket.on('message', (message) => {
+    received = message.toString('utf8', 0, MAX_REPLY_SIZE);
+    if (matcher && matcher.test(received)) {
+      finish(null, { host, port, reply: received, responseTime: elapsed(startTime) });
+    }
+  });
+  socket.connect(port, host, () => {
+    socket.send(send, (error) => {
+      if (error) {
+        finish(error);
+      } else if (!matcher) {
+        sent = { host, port, responseTime: elapsed(startTime), grace };
+        graceTimer = setTimeout(() => finish(null, sent), grace);
+      }
+    });
+  });
+});
+
+// Comparable strings for every record type resolve() returns
+const formatRecord = (type, record) => {
+  switch (type) {
+  case 'MX':
+    return record.exchange;
+  case 'TXT':
+    return record.join('');
+  case 'SRV':
+    return `${record.name}:${record.port}`;
+  case 'SOA':
+    return record.nsname;
+  case 'LOOKUP':
+    return record.address;
+  default:
+    return typeof record === 'object' ? JSON.stringify(record) : String(record);
+  }
+};
+
+// Resolves `hostname` with the system resolver config (or `servers`), timing the query.
+// type 'LOOKUP' goes through getaddrinfo instead, so /etc/hosts entries count.
+export const resolveRecords = async (hostname, options = {}) => {
+  const type = (options.type || 'A').toUpperCase();
+  const signal = abortable(options.signal, options.timeout);
+  const startTime = performance.now();
+
+  if (type === 'LOOKUP') {
+    const records = await dns.promises.lookup(hostname, { all: true });
+    return { type, records: records.map(record => formatRecord(type, record)), resolveTime: elapsed(startTime) };
+  }
+
+  const resolver = new dns.promises.Resolver({ timeout: options.timeout || 5000, tries: 1 });
+  if (options.servers) {
+    resolver.setServers([].concat(options.servers));
+  }
+  const onAbort = () => resolver.cancel();
+  signal.addEventListener('abort', onAbort, { once: true });
+  try {
+    const records = await resolver.resolve(hostname, type);
+    return {
+      type,
+      records: [].concat(records).map(record => formatRecord(type, record)),
+      resolveTime: elapsed(startTime),
+      servers: resolver.getServers()
+    };
+  } finally {
+    signal.removeEventListener('abort', onAbort);
+  }
+};
+
+const targetLabel = (target, host, port) => (typeof target === 'string' ? target : `${host}:${port}`);
+
+// Health check result for a raw TCP service (brokers, SMTP relays, ...)
+export async function checkTcpConnection(target, options = {}) {
+  let host;
+  let port;
+  try {
+    ({ host, port } = parseHostPort(target));
+    const result = await probeTcp(target, options);
+    const label = targetLabel(target, host, port);
+    return {
+      status: 'healthy',
+      data: { target: label, ...result },
+      message: result.banner === undefined
+        ? `TCP connected in ${result.connectTime}ms: ${label}`
+        : `TCP banner matched in ${result.responseTime}ms: ${label} (${excerpt(result.banner.trim())})`
+    };
+  } catch (error) {
+    const label = host ? targetLabel(target, host, port) : String(target);
+    return {
+      status: 'error',
+      data: { target: label, error: error.message, code: error.code, received: error.received },
+      message: error.received
+        ? `TCP check failed: ${label} - ${error.message}, got "${excerpt(error.received)}"`
+        : `TCP check failed: ${label} - ${error.message}`
+    };
+  }
+}
+
+// Health check result for a UDP service (syslog, statsd, DNS, ...)
+export async function checkUdpService(target, options = {}) {
+  let host;
+  let port;
+  try {
+    ({ host, port } = parseHostPort(target));
+    const result = await probeUdp(target, options);
+    const label = targetLabel(target, host, port);
+    return {
+      status: 'healthy',
+      data: { target: label, ...result },
+      message: result.reply === undefined
+        ? `UDP datagram sent, not refused within ${result.grace}ms: ${label}`
+        : `UDP reply in ${result.responseTime}ms: ${label}`
+    };
+  } catch (error) {
+    const label = host ? targetLabel(target, host, port) : String(target);
+    return {
+      status: 'error',
+      data: { target: label, error: error.message, code: error.code, received: error.received },
+      message: error.received
+        ? `UDP check failed: ${label} - ${error.message}, got "${excerpt(error.received)}"`
+        : `UDP check failed: ${label} - ${error.message}`
+    };
+  }
+}
+
+// Health check result for a DNS name: every `expect`ed record must be present and
+// resolution slower than `maxResolveTime` is a warning
+export async function checkDnsResolution(hostname, options = {}) {
+  const type = (options.type || 'A').toUpperCase();
+  let result;
+  try {
+    result = await resolveRecords(hostname, options);
+  } catch (error) {
+    return {
+      status: 'error',
+      data: { hostname, type, error: error.message, code: error.code },
+      message: `DNS ${type} lookup failed: ${hostname} - ${error.code || error.message}`
+    };
+  }
+
+  const data = { hostname, ...result };
+  const missing = [].concat(options.expect ?? []).filter(record => !result.records.includes(record));
+  if (missing.length > 0) {
+    return {
+      status: 'error',
+      data: { ...data, missing },
+      message: `DNS ${type} ${hostname} is missing ${missing.join(', ')} (got ${result.records.join(', ') || 'nothing'})`
+    };
+  }
+  if (options.maxResolveTime !== undefined && result.resolveTime > options.maxResolveTime) {
+    return {
+      status: 'warning',
+      data,
+      message: `DNS ${type} ${hostname} resolved in ${result.resolveTime}ms, expected at most ${options.maxResolveTime}ms`
+    };
+  }
+  return {
+    status: 'healthy',
+    data,
+    message: `DNS ${type} ${hostname} resolved in ${result.resolveTime}ms: ${result.records.join(', ')}`
+  };
+}
@@ -0,0 +1,363 @@
+import diagnosticsChannel from 'node:diagnostics_channel';
+import http from 'node:http';
+import https from 'node:https';
+import { syncBuiltinESMExports } from 'node:module';
+import { performance } from 'node:perf_hooks';
+import { logger as defaultLogger } from './logger.mjs';
+import { contextStorage, getContext } from './context.mjs';
+import { formatTraceparent, generateSpanId } from './tracing.mjs';
+
+// http.client.request.start is only published once the request has been sent, too
+// late to add headers, so node:http/https are hooked by wrapping request()/get().
+// Global fetch (undici) is observed through its diagnostics channels.
+const CHANNELS = {
+  undiciCreate: 'undici:request:create',
+  undiciHeaders: 'undici:request:headers',
+  undiciTrailers: 'undici:request:trailers',
+  undiciError: 'undici:request:error'
+};
+
+const byteLength = (chunk, encoding) => {
+  if (typeof chunk === 'string') {
+    return Buffer.byteLength(chunk, typeof encoding === 'string' ? encoding : 'utf8');
+  }
+  return chunk && typeof chunk.length === 'number' ? chunk.length : 0;
+};
+
+// undici keeps raw headers as [name, value, name, value...] buffers
+const rawHeader = (headers, name) => {
+  if (!Array.isArray(headers)) {
+    return undefined;
+  }
+  for (let i = 0; i < headers.length - 1; i += 2) {
+    if (String(headers[i]).toLowerCase() === name) {
+      return String(headers[i + 1]);
+    }
+  }
+  return undefined;
+};
+
+const hasHeader = (headers, name) => {
+  if (Array.isArray(headers)) {
+    return rawHeader(headers, name) !== undefined;
+  }
+  return typeof headers === 'string' && headers.toLowerCase().includes(`${name}:`);
+};
+
+const matches = (rule, url) => {
+  if (typeof rule === 'function') {
+    return rule(url);
+  }
+  if (rule instanceof RegExp) {
+    return rule.test(url);
+  }
+  return url.includes(rule);
+};
+
+export class OutgoingHttpInstrumentation {
+  constructor(options = {}) {
+    this.logger = options.logger || defaultLogger;
+    this.inspector = options.inspector || null;
+    // Add traceparent/x-request-id to outgoing calls made inside a request
+    this.propagate = options.propagate !== false;
+    this.ignore = [].concat(options.ignore || []);
+    this.captureHttp = options.http !== false;
+    this.captureFetch = options.fetch !== false;
+    this.calls = new WeakMap();
+    // fetch calls logged at headers whose body is still being read
+    this.bodies = new WeakMap();
+    this.subscriptions = [];
+    this.patches = [];
+  }
+
+  enable() {
+    if (this.subscriptions.length > 0 || this.patches.length > 0) {
+      return this;
+    }
+    if (this.captureHttp) {
+      this.patchModule(http);
+      this.patchModule(https);
+      // Keep `import { request } from 'node:http'` in sync with the patched module
+      syncBuiltinESMExports();
+    }
+    if (this.captureFetch) {
+      this.subscribe(CHANNELS.undiciCreate, ({ request }) => this.onFetchStart(request));
+      this.subscribe(CHANNELS.undiciHeaders, ({ request, response }) => this.onFetchHeaders(request, response));
+      this.subscribe(CHANNELS.undiciTrailers, ({ request }) => this.onFetchBody(request));
+      this.subscribe(CHANNELS.undiciError, ({ request, error }) => this.onFetchError(request, error));
+    }
+    return this;
+  }
+
+  disable() {
+    for (const [name, handler] of this.subscriptions) {
+      diagnosticsChannel.unsubscribe(name, handler);
+    }
+    this.subscriptions = [];
+
+    // Only restore what is still ours (another wrapper may have been installed on top)
+    for (const { module, name, original, wrapper } of this.patches) {
+      if (module[name] === wrapper) {
+        module[name] = original;
+      }
+    }
+    if (this.patches.length > 0) {
+      this.patches = [];
+      syncBuiltinESMExports();
+    }
+    return this;
+  }
+
+  patchModule(module) {
+    const instrumentation = this;
+    const originalRequest = module.request;
+    const request = function(...args) {
+      const req = originalRequest.apply(this, args);
+      instrumentation.onHttpStart(req);
+      return req;
+    };
+    // The original get() ends the request before returning it
+    const get = function(...args) {
+      const req = request.apply(this, args);
+      req.end();
+      return req;
+    };
+
+    this.patches.push(
+      { module, name: 'request', original: originalRequest, wrapper: request },
+      { module, name: 'get', original: module.get, wrapper: get }
+    );
+    module.request = request;
+    module.get = get;
+  }
+
+  subscribe(name, handler) {
+    diagnosticsChannel.subscribe(name, handler);
+    this.subscriptions.push([name, handler]);
+  }
+
+  isIgnored(url) {
+    return this.ignore.some(rule => matches(rule, url));
+  }
+
+  // Runs synchronously in the caller's async context, so the request context is still visible
+  start(key, { method, url, setHeader }) {
+    if (this.isIgnored(url)) {
+      return null;
+    }
+
+    const context = getContext();
+    const call = {
+      method,
+      url,
+      context,
+      startTime: performance.now(),
+      spanId: generateSpanId(),
+      bytesSent: 0,
+      bytesReceived: null,
+      status: null,
+      traceId: null
+    };
+
+    if (context?.traceId) {
+      call.traceId = context.traceId;
+      if (this.propagate) {
+        setHeader('traceparent', formatTraceparent({ traceId: context.traceId, spanId: call.spanId }));
+        if (context.requestId) {
+          setHeader('x-request-id', context.requestId);
+        }
+      }
+    }
+
+    if (this.inspector) {
+      call.inspectorTraceId = this.inspector.startTrace(`HTTP ${method} ${url}`, {
+        kind: 'client',
+        method,
+        url,
+        traceId: call.traceId,
+        spanId: call.spanId,
+        parentSpanId: context?.spanId
+      }, this.inspector.findSpan(context?.spanId));
+    }
+
+    this.calls.set(key, call);
+    return call;
+  }
+
+  onHttpStart(request) {
+    const protocol = request.protocol || 'http:';
+    const url = `${protocol}//${request.getHeader('host') || request.host}${request.path}`;
+    const call = this.start(request, {
+      method: request.method,
+      url,
+      // Headers given as an array are flushed in the constructor
+      setHeader: (name, value) => {
+        if (!request.headersSent && !request.hasHeader(name)) {
+          request.setHeader(name, value);
+        }
+      }
+    });
+    if (!call) {
+      return;
+    }
+
+    // Observe without adding listeners that would change stream or error semantics
+    const { write, end, emit } = request;
+    request.write = function(chunk, encoding, ...rest) {
+      call.bytesSent += byteLength(chunk, encoding);
+      return write.call(this, chunk, encoding, ...rest);
+    };
+    request.end = function(chunk, encoding, ...rest) {
+      if (chunk && typeof chunk !== 'function') {
+        call.bytesSent += byteLength(chunk, encoding);
+      }
+      return end.call(this, chunk, encoding, ...rest);
+    };
+    // A 'response' listener would stop Node from discarding unread responses
+    const instrumentation = this;
+    request.emit = function(event, ...args) {
+      if (event === 'response') {
+        instrumentation.onHttpResponse(call, args[0]);
+      } else if (event === 'error') {
+        instrumentation.finish(request, args[0]);
+      }
+      return emit.call(this, event, ...args);
+    };
+    // Also covers aborted requests and responses closed early
+    request.once('close', () => this.finish(request));
+  }
+
+  onHttpResponse(call, response) {
+    call.status = response.statusCode;
+    call.bytesReceived = 0;
+    const push = response.push;
+    response.push = function(chunk, encoding) {
+      if (chunk) {
+        call.bytesReceived += byteLength(chunk, encoding);
+      }
+      return push.call(this, chunk, encoding);
+    };
+  }
+
+  onFetchStart(request) {
+    const call = this.start(request, {
+      method: request.method,
+      url: `${request.origin}${request.path}`,
+      setHeader: (name, value) => {
+        if (!hasHeader(request.headers, name)) {
+          request.addHeader(name, value);
+        }
+      }
+    });
+    if (!call) {
+      return;
+    }
+    // fetch() hands undici a stream, so the size is only known when it was declared
+    const length = rawHeader(request.headers, 'content-length');
+    if (typeof request.body === 'string' || Buffer.isBuffer(request.body)) {
+      call.bytesSent = byteLength(request.body);
+    } else if (length !== undefined) {
+      call.bytesSent = Number(length);
+    } else if (request.body) {
+      call.bytesSent = null;
+    }
+  }
+
+  onFetchHeaders(request, response) {
+    const call = this.calls.get(request);
+    if (!call) {
+      return;
+    }
+    call.status = response.statusCode;
+    // The body is streamed to the caller; only the declared length is known here
+    const length = rawHeader(response.headers, 'content-length');
+    call.bytesReceived = length !== undefined ? Number(length) : null;
+
+    // Trailers only come once the caller reads the whole body, which it may never do
+    const trace = this.finish(request);
+    this.bodies.set(request, { call, trace, headersAt: performance.now() });
+  }
+
+  onFetchBody(request) {
+    const body = this.bodies.get(request);
+    if (!body) {
+      return;
+    }
+    this.bodies.delete(request);
+    if (body.trace) {
+      body.trace.result.bodyDuration = Math.round((performance.now() - body.headersAt) * 100) / 100;
+    }
+  }
+
+  onFetchError(request, error) {
+    if (this.calls.has(request)) {
+      this.finish(request, error);
+      return;
+    }
+    const body = this.bodies.get(request);
+    if (!body) {
+      return;
+    }
+    this.bodies.delete(request);
+    // The caller cancelled the body (or aborted) after the call was logged
+    if (error?.name === 'AbortError') {
+      return;
+    }
+    const { call } = body;
+    if (body.trace) {
+      body.trace.result.error = String(error?.message || error);
+    }
+    contextStorage.run(call.context || {}, () => {
+      this.logger.error('Outgoing HTTP response body failed', {
+        method: call.method,
+        url: call.url,
+        status: call.status,
+        spanId: call.spanId,
+        error
+      });
+    });
+  }
+
+  // Logs the call and ends its Inspector span, which is returned
+  finish(key, error) {
+    const call = this.calls.get(key);
+    if (!call) {
+      return null;
+    }
+    this.calls.delete(key);
+
+    const duration = Math.round((performance.now() - call.startTime) * 100) / 100;
+    const failed = Boolean(error) || call.status === null;
+    const level = failed || call.status >= 500 ? 'error' : call.status >= 400 ? 'warn' : 'info';
+    const meta = {
+      method: call.method,
+      url: call.url,
+      status: call.status,
+      duration,
+      bytesSent: call.bytesSent,
+      bytesReceived: call.bytesReceived,
+      spanId: call.spanId
+    };
+    if (call.context?.spanId) {
+      meta.parentSpanId = call.context.spanId;
+    }
+    if (error) {
+      meta.error = error;
+    } else if (call.status === null) {
+      meta.error = 'Request closed before a response was received';
+    }
+
+    let trace = null;
+    if (this.inspector && call.inspectorTraceId) {
+      trace = this.inspector.endTrace(call.inspectorTraceId, { status: call.status, bytesReceived: call.bytesReceived, error: meta.error && String(meta.error.message || meta.error) });
+    }
+
+    // Socket callbacks can run outside (or in another request's) context: log in the caller's
+    contextStorage.run(call.context || {}, () => {
+      this.logger.log(level, 'Outgoing HTTP request', meta);
+    });
+    return trace;
+  }
+}
+
+export const instrumentOutgoingHttp = (options = {}) => new OutgoingHttpInstrumentation(options).enable();
@@ -0,0 +1,345 @@
+import fs from 'node:fs';
+import { parseLogLine, parseDuration, parseTime, getField, createLogFilter, listLogFiles } from './logs.mjs';
+
+const CHUNK_SIZE = 64 * 1024;
+
+const AGGREGATION = /^(count|sum|avg|min|max|p(\d+(?:\.\d+)?))(?:\(([\w.@$-]+)\))?$/;
+
+// Complete lines of a file from `start`, with the byte offset just past each one
+async function* readLines(file, start = 0) {
+  const handle = await fs.promises.open(file, 'r');
+  try {
+    const chunk = Buffer.alloc(CHUNK_SIZE);
+    let position = start;
+    let pending = Buffer.alloc(0);
+    let bytes;
+    while ((bytes = (await handle.read(chunk, 0, CHUNK_SIZE, position)).bytesRead) > 0) {
+      let buffer = Buffer.concat([pending, chunk.subarray(0, bytes)]);
+      const offset = position - pending.length;
+      position += bytes;
+
+      let lineStart = 0;
+      let newline;
+      while ((newline = buffer.indexOf(0x0a, lineStart)) !== -1) {
+        yield { line: buffer.toString('utf8', lineStart, newline), end: offset + newline + 1 };
+        lineStart = newline + 1;
+      }
+      buffer = buffer.subarray(lineStart);
+      pending = Buffer.from(buffer);
+    }
+  } finally {
+    await handle.close();
+  }
+}
+
+const entryTime = (entry) => {
+  const time = Date.parse(entry.timestamp);
+  return Number.isNaN(time) ? null : time;
+};
+
+// Per-file time index: checkpoints every N entries let time-bounded queries skip
+// whole files and seek past old entries. Files are re-indexed incrementally as they
+// grow and from scratch when they are rotated or truncated.
+export class LogIndex {
+  constructor(options = {}) {
+    this.checkpointEvery = options.checkpointEvery || 1000;
+    this.files = new Map();
+  }
+
+  async update(file) {
+    const stat = await fs.promises.stat(file);
+    let record = this.files.get(file);
+
+    if (!record || record.ino !== stat.ino || stat.size < record.size) {
+      record = {
+        ino: stat.ino,
+        size: 0,
+        entries: 0,
+        firstTime: null,
+        lastTime: null,
+        maxTime: null,
+        // { offset, maxTimeBefore }: every entry before offset is at or before maxTimeBefore
+        checkpoints: []
+      };
+      this.files.set(file, record);
+    }
+    if (stat.size === record.size) {
+      return record;
+    }
+
+    for await (const { line, end } of readLines(file, record.size)) {
+      record.size = end;
+      const entry = parseLogLine(line);
+      const time = entry ? entryTime(entry) : null;
+      if (time === null) {
+        continue;
+      }
+      if (record.entries > 0 && record.entries % this.checkpointEvery === 0) {
+        record.checkpoints.push({ offset: end - Buffer.byteLength(line) - 1, maxTimeBefore: record.maxTime });
+      }
+      record.entries++;
+      record.firstTime = record.firstTime === null ? time : Math.min(record.firstTime, time);
+      record.lastTime = time;
+      record.maxTime = record.maxTime === null ? time : Math.max(record.maxTime, time);
+    }
+    return record;
+  }
+
+  // Byte offset to start reading from, or -1 when nothing in the file can match
+  async seek(file, { since, until } = {}) {
+    const record = await this.update(file);
+    if (record.entries === 0) {
+      return { start: 0, record };
+    }
+    if ((since !== undefined && record.maxTime < since) || (until !== undefined && record.firstTime > until)) {
+      return { start: -1, record };
+    }
+
+    let start = 0;
+    if (since !== undefined) {
+      for (const checkpoint of record.checkpoints) {
+        if (checkpoint.maxTimeBefore >= since) {
+          break;
+        }
+        start = checkpoint.offset;
+      }
+    }
+    return { start, record };
+  }
+
+  async *entries(files, range = {}) {
+    for (const file of files) {
+      const { start, record } = await this.seek(file, range);
+      if (start === -1) {
+        continue;
+      }
+      for await (const { line, end } of readLines(file, start)) {
+        if (end > record.size) {
+          break;
+        }
+        const entry = parseLogLine(line);
+        if (entry) {
+          yield entry;
+        }
+      }
+    }
+  }
+}
+
+// 'count', 'p95(duration)', 'avg(duration)' -> { name, type, field, percentile }
+export const parseAggregation = (spec) => {
+  const match = AGGREGATION.exec(String(spec).trim());
+  if (!match || (match[1] !== 'count' && !match[3])) {
+    throw new Error(`Invalid aggregation: ${spec} (expected count, sum(field), avg(field), min(field), max(field) or p95(field))`);
+  }
+  const [, type, percentile, field] = match;
+  const percentileValue = percentile !== undefined ? Number(percentile) : undefined;
+  if (percentileValue !== undefined && percentileValue > 100) {
+    throw new Error(`Invalid percentile: ${spec}`);
+  }
+  return {
+    name: field ? `${type}(${field})` : type,
+    type: percentileValue !== undefined ? 'percentile' : type,
+    field,
+    percentile: percentileValue
+  };
+};
+
+// Linear interpolation between closest ranks
+export const percentile = (sorted, p) => {
+  if (sorted.length === 0) {
+    return null;
+  }
+  const rank = (p / 100) * (sorted.length - 1);
+  const lower = Math.floor(rank);
+  const upper = Math.ceil(rank);
+  return sorted[lower] + (sorted[upper] - sorted[lower]) * (rank - lower);
+};
+
+// 42, '42', '42ms' -> 42
+const toNumber = (value) => {
+  if (typeof value === 'number') {
+    return Number.isFinite(value) ? value : null;
+  }
+  const number = parseFloat(value);
+  return Number.isNaN(number) ? null : number;
+};
+
+const round = (value) => (value === null ? null : Math.round(value * 100) / 100);
+
+export class LogAggregator {
+  constructor(options = {}) {
+    this.groupBy = [].concat(options.groupBy || []);
+    this.bucket = options.bucket ? parseDuration(options.bucket) : null;
+    this.aggregations = [].concat(options.aggregations || ['count']).map(parseAggregation);
+    this.fields = [...new Set(this.aggregations.filter(agg => agg.field).map(agg => agg.field))];
+    this.groups = new Map();
+  }
+
+  add(entry) {
+    const keys = this.groupBy.map(field => getField(entry, field) ?? null);
+    let bucket = null;
+    if (this.bucket) {
+      const time = entryTime(entry);
+      if (time === null) {
+        return;
+      }
+      bucket = Math.floor(time / this.bucket) * this.bucket;
+    }
+
+    const id = JSON.stringify([bucket, ...keys]);
+    let group = this.groups.get(id);
+    if (!group) {
+      group = { bucket, keys, count: 0, values: Object.fromEntries(this.fields.map(field => [field, []])) };
+      this.groups.set(id, group);
+    }
+    group.count++;
+    for (const field of this.fields) {
+      const value = toNumber(getField(entry, field));
+      if (value !== null) {
+        group.values[field].push(value);
+      }
+    }
+  }
+
+  compute(agg, group) {
+    if (agg.type === 'count') {
+      return agg.field ? group.values[agg.field].length : group.count;
+    }
+    const values = group.values[agg.field];
+    if (values.length === 0) {
+      return null;
+    }
+    switch (agg.type) {
+    case 'sum':
+      return round(values.reduce((total, value) => total + value, 0));
+    case 'avg':
+      return round(values.reduce((total, value) => total + value, 0) / values.length);
+    // Reduced rather than spread: Math.min(...values) overflows the stack on large groups
+    case 'min':
+      return values.reduce((min, value) => (value < min ? value : min), values[0]);
+    case 'max':
+      return values.reduce((max, value) => (value > max ? value : max), values[0]);
+    default:
+      return round(percentile(values.sort((a, b) => a - b), agg.percentile));
+    }
+  }
+
+  get columns() {
+    return [...(this.bucket ? ['bucket'] : []), ...this.groupBy, ...this.aggregations.map(agg => agg.name)];
+  }
+
+  results({ sort, order = 'desc', limit } = {}) {
+    const rows = Array.from(this.groups.values()).map(group => {
+      const row = {};
+      if (this.bucket) {
+        row.bucket = new Date(group.bucket).toISOString();
+      }
+      this.groupBy.forEach((field, i) => {
+        row[field] = group.keys[i];
+      });
+      for (const agg of this.aggregations) {
+        row[agg.name] = this.compute(agg, group);
+      }
+      return row;
+    });
+
+    // Time series read oldest first, everything else biggest first
+    const column = sort || (this.bucket ? 'bucket' : this.aggregations[0].name);
+    if (!this.columns.includes(column)) {
+      throw new Error(`Cannot sort by ${column}. Available: ${this.columns.join(', ')}`);
+    }
+    const direction = (sort ? order : (this.bucket ? 'asc' : order)) === 'asc' ? 1 : -1;
+    rows.sort((a, b) => {
+      if (a[column] === b[column]) {
+        return 0;
+      }
+      if (a[column] === null) {
+        return 1;
+      }
+      if (b[column] === null) {
+        return -1;
+      }
+      return (a[column] > b[column] ? 1 : -1) * direction;
+    });
+
+    return limit ? rows.slice(0, Number(limit)) : rows;
+  }
+}
+
+// Filter options are the same as `dr-cursored logs` (level, service, requestId, since, until, where)
+export const queryLogs = async (options = {}) => {
+  const started = Date.now();
+  const files = options.files && options.files.length > 0 ? options.files : listLogFiles(options.dir || 'logs');
+  const index = options.index || new LogIndex();
+
+  // Resolve relative times once so the index and the filter agree
+  const now = Date.now();
+  const since = parseTime(options.since, now);
+  const until = parseTime(options.until, now);
+  const filter = createLogFilter({ ...options, since, until });
+  const aggregator = new LogAggregator(options);
+
+  let scanned = 0;
+  let matched = 0;
+  for await (const entry of index.entries(files, { since, until })) {
+    scanned++;
+    if (filter(entry)) {
+      matched++;
+      aggregator.add(entry);
+    }
+  }
+
+  return {
+    columns: aggregator.columns,
+    rows: aggregator.results(options),
+    stats: { files: files.length, scanned, matched, took: Date.now() - started }
+  };
+};
+
+// Query string (?groupBy=url&agg=count&agg=p95(duration)&bucket=5m&since=1h) -> queryLogs options
+export const parseQueryParams = (searchParams) => {
+  const list = (...names) => names.flatMap(name => searchParams.getAll(name))
+    .flatMap(value => value.split(','))
+    .map(value => value.trim())
+    .filter(Boolean);
+
+  const options = {
+    groupBy: list('groupBy', 'group'),
+    aggregations: list('agg', 'aggregations'),
+    where: searchParams.getAll('where')
+  };
+  for (const name of ['level', 'service', 'requestId', 'since', 'until', 'bucket', 'sort', 'order', 'limit']) {
+    if (searchParams.has(name)) {
+      options[name] = searchParams.get(name);
+    }
+  }
+  if (options.aggregations.length === 0) {
+    delete options.aggregations;
+  }
+  return options;
+};
+
+// GET /api/logs/query - the index is kept between requests so repeated queries only read new lines
+export const createLogQueryEndpoint = (options = {}) => {
+  const index = options.index || new LogIndex();
+  const dir = options.dir || 'logs';
+
+  return async (req, res) => {
+    const send = (statusCode, data) => {
+      res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(data, null, 2));
+    };
+
+    if (req.method !== 'GET') {
+      send(405, { error: `Method ${req.method} not allowed` });
+      return;
+    }
+    try {
+      const url = new URL(req.url, 'http://localhost');
+      send(200, await queryLogs({ ...parseQueryParams(url.searchParams), dir, files: options.files, index }));
+    } catch (error) {
+      send(400, { error: error.message });
+    }
+  };
+};
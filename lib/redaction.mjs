@@ -0,0 +1,143 @@
+const CENSOR = '[REDACTED]';
+
+// Keys that should never reach a transport, at any depth
+export const DEFAULT_REDACT_PATHS = [
+  '**.authorization',
+  '**.cookie',
+  '**.set-cookie',
+  '**.x-api-key',
+  '**.password',
+  '**.passwd',
+  '**.secret',
+  '**.token',
+  '**.accessToken',
+  '**.refreshToken',
+  '**.apiKey',
+  '**.connectionString'
+];
+
+const URL_CREDENTIALS = {
+  name: 'url-credentials',
+  pattern: /\b([a-z][a-z0-9+.-]*:\/\/)[^\s:/?#@]*(?::[^\s/?#@]*)?@/gi,
+  replacement: '$1***:***@'
+};
+
+// Secrets recognisable by their value alone
+export const DEFAULT_REDACT_PATTERNS = [
+  {
+    name: 'jwt',
+    pattern: /\beyJ[A-Za-z0-9_-]+\.eyJ[A-Za-z0-9_-]+\.[A-Za-z0-9_-]*/g,
+    replacement: CENSOR
+  },
+  {
+    name: 'bearer',
+    pattern: /\b(Bearer|Basic)\s+[A-Za-z0-9\-._~+/]+=*/gi,
+    replacement: `$1 ${CENSOR}`
+  },
+  URL_CREDENTIALS
+];
+
+const isPlainObject = (value) =>
+  value !== null && typeof value === 'object' &&
+  (Object.getPrototypeOf(value) === Object.prototype || Object.getPrototypeOf(value) === null);
+
+// Turn 'headers.authorization' / '*.password' / '**.token' into segment matchers
+const compilePath = (pattern) => pattern.split('.').map(segment => {
+  if (segment === '*' || segment === '**') {
+    return segment;
+  }
+  return segment.toLowerCase();
+});
+
+const matchPath = (segments, keys, i = 0, j = 0) => {
+  if (i === segments.length) {
+    return j === keys.length;
+  }
+  if (segments[i] === '**') {
+    for (let k = j; k <= keys.length; k++) {
+      if (matchPath(segments, keys, i + 1, k)) {
+        return true;
+      }
+    }
+    return false;
+  }
+  if (j === keys.length) {
+    return false;
+  }
+  if (segments[i] !== '*' && segments[i] !== keys[j]) {
+    return false;
+  }
+  return matchPath(segments, keys, i + 1, j + 1);
+};
+
+export class Redactor {
+  constructor(options = {}) {
+    this.censor = options.censor ?? CENSOR;
+    this.paths = (options.paths || DEFAULT_REDACT_PATHS).map(compilePath);
+    this.patterns = (options.patterns || DEFAULT_REDACT_PATTERNS).map(p =>
+      p instanceof RegExp ? { pattern: p, replacement: this.censor } : p
+    );
+  }
+
+  isRedactedPath(keys) {
+    const lowered = keys.map(key => String(key).toLowerCase());
+    return this.paths.some(segments => matchPath(segments, lowered));
+  }
+
+  redactString(value) {
+    let result = value;
+    for (const { pattern, replacement } of this.patterns) {
+      pattern.lastIndex = 0;
+      result = result.replace(pattern, replacement ?? this.censor);
+    }
+    return result;
+  }
+
+  // Returns a redacted copy - the original object is never mutated
+  redact(value, keys = [], seen = new WeakSet()) {
+    if (typeof value === 'string') {
+      return this.redactString(value);
+    }
+    if (value === null || typeof value !== 'object') {
+      return value;
+    }
+    if (!Array.isArray(value) && !isPlainObject(value)) {
+      return value;
+    }
+    if (seen.has(value)) {
+      return '[Circular]';
+    }
+    seen.add(value);
+
+    let result;
+    if (Array.isArray(value)) {
+      result = value.map((item, index) => this.redact(item, [...keys, index], seen));
+    } else {
+      result = {};
+      for (const [key, item] of Object.entries(value)) {
+        const path = [...keys, key];
+        result[key] = this.isRedactedPath(path) ? this.censor : this.redact(item, path, seen);
+      }
+    }
+
+    seen.delete(value);
+    return result;
+  }
+}
+
+// Utility functions
+export const createRedactor = (options) => {
+  if (options instanceof Redactor) {
+    return options;
+  }
+  if (options === true) {
+    return new Redactor();
+  }
+  if (Array.isArray(options)) {
+    return new Redactor({ paths: [...DEFAULT_REDACT_PATHS, ...options] });
+  }
+  return new Redactor(options);
+};
+
+export const redactConnectionString = (connectionString) =>
+  connectionString.replace(URL_CREDENTIALS.pattern, URL_CREDENTIALS.replacement);
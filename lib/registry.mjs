@@ -0,0 +1,229 @@
+import http from 'node:http';
+import https from 'node:https';
+
+const LEVELS = ['debug', 'info', 'warn', 'error'];
+
+const assertLevel = (level) => {
+  if (!LEVELS.includes(level)) {
+    throw new Error(`Unknown log level: ${level}. Expected one of: ${LEVELS.join(', ')}`);
+  }
+};
+
+// 'app:db*' -> /^app:db.*$/
+const compilePattern = (pattern) => new RegExp(
+  '^' + pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*') + '$'
+);
+
+// DEBUG=app:db*,app:http=info,-app:noisy
+export const parseDebugEnv = (value = '') => value
+  .split(/[\s,]+/)
+  .filter(Boolean)
+  .map(item => {
+    if (item.startsWith('-')) {
+      return { pattern: item.slice(1), level: null };
+    }
+    const [pattern, level = 'debug'] = item.split('=');
+    return { pattern, level };
+  })
+  .filter(({ level }) => level === null || LEVELS.includes(level));
+
+export class LoggerRegistry {
+  constructor(options = {}) {
+    this.loggers = new Map();
+    this.overrides = [];
+    this.version = 0;
+    this.signalHandler = null;
+
+    const debugEnv = options.debug ?? process.env.DEBUG;
+    for (const { pattern, level } of parseDebugEnv(debugEnv)) {
+      this.addOverride(pattern, level, 'env');
+    }
+  }
+
+  register(name, logger) {
+    this.loggers.set(name, logger);
+    return logger;
+  }
+
+  unregister(name) {
+    return this.loggers.delete(name);
+  }
+
+  get(name) {
+    return this.loggers.get(name);
+  }
+
+  addOverride(pattern, level, source = 'api') {
+    if (level !== null) {
+      assertLevel(level);
+    }
+    this.overrides = this.overrides.filter(override => override.pattern !== pattern);
+    this.overrides.push({ pattern, level, source, regex: compilePattern(pattern) });
+    this.version++;
+  }
+
+  // Set the level for every logger whose name matches (wildcards allowed)
+  setLevel(pattern, level) {
+    this.addOverride(pattern, level);
+    return this.list().filter(info => compilePattern(pattern).test(info.name));
+  }
+
+  clearLevel(pattern) {
+    const before = this.overrides.length;
+    this.overrides = pattern === undefined ?
+      [] : this.overrides.filter(override => override.pattern !== pattern);
+    this.version++;
+    return before - this.overrides.length;
+  }
+
+  // Last matching override wins, null means "use the logger's own level"
+  levelFor(name) {
+    for (let i = this.overrides.length - 1; i >= 0; i--) {
+      if (this.overrides[i].regex.test(name)) {
+        return this.overrides[i].level;
+      }
+    }
+    return null;
+  }
+
+  list() {
+    return Array.from(this.loggers.entries()).map(([name, logger]) => ({
+      name,
+      service: logger.service,
+      level: logger.level,
+      effectiveLevel: logger.getEffectiveLevel()
+    }));
+  }
+
+  // SIGUSR2 flips every logger to debug and back
+  toggleDebug() {
+    const active = this.overrides.some(override => override.source === 'signal');
+    if (active) {
+      this.overrides = this.overrides.filter(override => override.source !== 'signal');
+      this.version++;
+    } else {
+      this.addOverride('*', 'debug', 'signal');
+    }
+    return !active;
+  }
+
+  enableSignalToggle(signal = 'SIGUSR2') {
+    if (this.signalHandler || process.platform === 'win32') {
+      return false;
+    }
+    this.signalHandler = () => {
+      const enabled = this.toggleDebug();
+      console.error(`[dr-cursored] debug logging ${enabled ? 'enabled' : 'disabled'} (${signal})`);
+    };
+    this.signalName = signal;
+    process.on(signal, this.signalHandler);
+    return true;
+  }
+
+  disableSignalToggle() {
+    if (this.signalHandler) {
+      process.off(this.signalName, this.signalHandler);
+      this.signalHandler = null;
+    }
+  }
+}
+
+export const loggerRegistry = new LoggerRegistry();
+
+const readJsonBody = (req) => new Promise((resolve, reject) => {
+  // Already read by express.json() or Fastify
+  if (req.body !== undefined) {
+    resolve(req.body || {});
+    return;
+  }
+  let body = '';
+  req.on('data', chunk => {
+    body += chunk;
+  });
+  req.on('end', () => {
+    try {
+      resolve(body ? JSON.parse(body) : {});
+    } catch (error) {
+      reject(new Error(`Invalid JSON body: ${error.message}`));
+    }
+  });
+  req.on('error', reject);
+});
+
+const sendJson = (res, statusCode, data) => {
+  if (typeof res.writeHead === 'function') {
+    res.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data, null, 2));
+  } else {
+    // Fastify reply
+    res.code(statusCode).header('Content-Type', 'application/json').send(JSON.stringify(data, null, 2));
+  }
+};
+
+// GET lists loggers, PUT/POST { name, level } changes levels, DELETE ?name= clears overrides.
+// Levels live in the process that owns the registry, so apps mount this on their own
+// (admin-only) server: app.all('/debug/loggers', createLoggersEndpoint())
+export const createLoggersEndpoint = (registry = loggerRegistry) => async (req, res) => {
+  try {
+    const url = new URL(req.url, 'http://localhost');
+
+    if (req.method === 'GET') {
+      sendJson(res, 200, {
+        loggers: registry.list(),
+        overrides: registry.overrides.map(({ pattern, level, source }) => ({ pattern, level, source }))
+      });
+    } else if (req.method === 'PUT' || req.method === 'POST') {
+      const { name, level } = await readJsonBody(req);
+      if (!name || !level) {
+        sendJson(res, 400, { error: 'Both "name" and "level" are required' });
+        return;
+      }
+      const updated = registry.setLevel(name, level);
+      sendJson(res, 200, { pattern: name, level, updated });
+    } else if (req.method === 'DELETE') {
+      const removed = registry.clearLevel(url.searchParams.get('name') ?? undefined);
+      sendJson(res, 200, { removed, loggers: registry.list() });
+    } else {
+      sendJson(res, 405, { error: `Method ${req.method} not allowed` });
+    }
+  } catch (error) {
+    sendJson(res, 400, { error: error.message });
+  }
+};
+
+// Forwards /api/loggers on the debug server to the endpoint an app mounted with
+// createLoggersEndpoint(), since levels live in the app's own process
+export const createLoggersProxy = (options = {}) => (req, res) => {
+  const target = options.target || process.env.DR_CURSORED_LOGGERS_URL;
+  if (!target) {
+    sendJson(res, 503, {
+      error: 'No application loggers endpoint configured',
+      hint: 'Mount createLoggersEndpoint() in your app and start the debug server with --loggers-url http://localhost:3000/debug/loggers'
+    });
+    return;
+  }
+
+  const url = new URL(target);
+  url.search = new URL(req.url, 'http://localhost').search;
+  const headers = {};
+  for (const name of ['content-type', 'content-length', 'authorization']) {
+    if (req.headers[name] !== undefined) {
+      headers[name] = req.headers[name];
+    }
+  }
+
+  const client = url.protocol === 'https:' ? https : http;
+  const upstream = client.request(url, { method: req.method, headers, timeout: options.timeout || 5000 }, (response) => {
+    res.writeHead(response.statusCode, { 'Content-Type': response.headers['content-type'] || 'application/json' });
+    response.pipe(res);
+  });
+  upstream.on('timeout', () => upstream.destroy(new Error('Timed out')));
+  upstream.on('error', (error) => {
+    if (!res.headersSent) {
+      sendJson(res, 502, { error: `Application loggers endpoint ${url.origin}${url.pathname} unavailable: ${error.message}` });
+    } else {
+      res.destroy(error);
+    }
+  });
+  req.pipe(upstream);
+};
@@ -0,0 +1,188 @@
+import { flushOnExit, cancelFlushOnExit } from './buffer.mjs';
+
+// Sampling, deduplication and rate limiting for noisy loggers.
+// Suppressed entries are always accounted for by a summary entry, also at exit.
+
+const MAX_DEDUPE_KEYS = 1000;
+
+const schedule = (fn, delay) => {
+  const timer = setTimeout(fn, Math.max(0, delay));
+  if (typeof timer.unref === 'function') {
+    timer.unref();
+  }
+  return timer;
+};
+
+export class LogSampler {
+  constructor(options = {}) {
+    // { debug: 0.1, info: 0.5 } - fraction of entries kept per level
+    this.sampling = options.sampling || {};
+
+    this.dedupe = options.dedupe ? {
+      window: options.dedupe.window || 1000
+    } : null;
+    this.recent = new Map();
+
+    this.rateLimit = options.rateLimit ? {
+      rate: options.rateLimit.rate || 100,
+      interval: options.rateLimit.interval || 1000,
+      burst: options.rateLimit.burst || options.rateLimit.rate || 100
+    } : null;
+    if (this.rateLimit) {
+      this.tokens = this.rateLimit.burst;
+      this.lastRefill = Date.now();
+      this.suppressed = null;
+    }
+
+    this.random = options.random || Math.random;
+    this.stats = { sampled: 0, deduplicated: 0, rateLimited: 0 };
+    this.pendingSummaries = 0;
+  }
+
+  // Summaries waiting on a timer are written by the exit hooks if the process ends first
+  summaryScheduled() {
+    if (this.pendingSummaries++ === 0) {
+      flushOnExit(this);
+    }
+  }
+
+  summaryDone() {
+    if (--this.pendingSummaries === 0) {
+      cancelFlushOnExit(this);
+    }
+  }
+
+  // Returns extra meta for the entry, or null when it should be dropped
+  check(logger, level, message) {
+    const rate = this.sampling[level];
+    if (rate !== undefined && rate < 1) {
+      if (this.random() >= rate) {
+        this.stats.sampled++;
+        return null;
+      }
+    }
+
+    if (this.dedupe && this.isDuplicate(logger, level, message)) {
+      this.stats.deduplicated++;
+      return null;
+    }
+
+    if (this.rateLimit && !this.takeToken(logger, level)) {
+      this.stats.rateLimited++;
+      return null;
+    }
+
+    return rate !== undefined && rate < 1 ? { sampleRate: rate } : {};
+  }
+
+  isDuplicate(logger, level, message) {
+    const key = `${logger.service}\u0000${level}\u0000${message}`;
+    const now = Date.now();
+    const record = this.recent.get(key);
+
+    if (record && now - record.firstSeen < this.dedupe.window) {
+      record.count++;
+      record.lastSeen = now;
+      if (!record.timer) {
+        record.timer = schedule(() => this.endDuplicates(key), record.firstSeen + this.dedupe.window - now);
+        this.summaryScheduled();
+      }
+      return true;
+    }
+    if (record) {
+      this.endDuplicates(key);
+    }
+
+    if (this.recent.size >= MAX_DEDUPE_KEYS) {
+      this.pruneDuplicates(now);
+    }
+    this.recent.set(key, { logger, level, message, firstSeen: now, lastSeen: now, count: 0, timer: null });
+    return false;
+  }
+
+  endDuplicates(key) {
+    const record = this.recent.get(key);
+    if (!record) {
+      return;
+    }
+    if (record.timer) {
+      clearTimeout(record.timer);
+      this.summaryDone();
+    }
+    this.recent.delete(key);
+    if (record.count > 0) {
+      record.logger.emit(record.level, `${record.message} (repeated ${record.count} ${record.count === 1 ? 'time' : 'times'})`, {
+        repeated: record.count,
+        firstSeen: new Date(record.firstSeen).toISOString(),
+        lastSeen: new Date(record.lastSeen).toISOString()
+      });
+    }
+  }
+
+  pruneDuplicates(now) {
+    for (const [key, record] of this.recent) {
+      if (now - record.firstSeen >= this.dedupe.window && !record.timer) {
+        this.recent.delete(key);
+      }
+    }
+  }
+
+  refill() {
+    const now = Date.now();
+    const { rate, interval, burst } = this.rateLimit;
+    this.tokens = Math.min(burst, this.tokens + ((now - this.lastRefill) * rate) / interval);
+    this.lastRefill = now;
+  }
+
+  takeToken(logger, level) {
+    this.refill();
+    if (this.tokens >= 1) {
+      this.tokens -= 1;
+      return true;
+    }
+
+    if (!this.suppressed) {
+      const wait = ((1 - this.tokens) * this.rateLimit.interval) / this.rateLimit.rate;
+      this.suppressed = { logger, count: 0, levels: {}, since: Date.now() };
+      this.suppressed.timer = schedule(() => this.endRateLimit(), wait);
+      this.summaryScheduled();
+    }
+    this.suppressed.count++;
+    this.suppressed.levels[level] = (this.suppressed.levels[level] || 0) + 1;
+    return false;
+  }
+
+  endRateLimit() {
+    const suppressed = this.suppressed;
+    if (!suppressed) {
+      return;
+    }
+    clearTimeout(suppressed.timer);
+    this.summaryDone();
+    this.suppressed = null;
+    // The summary spends a token like any other entry; flushed early it goes into debt
+    // rather than being dropped, so later entries wait for the bucket to recover
+    this.refill();
+    this.tokens -= 1;
+    suppressed.logger.emit('warn', `Rate limit exceeded: suppressed ${suppressed.count} log entries`, {
+      suppressed: suppressed.count,
+      levels: suppressed.levels,
+      since: new Date(suppressed.since).toISOString()
+    });
+  }
+
+  // Emit every pending summary now (e.g. before exit)
+  flush() {
+    for (const key of Array.from(this.recent.keys())) {
+      this.endDuplicates(key);
+    }
+    this.endRateLimit();
+  }
+}
+
+export const createSampler = (options = {}) => {
+  if (!options.sampling && !options.dedupe && !options.rateLimit) {
+    return null;
+  }
+  return new LogSampler(options);
+};
@@ -0,0 +1,68 @@
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+// Frames inside this package (logger helpers, inspector, health checker) are never the caller
+const LIB_DIR = path.dirname(fileURLToPath(import.meta.url)) + path.sep;
+
+const FRAME = /^\s*at (?:(?:async )?(.*?) \()?(.*?):(\d+):(\d+)\)?$/;
+
+const STACK_LIMIT = 50;
+
+export const isSourceEnabled = (option) => {
+  if (option !== undefined) {
+    return Boolean(option);
+  }
+  return ['1', 'true'].includes(String(process.env.LOG_SOURCE).toLowerCase());
+};
+
+// Cheap: V8 only records the frames here, the stack string is built on first read
+export const captureSource = () => {
+  const holder = {};
+  const limit = Error.stackTraceLimit;
+  Error.stackTraceLimit = STACK_LIMIT;
+  Error.captureStackTrace(holder, captureSource);
+  Error.stackTraceLimit = limit;
+  return holder;
+};
+
+const toFile = (location) => {
+  let file = location;
+  if (file.startsWith('file://')) {
+    try {
+      file = fileURLToPath(file);
+    } catch {
+      return file;
+    }
+  }
+  return file;
+};
+
+// First frame outside this package and Node internals
+export const resolveSource = (holder) => {
+  if (!holder || typeof holder.stack !== 'string') {
+    return undefined;
+  }
+
+  for (const line of holder.stack.split('\n').slice(1)) {
+    const match = FRAME.exec(line);
+    if (!match) {
+      continue;
+    }
+    const [, fn, location, lineNumber, column] = match;
+    const file = toFile(location);
+    if (file.startsWith(LIB_DIR) || file.startsWith('node:') || file.startsWith('internal/')) {
+      continue;
+    }
+    const source = {
+      file: path.isAbsolute(file) ? path.relative(process.cwd(), file) || file : file,
+      line: Number(lineNumber),
+      column: Number(column)
+    };
+    if (fn && fn !== '<anonymous>') {
+      source.function = fn;
+    }
+    return source;
+  }
+
+  return undefined;
+};
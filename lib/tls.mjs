@@ -0,0 +1,170 @@
+import net from 'node:net';
+import tls from 'node:tls';
+import { parseHostPort } from './network.mjs';
+
+const DAY = 24 * 60 * 60 * 1000;
+
+// Days before expiry at which checkCertificate reports warning/critical
+export const TLS_THRESHOLDS = {
+  warningDays: 30,
+  criticalDays: 7
+};
+
+const OUTDATED_PROTOCOLS = ['SSLv3', 'TLSv1', 'TLSv1.1'];
+
+const SEVERITY = { healthy: 0, warning: 1, critical: 2, error: 3 };
+
+// 'example.com', 'example.com:8443', 'https://example.com/path' or { host, port, servername }
+export const parseTlsTarget = (target) => parseHostPort(target, 443);
+
+const commonName = (name) => {
+  if (!name) {
+    return null;
+  }
+  const cn = Array.isArray(name.CN) ? name.CN[0] : name.CN;
+  return cn || name.O || null;
+};
+
+// 'DNS:example.com, IP Address:127.0.0.1' → ['example.com', '127.0.0.1']
+const parseSubjectAltNames = (value = '') => value
+  .split(/,\s*/)
+  .filter(Boolean)
+  .map(entry => entry.replace(/^(DNS|IP Address|URI|email):/, ''));
+
+const describeCertificate = (cert) => ({
+  subject: commonName(cert.subject),
+  issuer: commonName(cert.issuer),
+  validFrom: new Date(cert.valid_from).toISOString(),
+  validTo: new Date(cert.valid_to).toISOString(),
+  serialNumber: cert.serialNumber,
+  fingerprint256: cert.fingerprint256
+});
+
+// Leaf first, up to the root (or the last certificate the server sent)
+const certificateChain = (cert) => {
+  const chain = [];
+  const seen = new Set();
+  let current = cert;
+  while (current && current.raw && !seen.has(current.fingerprint256)) {
+    seen.add(current.fingerprint256);
+    chain.push(describeCertificate(current));
+    current = current.issuerCertificate;
+  }
+  return chain;
+};
+
+// Completes a TLS handshake and returns what the server presented, trusted or not
+export const inspectCertificate = (target, options = {}) => new Promise((resolve, reject) => {
+  const { host, port, servername = options.servername } = parseTlsTarget(target);
+  const sni = servername || (net.isIP(host) ? undefined : host);
+  const startTime = Date.now();
+  const signal = options.signal || AbortSignal.timeout(options.timeout || 5000);
+
+  const socket = tls.connect({
+    host,
+    port,
+    servername: sni,
+    ca: options.ca,
+    // Untrusted certificates are reported rather than refused
+    rejectUnauthorized: false,
+    minVersion: 'TLSv1'
+  });
+
+  const onAbort = () => socket.destroy(signal.reason);
+  signal.addEventListener('abort', onAbort, { once: true });
+  const done = () => {
+    signal.removeEventListener('abort', onAbort);
+    socket.destroy();
+  };
+
+  socket.once('error', (error) => {
+    done();
+    reject(Object.assign(error, { host, port }));
+  });
+
+  socket.once('secureConnect', () => {
+    const cert = socket.getPeerCertificate(true);
+    if (!cert || !cert.raw) {
+      done();
+      reject(Object.assign(new Error('Server did not present a certificate'), { host, port }));
+      return;
+    }
+
+    const hostname = servername || host;
+    const identityError = tls.checkServerIdentity(hostname, cert);
+    const validTo = new Date(cert.valid_to);
+
+    const info = {
+      host,
+      port,
+      servername: sni || null,
+      subject: commonName(cert.subject),
+      subjectAltNames: parseSubjectAltNames(cert.subjectaltname),
+      issuer: commonName(cert.issuer),
+      chain: certificateChain(cert),
+      validFrom: new Date(cert.valid_from).toISOString(),
+      validTo: validTo.toISOString(),
+      daysUntilExpiry: Math.floor((validTo.getTime() - Date.now()) / DAY),
+      protocol: socket.getProtocol(),
+      cipher: socket.getCipher()?.name || null,
+      authorized: socket.authorized,
+      authorizationError: socket.authorized ? null : String(socket.authorizationError || 'unknown'),
+      hostnameMismatch: Boolean(identityError),
+      hostnameError: identityError ? identityError.message : null,
+      handshakeTime: Date.now() - startTime
+    };
+    done();
+    resolve(info);
+  });
+});
+
+const issue = (status, message) => ({ status, message });
+
+// Health check result: expiry thresholds, trust, hostname and protocol version
+export async function checkCertificate(target, options = {}) {
+  const thresholds = { ...TLS_THRESHOLDS, ...options };
+  const label = typeof target === 'string' ? target : `${target.host}:${target.port || 443}`;
+
+  let info;
+  try {
+    info = await inspectCertificate(target, options);
+  } catch (error) {
+    // OpenSSL errors carry the multi-line library dump in message, the readable part in reason
+    const reason = error.reason || error.message;
+    return {
+      status: 'error',
+      data: { target: label, error: reason, code: error.code },
+      message: `TLS handshake failed: ${label} - ${reason}`
+    };
+  }
+
+  const issues = [];
+  if (info.daysUntilExpiry < 0) {
+    issues.push(issue('error', `Certificate expired on ${info.validTo.slice(0, 10)}`));
+  } else if (info.daysUntilExpiry <= thresholds.criticalDays) {
+    issues.push(issue('critical', `Certificate expires in ${info.daysUntilExpiry} days`));
+  } else if (info.daysUntilExpiry <= thresholds.warningDays) {
+    issues.push(issue('warning', `Certificate expires in ${info.daysUntilExpiry} days`));
+  }
+  if (Date.now() < Date.parse(info.validFrom)) {
+    issues.push(issue('error', `Certificate not valid before ${info.validFrom}`));
+  }
+  if (info.hostnameMismatch) {
+    issues.push(issue('error', info.hostnameError));
+  }
+  if (!info.authorized && !thresholds.allowUntrusted) {
+    issues.push(issue('error', `Certificate not trusted: ${info.authorizationError}`));
+  }
+  if (OUTDATED_PROTOCOLS.includes(info.protocol)) {
+    issues.push(issue('warning', `Outdated protocol ${info.protocol}`));
+  }
+
+  const worst = issues.reduce((a, b) => (SEVERITY[b.status] > SEVERITY[a.status] ? b : a), issue('healthy'));
+  return {
+    status: worst.status,
+    data: { target: label, ...info, issues: issues.map(entry => entry.message) },
+    message: worst.message
+      ? `${label}: ${worst.message}`
+      : `Certificate valid for ${info.daysUntilExpiry} days: ${label} (${info.protocol})`
+  };
+}
@@ -0,0 +1,108 @@
+import { randomBytes } from 'node:crypto';
+
+// W3C Trace Context - https://www.w3.org/TR/trace-context/
+const TRACEPARENT = /^([0-9a-f]{2})-([0-9a-f]{32})-([0-9a-f]{16})-([0-9a-f]{2})(-.*)?$/;
+const TRACESTATE_MEMBER = /^([a-z0-9][a-z0-9_\-*/]{0,255}|[a-z0-9][a-z0-9_\-*/]{0,240}@[a-z][a-z0-9_\-*/]{0,13})=([\x20-\x2b\x2d-\x3c\x3e-\x7e]{0,255}[\x21-\x2b\x2d-\x3c\x3e-\x7e])$/;
+const MAX_TRACESTATE_MEMBERS = 32;
+
+const isZero = (hex) => /^0+$/.test(hex);
+
+const randomHex = (bytes) => {
+  let id;
+  do {
+    id = randomBytes(bytes).toString('hex');
+  } while (isZero(id));
+  return id;
+};
+
+export const generateTraceId = () => randomHex(16);
+
+export const generateSpanId = () => randomHex(8);
+
+// Works with Node's lower-cased header objects and Fetch API Headers
+export const getHeader = (headers, name) => {
+  if (!headers) {
+    return undefined;
+  }
+  if (typeof headers.get === 'function') {
+    return headers.get(name) ?? undefined;
+  }
+  const value = headers[name] ?? headers[name.toLowerCase()];
+  return Array.isArray(value) ? value.join(',') : value;
+};
+
+export const parseTraceparent = (header) => {
+  if (typeof header !== 'string') {
+    return null;
+  }
+
+  const match = TRACEPARENT.exec(header.trim());
+  if (!match) {
+    return null;
+  }
+
+  const [, version, traceId, parentId, flags, rest] = match;
+  // Version ff is invalid; version 00 must not carry extra fields
+  if (version === 'ff' || (version === '00' && rest)) {
+    return null;
+  }
+  if (isZero(traceId) || isZero(parentId)) {
+    return null;
+  }
+
+  return { version, traceId, parentId, traceFlags: flags };
+};
+
+export const formatTraceparent = ({ traceId, spanId, traceFlags = '01' }) =>
+  `00-${traceId}-${spanId}-${traceFlags}`;
+
+// Drops invalid and duplicate members, keeps at most 32
+export const parseTracestate = (header) => {
+  if (typeof header !== 'string') {
+    return [];
+  }
+
+  const members = [];
+  const keys = new Set();
+  for (const part of header.split(',')) {
+    const member = part.trim();
+    const match = member && TRACESTATE_MEMBER.exec(member);
+    if (!match || keys.has(match[1])) {
+      continue;
+    }
+    keys.add(match[1]);
+    members.push([match[1], match[2]]);
+    if (members.length === MAX_TRACESTATE_MEMBERS) {
+      break;
+    }
+  }
+  return members;
+};
+
+export const formatTracestate = (members) =>
+  members.map(([key, value]) => `${key}=${value}`).join(',');
+
+// Continue the caller's trace when a valid traceparent arrives, start a new one otherwise
+export const createTraceContext = (headers) => {
+  const parent = parseTraceparent(getHeader(headers, 'traceparent'));
+  const tracestate = parent ? formatTracestate(parseTracestate(getHeader(headers, 'tracestate'))) : '';
+
+  return {
+    traceId: parent ? parent.traceId : generateTraceId(),
+    spanId: generateSpanId(),
+    parentSpanId: parent ? parent.parentId : undefined,
+    traceFlags: parent ? parent.traceFlags : '01',
+    tracestate: tracestate || undefined
+  };
+};
+
+// Echo the trace on the response so callers can correlate
+export const setTraceHeaders = (res, trace) => {
+  if (!res || typeof res.setHeader !== 'function' || res.headersSent) {
+    return;
+  }
+  res.setHeader('traceparent', formatTraceparent(trace));
+  if (trace.tracestate) {
+    res.setHeader('tracestate', trace.tracestate);
+  }
+};
@@ -0,0 +1,239 @@
+import fs from 'node:fs';
+import path from 'node:path';
+
+const INTERVALS = {
+  hourly: 60 * 60 * 1000,
+  daily: 24 * 60 * 60 * 1000
+};
+
+// Base transport - subclasses implement write(line, entry)
+export class Transport {
+  constructor(options = {}) {
+    this.level = options.level || null;
+    this.format = options.format || null;
+    this.colors = options.colors;
+  }
+
+  write() {
+    throw new Error(`${this.constructor.name} must implement write()`);
+  }
+
+  // Called by buffered loggers; override when a single write is cheaper
+  writeBatch(lines, entries) {
+    lines.forEach((line, i) => this.write(line, entries[i]));
+  }
+
+  close() {}
+}
+
+// Console output (the default sink)
+export class ConsoleTransport extends Transport {
+  write(line) {
+    console.log(line);
+  }
+
+  writeBatch(lines) {
+    console.log(lines.join('\n'));
+  }
+}
+
+// Any writable stream (process.stdout, sockets, pipes...)
+export class StreamTransport extends Transport {
+  constructor(options = {}) {
+    super({ colors: false, ...options });
+    if (!options.stream || typeof options.stream.write !== 'function') {
+      throw new Error('StreamTransport requires a writable stream');
+    }
+    this.stream = options.stream;
+  }
+
+  write(line) {
+    this.stream.write(line + '\n');
+  }
+
+  writeBatch(lines) {
+    this.stream.write(lines.join('\n') + '\n');
+  }
+
+  close() {
+    if (this.stream !== process.stdout && this.stream !== process.stderr &&
+      typeof this.stream.end === 'function') {
+      this.stream.end();
+    }
+  }
+}
+
+// Append-only file output
+export class FileTransport extends Transport {
+  constructor(options = {}) {
+    super({ colors: false, ...options });
+    this.filename = path.resolve(options.filename || path.join('logs', 'app.log'));
+    this.fd = null;
+    this.size = 0;
+  }
+
+  open() {
+    fs.mkdirSync(path.dirname(this.filename), { recursive: true });
+    this.fd = fs.openSync(this.filename, 'a');
+    this.size = fs.fstatSync(this.fd).size;
+  }
+
+  write(line) {
+    if (this.fd === null) {
+      this.open();
+    }
+    const data = line + '\n';
+    fs.writeSync(this.fd, data);
+    this.size += Buffer.byteLength(data);
+  }
+
+  writeBatch(lines) {
+    this.write(lines.join('\n'));
+  }
+
+  close() {
+    if (this.fd !== null) {
+      fs.closeSync(this.fd);
+      this.fd = null;
+    }
+  }
+}
+
+// File output rotated by size and/or time: app.log -> app.log.1 -> app.log.2 ...
+export class RotatingFileTransport extends FileTransport {
+  constructor(options = {}) {
+    super(options);
+    this.maxSize = options.maxSize || 10 * 1024 * 1024;
+    this.maxFiles = options.maxFiles || 5;
+    this.interval = typeof options.interval === 'string' ?
+      INTERVALS[options.interval] : options.interval || null;
+    if (options.interval && !this.interval) {
+      throw new Error(`Unknown rotation interval: ${options.interval}`);
+    }
+    this.periodStart = null;
+  }
+
+  open() {
+    super.open();
+    if (this.periodStart === null) {
+      this.periodStart = this.size > 0 ?
+        fs.statSync(this.filename).birthtimeMs || Date.now() : Date.now();
+    }
+  }
+
+  shouldRotate(bytes) {
+    if (this.size > 0 && this.size + bytes > this.maxSize) {
+      return true;
+    }
+    return this.interval !== null && Date.now() - this.periodStart >= this.interval;
+  }
+
+  rotate() {
+    this.close();
+
+    const oldest = `${this.filename}.${this.maxFiles}`;
+    if (fs.existsSync(oldest)) {
+      fs.unlinkSync(oldest);
+    }
+    for (let i = this.maxFiles - 1; i >= 1; i--) {
+      const from = `${this.filename}.${i}`;
+      if (fs.existsSync(from)) {
+        fs.renameSync(from, `${this.filename}.${i + 1}`);
+      }
+    }
+    if (fs.existsSync(this.filename)) {
+      fs.renameSync(this.filename, `${this.filename}.1`);
+    }
+
+    this.periodStart = Date.now();
+    this.open();
+  }
+
+  write(line) {
+    if (this.fd === null) {
+      this.open();
+    }
+    if (this.shouldRotate(Buffer.byteLength(line) + 1)) {
+      this.rotate();
+    }
+    super.write(line);
+  }
+
+  // Line by line so rotation boundaries stay exact
+  writeBatch(lines, entries) {
+    Transport.prototype.writeBatch.call(this, lines, entries);
+  }
+
+  // Current file first, then app.log.1, app.log.2 ...
+  files() {
+    const files = [this.filename];
+    for (let i = 1; i <= this.maxFiles; i++) {
+      const file = `${this.filename}.${i}`;
+      if (fs.existsSync(file)) {
+        files.push(file);
+      }
+    }
+    return files;
+  }
+}
+
+// In-memory ring buffer, useful for tests and the debug interface
+export class MemoryTransport extends Transport {
+  constructor(options = {}) {
+    super({ colors: false, ...options });
+    this.limit = options.limit || 1000;
+    this.buffer = new Array(this.limit);
+    this.start = 0;
+    this.count = 0;
+  }
+
+  write(line, entry) {
+    const index = (this.start + this.count) % this.limit;
+    this.buffer[index] = { line, entry };
+    if (this.count < this.limit) {
+      this.count++;
+    } else {
+      this.start = (this.start + 1) % this.limit;
+    }
+  }
+
+  records() {
+    const records = [];
+    for (let i = 0; i < this.count; i++) {
+      records.push(this.buffer[(this.start + i) % this.limit]);
+    }
+    return records;
+  }
+
+  entries() {
+    return this.records().map(record => record.entry);
+  }
+
+  lines() {
+    return this.records().map(record => record.line);
+  }
+
+  clear() {
+    this.buffer = new Array(this.limit);
+    this.start = 0;
+    this.count = 0;
+  }
+}
+
+// Utility functions
+export const createTransport = (type, options = {}) => {
+  const transports = {
+    console: ConsoleTransport,
+    stream: StreamTransport,
+    file: FileTransport,
+    rotating: RotatingFileTransport,
+    memory: MemoryTransport
+  };
+
+  const TransportClass = transports[type];
+  if (!TransportClass) {
+    throw new Error(`Unknown transport type: ${type}`);
+  }
+
+  return new TransportClass(options);
+};
@@ -5,6 +5,13 @@ import path from 'path';
 import { fileURLToPath } from 'node:url';
 import chalk from 'chalk';
 import ora from 'ora';
+import { createLoggersProxy } from '../lib/registry.mjs';
+import { createLogQueryEndpoint } from '../lib/query.mjs';
+import { createIngestEndpoint } from '../lib/ingest.mjs';
+import { HealthHistory, createHistoryEndpoint } from '../lib/history.mjs';
+import { createHealthChecker } from '../lib/health.mjs';
+import { createMetricsEndpoint } from '../lib/metrics.mjs';
+import { Logger, ConsoleTransport, FileTransport } from '../lib/logger.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -16,6 +23,7 @@ const info = (m) => console.log(chalk.blue('ℹ️ '), m);
 
 export async function startDebugInterface(options = {}) {
   const port = options.port || 3001;
+  const handleLoggers = createLoggersProxy({ target: options.loggersUrl });
   
   console.log(chalk.bold.blue('🐛 Dr. Cursored - Debug Interface\n'));
   
@@ -60,10 +68,23 @@ export async function startDebugInterface(options = {}) {
         res.end(debugPage);
       } else if (url.pathname === '/api/health') {
         handleHealthCheck(req, res);
+      } else if (url.pathname === '/api/health/history') {
+        handleHealthHistory(req, res);
+      } else if (url.pathname === '/logger.js') {
+        res.writeHead(200, { 'Content-Type': 'text/javascript' });
+        res.end(fs.readFileSync(path.join(__dirname, '..', 'lib', 'browser.mjs')));
+      } else if (url.pathname === '/api/logs/ingest') {
+        handleIngest(req, res);
+      } else if (url.pathname === '/api/logs/query') {
+        handleLogQuery(req, res);
       } else if (url.pathname === '/api/logs') {
         handleLogStream(req, res);
       } else if (url.pathname === '/api/metrics') {
         handleMetrics(req, res);
+      } else if (url.pathname === '/metrics') {
+        handlePrometheusMetrics(req, res);
+      } else if (url.pathname === '/api/loggers') {
+        handleLoggers(req, res);
       } else {
         res.writeHead(404, { 'Content-Type': 'application/json' });
         res.end(JSON.stringify({ error: 'Not found' }));
@@ -77,8 +98,14 @@ export async function startDebugInterface(options = {}) {
       console.log(`\nOpen your browser to: ${chalk.cyan(`http://localhost:${port}`)}`);
       console.log('\nAvailable endpoints:');
       console.log(`  ${chalk.green('GET')}  /api/health  - Health check`);
+      console.log(`  ${chalk.green('GET')}  /api/health/history?since=24h&check=system - Uptime, state changes and flapping`);
       console.log(`  ${chalk.green('GET')}  /api/logs    - Log stream`);
+      console.log(`  ${chalk.green('POST')} /api/logs/ingest - Browser log entries (logs/browser.log)`);
+      console.log(`  ${chalk.green('GET')}  /logger.js   - Browser logger module`);
+      console.log(`  ${chalk.green('GET')}  /api/logs/query?groupBy=url&agg=p95(duration)&since=1h - Log aggregation`);
       console.log(`  ${chalk.green('GET')}  /api/metrics - Performance metrics`);
+      console.log(`  ${chalk.green('GET')}  /metrics     - Prometheus/OpenMetrics scrape target (this process; mount createMetricsEndpoint() in your app for its metrics)`);
+      console.log(`  ${chalk.green('GET')}  /api/loggers - App logger levels (PUT to change, needs --loggers-url)`);
       
       console.log(chalk.yellow('\nPress Ctrl+C to stop the server'));
     });
@@ -188,27 +215,6 @@ function createBasicDebugPage() {
 </html>`;
 }
 
-function handleHealthCheck(req, res) {
-  const health = {
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    system: {
-      platform: process.platform,
-      arch: process.arch,
-      nodeVersion: process.version,
-      uptime: Math.round(process.uptime())
-    },
-    memory: {
-      rss: Math.round(process.memoryUsage().rss / 1024 / 1024),
-      heapTotal: Math.round(process.memoryUsage().heapTotal / 1024 / 1024),
-      heapUsed: Math.round(process.memoryUsage().heapUsed / 1024 / 1024)
-    }
-  };
-  
-  res.writeHead(200, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify(health, null, 2));
-}
-
 function handleLogStream(req, res) {
   res.writeHead(200, {
     'Content-Type': 'text/plain',
@@ -260,6 +266,42 @@ function handleMetrics(req, res) {
   res.end(JSON.stringify(metrics, null, 2));
 }
 
+// Reports the debug process itself (its Inspector, system checks); app metrics come
+// from createMetricsEndpoint() mounted in the app
+const handlePrometheusMetrics = createMetricsEndpoint();
+
+// Every /api/health run is recorded, so /api/health/history has trends without app setup
+export const createHealthHandler = (options = {}) => {
+  const history = options.history || new HealthHistory({ dir: options.dir });
+  return createHealthChecker({ history }).createHealthEndpoint(options.checks);
+};
+
+const healthHistory = new HealthHistory({ dir: path.join(process.cwd(), '.dr-cursored', 'health-history') });
+
+const handleHealthCheck = createHealthHandler({ history: healthHistory });
+
+const handleHealthHistory = createHistoryEndpoint({ history: healthHistory });
+
+const handleLogQuery = createLogQueryEndpoint({ dir: path.join(process.cwd(), 'logs') });
+
+// Browser entries are echoed to the terminal and kept next to the backend logs
+let ingestHandler = null;
+const handleIngest = (req, res) => {
+  if (!ingestHandler) {
+    const browserLogger = new Logger({
+      name: 'browser',
+      service: 'browser',
+      level: 'debug',
+      transports: [
+        new ConsoleTransport({ format: 'text' }),
+        new FileTransport({ filename: path.join(process.cwd(), 'logs', 'browser.log') })
+      ]
+    });
+    ingestHandler = createIngestEndpoint({ logger: browserLogger });
+  }
+  return ingestHandler(req, res);
+};
+
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   const args = process.argv.slice(2);
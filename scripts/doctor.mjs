@@ -2,12 +2,13 @@
 import fs from 'node:fs';
 import path from 'node:path';
 import http from 'node:http';
-import https from 'node:https';
 import { spawn, spawnSync } from 'node:child_process';
-import { fileURLToPath } from 'node:url';
+import { fileURLToPath, pathToFileURL } from 'node:url';
 import os from 'node:os';
 import chalk from 'chalk';
 import ora from 'ora';
+import { HealthChecker, healthChecker } from '../lib/health.mjs';
+import { HealthHistory } from '../lib/history.mjs';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -126,36 +127,6 @@ async function checkPort(port) {
   });
 }
 
-async function checkEndpoint(url, expectedStatus = 200, timeout = 5000) {
-  return new Promise((resolve) => {
-    try {
-      const urlObj = new URL(url);
-      const client = urlObj.protocol === 'https:' ? https : http;
-      
-      const req = client.get(url, { timeout }, (res) => {
-        const success = res.statusCode === expectedStatus;
-        resolve({ 
-          success, 
-          status: res.statusCode, 
-          url,
-          headers: res.headers 
-        });
-      });
-      
-      req.on('error', (e) => {
-        resolve({ success: false, error: e.message, url });
-      });
-      
-      req.on('timeout', () => {
-        req.destroy();
-        resolve({ success: false, error: 'timeout', url });
-      });
-    } catch (e) {
-      resolve({ success: false, error: e.message, url });
-    }
-  });
-}
-
 function checkGitStatus() {
   try {
     const status = spawnSync('git', ['status', '--porcelain'], { 
@@ -221,6 +192,157 @@ function checkMemoryUsage() {
   };
 }
 
+function formatBytes(bytes) {
+  if (bytes === 0) {
+    return '0 B';
+  }
+  const k = 1024;
+  const sizes = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const i = Math.floor(Math.log(bytes) / Math.log(k));
+  return parseFloat((bytes / Math.pow(k, i)).toFixed(2)) + ' ' + sizes[i];
+}
+
+export function reportDiskSpace(disk) {
+  // Node.js without fs.statfs
+  if (disk.data.supported === false) {
+    warn(disk.message);
+    return;
+  }
+  for (const [name, volume] of Object.entries(disk.data)) {
+    if (volume.error) {
+      warn(`Disk (${name}): ${volume.error}`);
+      continue;
+    }
+    let line = `Disk (${name}): ${volume.usagePercent}% used, ${formatBytes(volume.available)} free of ${formatBytes(volume.total)}`;
+    if (volume.inodes) {
+      line += `, inodes ${volume.inodes.usagePercent}% used`;
+    }
+    if (volume.status === 'critical') {
+      failed = true;
+      err(`${line} - ${volume.path} is almost full`);
+    } else if (volume.status === 'warning') {
+      warn(`${line} - ${volume.path} is running low`);
+    } else {
+      ok(line);
+    }
+  }
+}
+
+// Configured endpoints must pass their assertions; diffs are printed under the failure
+function reportEndpoint(result) {
+  const line = `${result.message} (${result.data.responseTime ?? '-'}ms)`;
+  if (result.status === 'healthy') {
+    ok(line);
+    return;
+  }
+  if (result.status === 'warning') {
+    warn(line);
+  } else {
+    failed = true;
+    err(line);
+  }
+  for (const failure of (result.data.failures || []).slice(1)) {
+    console.log(chalk.gray(`   ${failure.message}`));
+  }
+  for (const failure of result.data.failures || []) {
+    if (failure.diff) {
+      console.log(failure.diff.split('\n').map(diffLine => {
+        const color = diffLine.startsWith('-') ? chalk.red : diffLine.startsWith('+') ? chalk.green : chalk.gray;
+        return color(`   ${diffLine}`);
+      }).join('\n'));
+    }
+  }
+}
+
+const formatTime = (timestamp) => new Date(timestamp).toLocaleString();
+
+// healthCheck.history in .dr-cursored.json: { dir, retentionDays, flapWindow, flapThreshold } or false
+const historyFor = (config) => new HealthHistory(
+  typeof config.healthCheck?.history === 'object' ? config.healthCheck.history : {}
+);
+
+// Doctor runs land next to the ones recorded by HealthChecker({ history: true })
+export async function recordDoctorRun(checks, config = loadConfig()) {
+  if (config.healthCheck?.history === false) {
+    return null;
+  }
+  // { system: { disk }, network: { [url]: result }, custom: { [name]: result } }
+  const statuses = Object.values(checks).flatMap(group => Object.values(group)).map(result => result.status);
+  try {
+    return await historyFor(config).record({
+      timestamp: new Date(startTime).toISOString(),
+      overall: failed ? 'critical' : statuses.some(status => status !== 'healthy') ? 'warning' : 'healthy',
+      duration: Date.now() - startTime,
+      checks
+    });
+  } catch (e) {
+    warn(`Failed to record health history: ${e.message}`);
+    return null;
+  }
+}
+
+// Trends recorded by doctor runs and HealthChecker({ history: true }) under .dr-cursored/health-history
+async function reportHistory(since) {
+  console.log(chalk.bold.blue('\n🩺 Dr. Cursored - Health History\n'));
+  const history = historyFor(loadConfig());
+  const summary = await history.summarize({ since });
+
+  if (summary.runs === 0) {
+    info(`No health history in ${path.relative(process.cwd(), history.dir)}${since ? ` since ${since}` : ''}`);
+    info('Record runs with dr-cursored doctor, the debug server\'s /api/health or createHealthChecker({ history: true })');
+    return;
+  }
+
+  info(`${summary.runs} runs from ${formatTime(summary.from)} to ${formatTime(summary.to)}`);
+  for (const [name, check] of Object.entries(summary.checks)) {
+    const state = check.lastChange
+      ? `${check.status} since ${formatTime(check.since)} (was ${check.lastChange.from})`
+      : `${check.status} for all ${check.samples} runs`;
+    const line = `${name}: ${check.uptime}% up, ${state}`;
+    if (check.flapping) {
+      warn(`${line} - flapping (${check.transitions} state changes)`);
+    } else if (check.status === 'healthy') {
+      ok(line);
+    } else if (check.status === 'warning') {
+      warn(line);
+    } else {
+      err(line);
+    }
+    if (check.status !== 'healthy' && check.lastChange?.message) {
+      console.log(chalk.gray(`   ${check.lastChange.message}`));
+    }
+  }
+}
+
+function loadConfig() {
+  const configPath = path.join(process.cwd(), '.dr-cursored.json');
+  if (!fs.existsSync(configPath)) {
+    return {};
+  }
+  try {
+    return JSON.parse(fs.readFileSync(configPath, 'utf8'));
+  } catch (e) {
+    warn(`Ignoring invalid .dr-cursored.json: ${e.message}`);
+    return {};
+  }
+}
+
+// Modules listed in healthCheck.modules register their checks on import, or export
+// a default function that receives the shared health checker
+async function loadHealthCheckModules(config) {
+  for (const modulePath of config.healthCheck?.modules || []) {
+    try {
+      const mod = await import(pathToFileURL(path.resolve(process.cwd(), modulePath)).href);
+      if (typeof mod.default === 'function') {
+        await mod.default(healthChecker);
+      }
+    } catch (e) {
+      failed = true;
+      err(`Failed to load health checks from ${modulePath}: ${e.message}`);
+    }
+  }
+}
+
 async function checkTypeScript() {
   const tsConfigPath = path.join(process.cwd(), 'tsconfig.json');
   if (!fs.existsSync(tsConfigPath)) {
@@ -285,6 +407,11 @@ async function checkESLint() {
 }
 
 export async function runDoctor(options = {}) {
+  if (options.history) {
+    await reportHistory(options.history === true ? undefined : options.history);
+    return;
+  }
+
   const spinner = ora('Running health checks...').start();
   
   try {
@@ -297,6 +424,9 @@ export async function runDoctor(options = {}) {
     console.log(chalk.bold('\n— System Health'));
     const memory = checkMemoryUsage();
     info(`Memory: ${memory.process.heapUsed}MB heap, ${memory.system.free}GB free`);
+    const disk = await new HealthChecker().checkDiskSpace();
+    reportDiskSpace(disk);
+    const checks = { system: { disk } };
     ok(`Node.js ${process.version}`);
     ok(`Platform: ${os.platform()} ${os.arch()}`);
     
@@ -383,21 +513,51 @@ export async function runDoctor(options = {}) {
       }
     }
     
-    // Service health checks (if running)
+    // Service health checks: endpoints from .dr-cursored.json, otherwise common dev servers (if running)
     console.log(chalk.bold('\n— Service Health'));
-    const healthUrls = [
-      'http://localhost:3000',
-      'http://localhost:8000',
-      'http://127.0.0.1:7531/v1/health',
-      'http://localhost:5173'
-    ];
+    const config = loadConfig();
+    const endpoints = config.healthCheck?.endpoints || [];
+    if (endpoints.length > 0) {
+      checks.network = {};
+      for (const endpoint of endpoints) {
+        const result = await healthChecker.checkEndpoint(endpoint);
+        reportEndpoint(result);
+        checks.network[typeof endpoint === 'string' ? endpoint : endpoint.name || endpoint.url] = result;
+      }
+    } else {
+      const healthUrls = [
+        'http://localhost:3000',
+        'http://localhost:8000',
+        'http://127.0.0.1:7531/v1/health',
+        'http://localhost:5173'
+      ];
+
+      for (const url of healthUrls) {
+        const result = await healthChecker.checkEndpoint(url);
+        if (result.status === 'healthy') {
+          ok(`Service responding: ${url}`);
+        } else {
+          info(`Service not running: ${url} (${result.data.error || result.data.statusCode})`);
+        }
+      }
+    }
     
-    for (const url of healthUrls) {
-      const result = await checkEndpoint(url);
-      if (result.success) {
-        ok(`Service responding: ${url}`);
-      } else {
-        info(`Service not running: ${url} (${result.error || result.status})`);
+    // Project-specific checks registered with healthChecker.register()
+    await loadHealthCheckModules(config);
+    const custom = await healthChecker.runRegisteredChecks({ tags: options.tag });
+    if (Object.keys(custom).length > 0) {
+      console.log(chalk.bold('\n— Custom Checks'));
+      checks.custom = custom;
+      for (const [name, result] of Object.entries(custom)) {
+        const line = `${name}: ${result.message || result.status} (${result.duration}ms)`;
+        if (result.status === 'healthy') {
+          ok(line);
+        } else if (result.status === 'warning' || !result.critical) {
+          warn(line);
+        } else {
+          failed = true;
+          err(line);
+        }
       }
     }
     
@@ -405,6 +565,7 @@ export async function runDoctor(options = {}) {
     const duration = Date.now() - startTime;
     console.log(chalk.bold(`\n— Health Check Complete (${duration}ms)`));
     
+    await recordDoctorRun(checks, config);
     spinner.succeed('Health check completed');
     
     if (failed) {
@@ -428,9 +589,13 @@ export async function runDoctor(options = {}) {
 // Run if called directly
 if (import.meta.url === `file://${process.argv[1]}`) {
   const args = process.argv.slice(2);
+  const historyIndex = args.indexOf('--history');
   const options = {
     verbose: args.includes('--verbose') || args.includes('-v'),
-    fix: args.includes('--fix') || args.includes('-f')
+    fix: args.includes('--fix') || args.includes('-f'),
+    tag: args.filter((arg, i) => args[i - 1] === '--tag'),
+    // --history [since]
+    history: historyIndex !== -1 && (/^[^-]/.test(args[historyIndex + 1] || '') ? args[historyIndex + 1] : true)
   };
   
   runDoctor(options).catch(console.error);
@@ -0,0 +1,258 @@
+#!/usr/bin/env node
+import fs from 'node:fs';
+import path from 'node:path';
+import readline from 'node:readline';
+import chalk from 'chalk';
+import { getFormatter } from '../lib/formats.mjs';
+import {
+  parseLogLine,
+  createLogFilter,
+  listLogFiles,
+  LogFollower
+} from '../lib/logs.mjs';
+import { queryLogs } from '../lib/query.mjs';
+
+const err = (m) => console.error(chalk.red('❌'), m);
+const info = (m) => console.error(chalk.blue('ℹ️ '), m);
+
+// How long `logs` without files waits for piped stdin before reading logs/ instead
+const STDIN_WAIT = 500;
+
+// Whether stdin has log lines to read. Cron, CI and spawn() often hand over a pipe or
+// /dev/null that never produces anything, so a non-terminal stdin only counts once it
+// yields data within `wait` ms.
+function stdinHasData(wait = STDIN_WAIT) {
+  if (process.stdin.isTTY) {
+    return Promise.resolve(false);
+  }
+  return new Promise(resolve => {
+    const stdin = process.stdin;
+    const done = (hasData) => {
+      clearTimeout(timer);
+      stdin.off('readable', onReadable);
+      if (!hasData) {
+        stdin.destroy();
+      }
+      resolve(hasData);
+    };
+    // Peeks without consuming: the buffered data is read again by readline
+    const onReadable = () => done(stdin.readableLength > 0);
+    const timer = setTimeout(() => done(false), wait);
+    stdin.once('readable', onReadable);
+  });
+}
+
+function createPrinter(options) {
+  const format = options.format || 'text';
+  const formatter = format === 'json' ? null : getFormatter(format);
+  const colors = options.color !== false && chalk.level > 0;
+
+  return (line, entry) => {
+    if (!entry) {
+      // Not a Logger entry - only shown when nothing is being filtered
+      if (!options.filtering) {
+        console.log(colors ? chalk.dim(line) : line);
+      }
+      return;
+    }
+    console.log(formatter ? formatter(entry, { colors }) : line.trim());
+  };
+}
+
+// '-' stays in place and is read as stdin between the files around it
+function resolveFiles(options) {
+  if (options.files && options.files.length > 0) {
+    return options.files.flatMap(file =>
+      file !== '-' && fs.existsSync(file) && fs.statSync(file).isDirectory() ? listLogFiles(file) : [file]
+    );
+  }
+  return listLogFiles(options.dir || 'logs');
+}
+
+async function readStdin(handle) {
+  const lines = readline.createInterface({ input: process.stdin, crlfDelay: Infinity });
+  for await (const line of lines) {
+    handle(line);
+  }
+}
+
+async function readFiles(files, handle) {
+  for (const file of files) {
+    if (file === '-') {
+      await readStdin(handle);
+      continue;
+    }
+    if (!fs.existsSync(file)) {
+      err(`Log file not found: ${file}`);
+      continue;
+    }
+    const lines = readline.createInterface({ input: fs.createReadStream(file), crlfDelay: Infinity });
+    for await (const line of lines) {
+      if (line.trim()) {
+        handle(line);
+      }
+    }
+  }
+}
+
+export async function runLogs(options = {}) {
+  const filtering = Boolean(options.level || options.service || options.requestId ||
+    options.since || options.until || (options.where && options.where.length));
+
+  let filter;
+  let print;
+  try {
+    filter = createLogFilter(options);
+    print = createPrinter({ ...options, filtering });
+    if (options.lines !== undefined && !/^\d+$/.test(String(options.lines))) {
+      throw new Error(`Invalid --lines value: ${options.lines} (expected a non-negative integer)`);
+    }
+    if ((options.files || []).filter(file => file === '-').length > 1) {
+      throw new Error('stdin (-) can only be read once');
+    }
+  } catch (error) {
+    err(error.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  const limit = options.lines !== undefined ? parseInt(options.lines) : (options.follow ? 10 : Infinity);
+
+  // Without a limit matches are printed as they are read; otherwise only the
+  // last `limit` matches of what is already there are kept
+  const backlog = [];
+  const collect = (line) => {
+    const entry = parseLogLine(line);
+    if (entry ? !filter(entry) : filtering) {
+      return;
+    }
+    if (limit === Infinity) {
+      print(line, entry);
+      return;
+    }
+    backlog.push([line, entry]);
+    if (backlog.length > limit) {
+      backlog.shift();
+    }
+  };
+
+  const useStdin = (!options.files || options.files.length === 0) && !options.dir && await stdinHasData();
+
+  if (useStdin) {
+    await readStdin(collect);
+    backlog.forEach(([line, entry]) => print(line, entry));
+    return;
+  }
+
+  const files = resolveFiles(options);
+  if (files.length === 0) {
+    err(`No log files found in ${path.resolve(options.dir || 'logs')}`);
+    info('Write logs with: new Logger({ transports: [new FileTransport({ filename: \'logs/app.log\' })] })');
+    process.exitCode = 1;
+    return;
+  }
+
+  // Rotated files (app.log.1 ...) only matter for history, follow the live ones
+  await readFiles(files, collect);
+  backlog.forEach(([line, entry]) => print(line, entry));
+
+  if (!options.follow) {
+    return;
+  }
+
+  const liveFiles = files.filter(file => file !== '-' && !/\.\d+$/.test(file));
+  if (liveFiles.length === 0) {
+    return;
+  }
+  info(`Following ${liveFiles.join(', ')} (Ctrl+C to stop)`);
+
+  const follower = new LogFollower(liveFiles, {
+    interval: options.interval,
+    onLine: (line) => {
+      if (!line.trim()) {
+        return;
+      }
+      const entry = parseLogLine(line);
+      if (entry ? filter(entry) : !filtering) {
+        print(line, entry);
+      }
+    }
+  }).start();
+
+  await new Promise(resolve => {
+    process.once('SIGINT', () => {
+      follower.stop();
+      resolve();
+    });
+  });
+}
+
+function formatCell(value) {
+  if (value === null || value === undefined) {
+    return '-';
+  }
+  return typeof value === 'object' ? JSON.stringify(value) : String(value);
+}
+
+function printTable(columns, rows) {
+  const cells = rows.map(row => columns.map(column => formatCell(row[column])));
+  const widths = columns.map((column, i) => Math.max(column.length, ...cells.map(row => row[i].length)));
+  const numeric = columns.map(column => rows.every(row => row[column] === null || typeof row[column] === 'number'));
+
+  const line = (values) => values
+    .map((value, i) => (numeric[i] ? value.padStart(widths[i]) : value.padEnd(widths[i])))
+    .join('  ');
+
+  console.log(chalk.bold(line(columns)));
+  cells.forEach(row => console.log(line(row)));
+}
+
+export async function runLogQuery(options = {}) {
+  let result;
+  try {
+    result = await queryLogs({ ...options, aggregations: options.agg || options.aggregations });
+  } catch (error) {
+    err(error.message);
+    process.exitCode = 1;
+    return;
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(result, null, 2));
+    return;
+  }
+
+  if (result.rows.length === 0) {
+    info(`No matching entries (${result.stats.scanned} scanned in ${result.stats.files} files)`);
+    return;
+  }
+  printTable(result.columns, result.rows);
+  console.error(chalk.dim(`\n${result.stats.matched} of ${result.stats.scanned} entries matched in ${result.stats.took}ms`));
+}
+
+// Run if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const args = process.argv.slice(2);
+  const valueFlags = ['--level', '--service', '--request-id', '--since', '--until', '--format', '--where', '--lines', '-n'];
+  const options = { files: [], where: [] };
+
+  for (let i = 0; i < args.length; i++) {
+    const arg = args[i];
+    if (arg === '--follow' || arg === '-f') {
+      options.follow = true;
+    } else if (valueFlags.includes(arg)) {
+      const value = args[++i];
+      if (arg === '--where') {
+        options.where.push(value);
+      } else if (arg === '-n' || arg === '--lines') {
+        options.lines = value;
+      } else {
+        options[arg.slice(2).replace(/-(\w)/g, (_, c) => c.toUpperCase())] = value;
+      }
+    } else {
+      options.files.push(arg);
+    }
+  }
+
+  runLogs(options).catch(console.error);
+}
@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import http from 'node:http';
+import Fastify from 'fastify';
+import Koa from 'koa';
+import { Hono } from 'hono';
+import { Logger } from '../lib/logger.mjs';
+import { MemoryTransport } from '../lib/transports.mjs';
+import { getRequestId } from '../lib/context.mjs';
+import {
+  fastifyRequestLogger,
+  koaRequestLogger,
+  fetchRequestLogger,
+  honoRequestLogger,
+  httpRequestLogger,
+  createLoggedServer
+} from '../lib/adapters.mjs';
+
+const TRACEPARENT = '00-0af7651916cd43dd8448eb211c80319c-b7ad6b7169203331-01';
+
+const listen = async (server) => {
+  await new Promise(resolve => server.listen(0, resolve));
+  return `http://localhost:${server.address().port}`;
+};
+
+describe('Framework adapters', () => {
+  let memory;
+  let logger;
+  let servers;
+
+  beforeEach(() => {
+    memory = new MemoryTransport();
+    logger = new Logger({ service: 'api', transports: [memory] });
+    servers = [];
+  });
+
+  afterEach(() => {
+    servers.forEach(server => server.close());
+  });
+
+  const requestEntries = () => memory.entries().filter(entry => entry.message === 'HTTP Request');
+
+  it('should log and trace requests through the Fastify plugin', async () => {
+    const app = Fastify();
+    await app.register(fastifyRequestLogger, { logger });
+    app.get('/users', async (request) => {
+      request.logger.info('In handler', { requestIdFromContext: getRequestId() });
+      return { requestId: request.requestId };
+    });
+    app.get('/fail', async () => {
+      throw new Error('Handler failed');
+    });
+    // Registered like fastify-plugin: hooks also apply to routes in other plugins
+    await app.register(async (child) => {
+      child.get('/nested', async (request) => ({ hasLogger: Boolean(request.logger) }));
+    });
+
+    try {
+      const response = await app.inject({ url: '/users?page=2', headers: { traceparent: TRACEPARENT } });
+      expect(response.headers.traceparent).toMatch(/^00-0af7651916cd43dd8448eb211c80319c-[0-9a-f]{16}-01$/);
+      expect((await app.inject({ url: '/fail' })).statusCode).toBe(500);
+      expect((await app.inject({ url: '/nested' })).json()).toEqual({ hasLogger: true });
+
+      const [handler] = memory.entries();
+      expect(handler.requestIdFromContext).toBe(handler.requestId);
+      expect(response.json()).toEqual({ requestId: handler.requestId });
+      expect(requestEntries()).toEqual([
+        expect.objectContaining({ level: 'info', method: 'GET', url: '/users?page=2', status: 200, traceId: '0af7651916cd43dd8448eb211c80319c' }),
+        expect.objectContaining({ level: 'error', url: '/fail', status: 500 }),
+        expect.objectContaining({ url: '/nested', status: 200 })
+      ]);
+      expect(memory.entries().find(entry => entry.message === 'Unhandled error').error.message).toBe('Handler failed');
+    } finally {
+      await app.close();
+    }
+  });
+
+  it('should log requests and errors through Koa middleware', async () => {
+    const app = new Koa();
+    app.silent = true;
+    app.use(koaRequestLogger({ logger }));
+    app.use(async (ctx) => {
+      if (ctx.url === '/missing') {
+        ctx.throw(404, 'Not here');
+      }
+      ctx.state.logger.info('Loading', { requestIdFromContext: getRequestId() });
+      ctx.status = 201;
+      ctx.body = 'created';
+    });
+    const server = http.createServer(app.callback());
+    servers.push(server);
+    const base = await listen(server);
+
+    const response = await fetch(`${base}/items`, { method: 'POST' });
+    expect(response.status).toBe(201);
+    expect(await response.text()).toBe('created');
+    expect(response.headers.get('traceparent')).toMatch(/^00-[0-9a-f]{32}-[0-9a-f]{16}-01$/);
+    expect((await fetch(`${base}/missing`)).status).toBe(404);
+
+    const loading = memory.entries().find(entry => entry.message === 'Loading');
+    expect(loading.requestIdFromContext).toBe(loading.requestId);
+    expect(requestEntries()).toEqual([
+      expect.objectContaining({ method: 'POST', url: '/items', status: 201, requestId: loading.requestId }),
+      expect.objectContaining({ level: 'error', url: '/missing', status: 404 })
+    ]);
+    expect(requestEntries()[0].ip).toMatch(/127\.0\.0\.1|::1/);
+  });
+
+  it('should wrap Fetch API handlers', async () => {
+    const handler = fetchRequestLogger(async (request) => {
+      if (request.url.endsWith('/boom')) {
+        throw new Error('Boom');
+      }
+      logger.info('Handling', { requestIdFromContext: getRequestId() });
+      return Response.redirect('https://example.com/next', 302);
+    }, { logger });
+
+    const response = await handler(new Request('http://localhost/start?x=1', { headers: { 'user-agent': 'test' } }));
+    expect(response.status).toBe(302);
+    expect(response.headers.get('traceparent')).toMatch(/^00-/);
+    await expect(handler(new Request('http://localhost/boom'))).rejects.toThrow('Boom');
+
+    const handling = memory.entries().find(entry => entry.message === 'Handling');
+    expect(handling.requestIdFromContext).toBeDefined();
+    expect(requestEntries()).toEqual([
+      expect.objectContaining({ level: 'warn', url: '/start?x=1', status: 302, userAgent: 'test', requestId: handling.requestIdFromContext }),
+      expect.objectContaining({ level: 'error', url: '/boom', status: 500 })
+    ]);
+  });
+
+  it('should log through Hono middleware and report c.error', async () => {
+    const app = new Hono();
+    app.use(honoRequestLogger({ logger }));
+    app.get('/hello', (c) => {
+      c.get('logger').info('Hi', { requestIdFromContext: getRequestId() });
+      return c.text(c.get('requestId'));
+    });
+    app.get('/fail', () => {
+      throw new Error('Caught by Hono');
+    });
+    app.onError((error, c) => c.text('error', 500));
+
+    const ok = await app.request('http://localhost/hello?x=1', { headers: { traceparent: TRACEPARENT } });
+    expect(ok.headers.get('traceparent')).toContain('0af7651916cd43dd8448eb211c80319c');
+    expect((await app.request('/fail')).status).toBe(500);
+    expect((await app.request('/nowhere')).status).toBe(404);
+
+    const hi = memory.entries().find(entry => entry.message === 'Hi');
+    expect(hi.requestIdFromContext).toBe(hi.requestId);
+    expect(await ok.text()).toBe(hi.requestId);
+    expect(requestEntries().map(entry => [entry.url, entry.status])).toEqual([['/hello?x=1', 200], ['/fail', 500], ['/nowhere', 404]]);
+    expect(memory.entries().find(entry => entry.message === 'Unhandled error').error.message).toBe('Caught by Hono');
+  });
+
+  it('should wrap raw http handlers and turn errors into 500s', async () => {
+    const server = createLoggedServer(async (req, res) => {
+      if (req.url === '/async-fail') {
+        throw new Error('Async failure');
+      }
+      req.logger.info('Raw handler', { requestIdFromContext: getRequestId() });
+      res.end('ok');
+    }, { logger });
+    servers.push(server);
+    const base = await listen(server);
+
+    const response = await fetch(`${base}/ok`);
+    expect(await response.text()).toBe('ok');
+    expect(response.headers.get('traceparent')).toMatch(/^00-/);
+    expect((await fetch(`${base}/async-fail`)).status).toBe(500);
+
+    const raw = memory.entries().find(entry => entry.message === 'Raw handler');
+    expect(raw.requestIdFromContext).toBe(raw.requestId);
+    expect(requestEntries().map(entry => [entry.url, entry.status])).toEqual([['/ok', 200], ['/async-fail', 500]]);
+
+    // Same wrapper works with an existing server
+    const plain = http.createServer(httpRequestLogger((req, res) => res.end(), { logger }));
+    servers.push(plain);
+    await fetch(await listen(plain));
+    expect(requestEntries()).toHaveLength(3);
+  });
+});
@@ -0,0 +1,193 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import http from 'node:http';
+import { BrowserLogger, BrowserShipper } from '../lib/browser.mjs';
+import { createIngestEndpoint, normalizeBrowserEntry } from '../lib/ingest.mjs';
+import { Logger } from '../lib/logger.mjs';
+import { MemoryTransport } from '../lib/transports.mjs';
+
+const createFetch = () => {
+  const requests = [];
+  const fetch = vi.fn(async (url, init) => {
+    requests.push({ url, ...init, payload: JSON.parse(init.body) });
+    return { ok: true, status: 202 };
+  });
+  return { fetch, requests };
+};
+
+describe('Browser logger', () => {
+  let logger;
+
+  afterEach(async () => {
+    if (logger) {
+      await logger.close();
+      logger = null;
+    }
+  });
+
+  it('should batch entries and ship them with fetch', async () => {
+    const { fetch, requests } = createFetch();
+    logger = new BrowserLogger({ service: 'web', fetch, console: false, batchSize: 3, endpoint: '/ingest' });
+
+    logger.debug('Hidden');
+    logger.info('One');
+    logger.child({ component: 'cart' }).warn('Two', { items: 2 });
+    expect(fetch).not.toHaveBeenCalled();
+
+    logger.error('Three', new Error('boom'));
+    expect(fetch).toHaveBeenCalledTimes(1);
+
+    const [request] = requests;
+    expect(request).toMatchObject({ url: '/ingest', method: 'POST', keepalive: true });
+    expect(request.payload.entries.map(entry => entry.message)).toEqual(['One', 'Two', 'Three']);
+    expect(request.payload.entries[1]).toMatchObject({ service: 'web', level: 'warn', component: 'cart', items: 2 });
+    expect(request.payload.entries[2].error).toMatchObject({ name: 'Error', message: 'boom' });
+    expect(new Set(request.payload.entries.map(entry => entry.sessionId)).size).toBe(1);
+  });
+
+  it('should flush on an interval and keep entries when the server is down', async () => {
+    vi.useFakeTimers();
+    try {
+      const fetch = vi.fn().mockRejectedValueOnce(new TypeError('Failed to fetch')).mockResolvedValue({ ok: true });
+      const shipper = new BrowserShipper({ fetch, interval: 1000 });
+      logger = new BrowserLogger({ shipper, console: false });
+
+      logger.info('Queued');
+      await vi.advanceTimersByTimeAsync(1000);
+      expect(fetch).toHaveBeenCalledTimes(1);
+      expect(shipper.queue).toHaveLength(1);
+
+      expect(await logger.flush()).toBe(1);
+      expect(shipper.queue).toHaveLength(0);
+    } finally {
+      vi.useRealTimers();
+    }
+  });
+
+  it('should split batches under the request size limit and drop entries that never fit', async () => {
+    const { fetch, requests } = createFetch();
+    const sendBeacon = vi.fn(() => true);
+    const shipper = new BrowserShipper({ fetch, navigator: { sendBeacon }, maxPayload: 2000, interval: 0 });
+    logger = new BrowserLogger({ shipper, console: false });
+
+    for (let i = 0; i < 5; i++) {
+      logger.info(`Entry ${i}`, { text: 'x'.repeat(500) });
+    }
+    logger.info('Huge', { text: 'x'.repeat(5000) });
+    expect(await shipper.flush({ beacon: true })).toBe(5);
+
+    const payloads = await Promise.all(sendBeacon.mock.calls.map(async ([, blob]) => JSON.parse(await blob.text())));
+    expect(payloads.map(payload => payload.entries.map(entry => entry.message))).toEqual([
+      ['Entry 0', 'Entry 1', 'Entry 2'],
+      ['Entry 3', 'Entry 4']
+    ]);
+    for (const [, blob] of sendBeacon.mock.calls) {
+      expect(blob.size).toBeLessThanOrEqual(2000);
+    }
+    expect(payloads[0].oversized).toBe(1);
+    expect(payloads[1].oversized).toBeUndefined();
+
+    // An oversized entry on its own still reports the count, and nothing is re-queued
+    logger.info('Huge again', { text: 'x'.repeat(5000) });
+    expect(await logger.flush()).toBe(0);
+    expect(requests[0].payload).toMatchObject({ entries: [], oversized: 1 });
+    expect(shipper.queue).toHaveLength(0);
+  });
+
+  it('should support timers and level changes', () => {
+    const { fetch } = createFetch();
+    logger = new BrowserLogger({ fetch, console: false, level: 'debug' });
+    const child = logger.child({ page: 'checkout' });
+
+    const end = child.timer('render');
+    expect(end()).toBeGreaterThanOrEqual(0);
+    expect(logger.shipper.queue[0]).toMatchObject({ message: 'Timer render', page: 'checkout' });
+
+    logger.setLevel('error');
+    expect(child.shouldLog('warn')).toBe(false);
+    expect(() => logger.setLevel('verbose')).toThrow('Unknown log level');
+  });
+
+  it('should capture window errors and rejections, and beacon on pagehide', async () => {
+    const window = new EventTarget();
+    const navigator = { userAgent: 'test', sendBeacon: vi.fn(() => true) };
+    const { fetch } = createFetch();
+    logger = new BrowserLogger({ window, navigator, fetch, console: false });
+
+    const errorEvent = new Event('error');
+    Object.assign(errorEvent, { error: new TypeError('x is undefined'), filename: 'app.js', lineno: 10, colno: 5 });
+    window.dispatchEvent(errorEvent);
+
+    const rejection = new Event('unhandledrejection');
+    rejection.reason = 'nope';
+    window.dispatchEvent(rejection);
+
+    window.dispatchEvent(new Event('pagehide'));
+    expect(navigator.sendBeacon).toHaveBeenCalledTimes(1);
+    expect(fetch).not.toHaveBeenCalled();
+
+    const [url, blob] = navigator.sendBeacon.mock.calls[0];
+    expect(url).toBe('http://localhost:3001/api/logs/ingest');
+    expect(blob.type).toBe('text/plain');
+    const payload = JSON.parse(await blob.text());
+    expect(payload.userAgent).toBe('test');
+    expect(payload.entries[0]).toMatchObject({
+      message: 'Uncaught error',
+      error: { name: 'TypeError', message: 'x is undefined' },
+      source: { file: 'app.js', line: 10, column: 5 }
+    });
+    expect(payload.entries[1]).toMatchObject({ message: 'Unhandled promise rejection', error: { name: 'NonError', message: 'nope' } });
+
+    logger.close();
+    window.dispatchEvent(rejection);
+    expect(logger.shipper.queue).toHaveLength(0);
+  });
+});
+
+describe('Browser log ingest', () => {
+  it('should normalize entries', () => {
+    expect(normalizeBrowserEntry({ level: 'trace', message: 'Hi', timestamp: 't' }, { userAgent: 'ua' })).toEqual({
+      level: 'info',
+      message: 'Hi',
+      meta: { timestamp: 't', origin: 'browser', userAgent: 'ua' }
+    });
+    expect(normalizeBrowserEntry('nope')).toBeNull();
+  });
+
+  it('should re-log browser batches through a Logger', async () => {
+    const memory = new MemoryTransport();
+    const serverLogger = new Logger({ service: 'browser', level: 'debug', transports: [memory], redact: true });
+    const server = http.createServer(createIngestEndpoint({ logger: serverLogger, maxBytes: 2000 }));
+    await new Promise(resolve => server.listen(0, resolve));
+    const endpoint = `http://localhost:${server.address().port}/api/logs/ingest`;
+
+    const logger = new BrowserLogger({ service: 'web', endpoint, console: false, interval: 0 });
+    try {
+      logger.warn('Slow render', { duration: 120, token: 'secret' });
+      logger.info('Clicked');
+      expect(await logger.flush()).toBe(2);
+
+      const entries = memory.entries();
+      expect(entries).toHaveLength(2);
+      expect(entries[0]).toMatchObject({
+        level: 'warn',
+        service: 'web',
+        message: 'Slow render',
+        origin: 'browser',
+        duration: 120,
+        token: '[REDACTED]'
+      });
+      expect(entries[0].sessionId).toBe(logger.sessionId);
+
+      await fetch(endpoint, { method: 'POST', body: JSON.stringify({ entries: [], oversized: 2 }) });
+      expect(memory.entries()[2]).toMatchObject({ level: 'warn', message: 'Browser logger dropped 2 entries too large to send', oversized: 2 });
+
+      const invalid = await fetch(endpoint, { method: 'POST', body: 'not json' });
+      expect(invalid.status).toBe(400);
+      const tooLarge = await fetch(endpoint, { method: 'POST', body: JSON.stringify({ entries: ['x'.repeat(3000)] }) });
+      expect(tooLarge.status).toBe(413);
+      expect((await fetch(endpoint)).status).toBe(405);
+    } finally {
+      server.close();
+    }
+  });
+});
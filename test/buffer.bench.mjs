@@ -0,0 +1,39 @@
+import { afterAll, bench, describe } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { Logger } from '../lib/logger.mjs';
+import { FileTransport } from '../lib/transports.mjs';
+import { LogBuffer } from '../lib/buffer.mjs';
+
+// npm run bench - throughput of synchronous vs buffered file logging
+const ENTRIES = 1000;
+
+const tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dr-cursored-bench-'));
+
+const createLogger = (name, buffer) => new Logger({
+  buffer,
+  transports: [new FileTransport({ filename: path.join(tmpDir, `${name}.log`) })]
+});
+
+const sync = createLogger('sync', null);
+const buffered = createLogger('buffered', new LogBuffer({ size: 500, exitHooks: false }));
+
+const logEntries = (logger) => {
+  for (let i = 0; i < ENTRIES; i++) {
+    logger.info('benchmark entry', { i, user: 'ada', path: '/api/users' });
+  }
+  logger.flush();
+};
+
+describe(`FileTransport, ${ENTRIES} entries`, () => {
+  afterAll(() => {
+    sync.close();
+    buffered.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  bench('synchronous', () => logEntries(sync));
+
+  bench('buffered (size 500)', () => logEntries(buffered));
+});
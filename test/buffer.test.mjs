@@ -0,0 +1,154 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { Logger } from '../lib/logger.mjs';
+import { FileTransport, MemoryTransport } from '../lib/transports.mjs';
+import { LogBuffer } from '../lib/buffer.mjs';
+
+const loggerUrl = new URL('../lib/logger.mjs', import.meta.url).href;
+
+const runScript = (script) => spawnSync(process.execPath, ['--input-type=module', '-e', script], {
+  encoding: 'utf8',
+  timeout: 10000
+});
+
+const readLines = (file) => fs.readFileSync(file, 'utf8').trim().split('\n').filter(Boolean);
+
+describe('Buffered logging', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dr-cursored-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should flush after the log call that reaches the size threshold', async () => {
+    const memory = new MemoryTransport();
+    const logger = new Logger({ buffer: new LogBuffer({ size: 3, exitHooks: false }), transports: [memory] });
+
+    logger.info('one');
+    logger.info('two');
+    logger.info('three');
+    expect(memory.entries()).toHaveLength(0);
+
+    await new Promise(resolve => setImmediate(resolve));
+    expect(memory.entries().map(entry => entry.message)).toEqual(['one', 'two', 'three']);
+  });
+
+  it('should flush synchronously at maxSize when the producer never yields', () => {
+    const memory = new MemoryTransport();
+    const logger = new Logger({ buffer: new LogBuffer({ size: 2, maxSize: 5, exitHooks: false }), transports: [memory] });
+
+    for (let i = 0; i < 4; i++) {
+      logger.info(`entry ${i}`);
+    }
+    expect(memory.entries()).toHaveLength(0);
+    logger.info('entry 4');
+    expect(memory.entries()).toHaveLength(5);
+  });
+
+  it('should flush on the interval and on demand', async () => {
+    const memory = new MemoryTransport();
+    const logger = new Logger({ buffer: new LogBuffer({ interval: 20, exitHooks: false }), transports: [memory] });
+
+    logger.info('timed');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(memory.entries()).toHaveLength(1);
+
+    logger.child({ component: 'db' }).info('manual');
+    expect(logger.flush()).toBe(1);
+    expect(memory.entries()).toHaveLength(2);
+  });
+
+  it('should write one batch per transport', () => {
+    const filename = path.join(tmpDir, 'app.log');
+    const transport = new FileTransport({ filename });
+    const logger = new Logger({ buffer: new LogBuffer({ size: 1000, exitHooks: false }), transports: [transport] });
+
+    for (let i = 0; i < 10; i++) {
+      logger.info(`message ${i}`);
+    }
+    logger.close();
+
+    expect(readLines(filename).map(line => JSON.parse(line).message)).toHaveLength(10);
+  });
+
+  it.each([
+    ['process.exit()', 'process.exit(0);'],
+    ['beforeExit', ''],
+    ['an uncaught exception', 'throw new Error("boom");'],
+    ['SIGTERM', 'process.kill(process.pid, "SIGTERM"); setTimeout(() => {}, 5000);']
+  ])('should flush on %s', (_, ending) => {
+    const filename = path.join(tmpDir, 'exit.log');
+    const result = runScript(`
+      import { Logger, FileTransport } from ${JSON.stringify(loggerUrl)};
+      const logger = new Logger({
+        buffer: { size: 1000, interval: 60000 },
+        transports: [new FileTransport({ filename: ${JSON.stringify(filename)} })]
+      });
+      for (let i = 0; i < 5; i++) logger.info('entry ' + i);
+      ${ending}
+    `);
+
+    expect(result.error).toBeUndefined();
+    expect(readLines(filename)).toHaveLength(5);
+  });
+
+  it.each([
+    ['unbuffered', ''],
+    ['buffered', 'buffer: { size: 1000, interval: 60000 },']
+  ])('should write pending dedupe and rate limit summaries at exit (%s)', (_, buffer) => {
+    const filename = path.join(tmpDir, 'summaries.log');
+    const result = runScript(`
+      import { Logger, FileTransport } from ${JSON.stringify(loggerUrl)};
+      const logger = new Logger({
+        ${buffer}
+        dedupe: { window: 60000 },
+        rateLimit: { rate: 1, interval: 60000, burst: 2 },
+        transports: [new FileTransport({ filename: ${JSON.stringify(filename)} })]
+      });
+      logger.warn('disk full');
+      logger.warn('disk full');
+      logger.info('one');
+      logger.info('two');
+      process.exit(0);
+    `);
+
+    expect(result.error).toBeUndefined();
+    expect(readLines(filename).map(line => JSON.parse(line).message)).toEqual([
+      'disk full',
+      'one',
+      'disk full (repeated 1 time)',
+      'Rate limit exceeded: suppressed 1 log entries'
+    ]);
+  });
+
+  it('should write one batch per flush instead of one write per entry', () => {
+    const count = 2000;
+    const countWrites = (buffer) => {
+      const transport = new FileTransport({ filename: path.join(tmpDir, `writes-${buffer ? 'buffered' : 'sync'}.log`) });
+      const logger = new Logger({ buffer, transports: [transport] });
+      const writes = vi.spyOn(fs, 'writeSync');
+      try {
+        for (let i = 0; i < count; i++) {
+          logger.info('entry', { i });
+        }
+        logger.flush();
+        return writes.mock.calls.length;
+      } finally {
+        writes.mockRestore();
+        transport.close();
+      }
+    };
+
+    expect(countWrites(null)).toBe(count);
+    expect(countWrites(new LogBuffer({ size: 500, maxSize: 500, exitHooks: false }))).toBe(count / 500);
+    expect(readLines(path.join(tmpDir, 'writes-buffered.log'))).toHaveLength(count);
+  });
+});
+
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest';
+import { EventEmitter } from 'node:events';
+import { Logger, requestLogger } from '../lib/logger.mjs';
+import { MemoryTransport } from '../lib/transports.mjs';
+import { Inspector } from '../lib/inspector.mjs';
+import { getContext, runWithContext, setContext, bindContext } from '../lib/context.mjs';
+
+describe('Request context', () => {
+  it('should expose context only inside the scope', async () => {
+    expect(getContext()).toBeNull();
+
+    await runWithContext({ requestId: 'abc12345' }, async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+      expect(getContext().requestId).toBe('abc12345');
+    });
+
+    expect(getContext()).toBeNull();
+  });
+
+  it('should inherit and extend context in nested scopes', () => {
+    runWithContext({ requestId: 'outer', user: 'ada' }, () => {
+      runWithContext({ requestId: 'inner' }, () => {
+        expect(getContext()).toEqual({ requestId: 'inner', user: 'ada' });
+      });
+      expect(setContext({ tenant: 't1' })).toBe(true);
+      expect(getContext()).toEqual({ requestId: 'outer', user: 'ada', tenant: 't1' });
+    });
+    expect(setContext({ tenant: 't1' })).toBe(false);
+  });
+
+  it('should keep context in bound callbacks', async () => {
+    let callback;
+    runWithContext({ requestId: 'bound' }, () => {
+      callback = bindContext(() => getContext()?.requestId);
+    });
+
+    expect(callback()).toBe('bound');
+  });
+
+  it('should add the active context to log entries from any logger', async () => {
+    const memory = new MemoryTransport();
+    const logger = new Logger({ transports: [memory] });
+
+    await runWithContext({ requestId: 'req-1', tenant: 'acme' }, async () => {
+      await Promise.resolve();
+      logger.info('deep in the call tree');
+    });
+    logger.info('outside');
+
+    const [inside, outside] = memory.entries();
+    expect(inside).toMatchObject({ requestId: 'req-1', tenant: 'acme' });
+    expect(outside.requestId).toBe(logger.requestId);
+    expect(outside.tenant).toBeUndefined();
+  });
+
+  it('should open a context per request in requestLogger', () => {
+    const req = { method: 'GET', url: '/users', headers: {} };
+    const res = new EventEmitter();
+    let seen;
+
+    requestLogger(req, res, () => {
+      seen = getContext();
+    });
+
+    expect(seen).toMatchObject({ requestId: req.requestId, method: 'GET', url: '/users' });
+  });
+
+  it('should tag inspector timers and traces with the request id', () => {
+    const inspector = new Inspector({ logger: new Logger({ transports: [new MemoryTransport()] }) });
+
+    runWithContext({ requestId: 'req-2' }, () => {
+      const timerId = inspector.startTimer('work');
+      expect(inspector.endTimer(timerId).requestId).toBe('req-2');
+
+      const traceId = inspector.startTrace('trace');
+      expect(inspector.endTrace(traceId).requestId).toBe('req-2');
+    });
+  });
+});
@@ -0,0 +1,39 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { HealthHistory } from '../lib/history.mjs';
+import { createHealthHandler } from '../scripts/debug.mjs';
+
+const request = (handler, url = '/api/health') => new Promise((resolve) => {
+  const res = {
+    writeHead(statusCode) {
+      this.statusCode = statusCode;
+    },
+    end(body) {
+      resolve({ statusCode: this.statusCode, body: JSON.parse(body) });
+    }
+  };
+  handler({ method: 'GET', url, headers: {} }, res);
+});
+
+describe('debug server', () => {
+  let dir;
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should record /api/health runs in the health history', async () => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'debug-history-'));
+    const handler = createHealthHandler({ dir, checks: { includeGit: false, includeDependencies: false } });
+
+    const { body } = await request(handler);
+    await request(handler);
+
+    const summary = await new HealthHistory({ dir }).summarize({ check: 'system' });
+    expect(summary.runs).toBe(2);
+    expect(summary.checks['system.memory']).toMatchObject({ status: body.checks.system.memory.status, samples: 2 });
+    expect(Object.keys(summary.checks)).toEqual(['system.cpu', 'system.disk', 'system.memory', 'system.uptime']);
+  });
+});
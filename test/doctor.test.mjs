@@ -0,0 +1,44 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { HealthChecker } from '../lib/health.mjs';
+import { HealthHistory } from '../lib/history.mjs';
+import { reportDiskSpace, recordDoctorRun } from '../scripts/doctor.mjs';
+
+describe('doctor', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should print one warning when disk usage cannot be read', async () => {
+    const printed = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const { statfs: original } = fs.promises;
+    delete fs.promises.statfs;
+    try {
+      reportDiskSpace(await new HealthChecker().checkDiskSpace());
+    } finally {
+      fs.promises.statfs = original;
+    }
+
+    const lines = printed.mock.calls.map(args => args.join(' '));
+    expect(lines).toHaveLength(1);
+    expect(lines[0]).toContain('Disk space check unsupported: requires Node.js 18.15 or later');
+    expect(lines[0]).not.toMatch(/NaN|undefined/);
+  });
+
+  it('should record its checks in the health history', async () => {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'doctor-history-'));
+    try {
+      const disk = await new HealthChecker().checkDiskSpace();
+      await recordDoctorRun({ system: { disk } }, { healthCheck: { history: { dir } } });
+      expect(await recordDoctorRun({ system: { disk } }, { healthCheck: { history: false } })).toBeNull();
+
+      const summary = await new HealthHistory({ dir }).summarize();
+      expect(summary.runs).toBe(1);
+      expect(summary.checks['system.disk']).toMatchObject({ status: disk.status, samples: 1 });
+    } finally {
+      fs.rmSync(dir, { recursive: true, force: true });
+    }
+  });
+});
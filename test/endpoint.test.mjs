@@ -0,0 +1,209 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import http from 'node:http';
+import { assertResponse, containsValue, diffValues, getJsonPath, requestEndpoint } from '../lib/endpoint.mjs';
+import { HealthChecker } from '../lib/health.mjs';
+
+const response = (overrides = {}) => ({
+  statusCode: 200,
+  headers: { 'content-type': 'application/json; charset=utf-8', 'x-request-id': 'abc' },
+  body: JSON.stringify({ status: 'ok', checks: { db: { status: 'healthy' }, cache: { status: 'degraded' } }, regions: ['eu', 'us'] }),
+  responseTime: 120,
+  ...overrides
+});
+
+describe('endpoint assertions', () => {
+  it('should resolve JSON paths and partial matches', () => {
+    const value = { data: { items: [{ id: 1 }, { id: 2, tags: ['a'] }] } };
+    expect(getJsonPath(value, '$.data.items[1].id')).toEqual({ found: true, value: 2 });
+    expect(getJsonPath(value, 'data.items.0')).toEqual({ found: true, value: { id: 1 } });
+    expect(getJsonPath(value, 'data.missing')).toEqual({ found: false });
+
+    expect(containsValue('all systems go', 'systems')).toBe(true);
+    expect(containsValue(['eu', 'us'], 'us')).toBe(true);
+    expect(containsValue(value.data.items, { tags: ['a'] })).toBe(true);
+    expect(containsValue({ a: 1, b: { c: 2, d: 3 } }, { b: { c: 2 } })).toBe(true);
+    expect(containsValue({ a: 1 }, { a: 2 })).toBe(false);
+  });
+
+  it('should pass when every expectation holds', () => {
+    expect(assertResponse(response(), {
+      status: [200, 204],
+      maxResponseTime: 500,
+      headers: { 'Content-Type': 'json', 'x-request-id': true, 'x-powered-by': false },
+      body: '/"status":\\s*"ok"/',
+      json: [
+        { path: 'status', equals: 'ok' },
+        { path: 'regions', contains: 'eu' },
+        { path: 'checks', contains: { db: { status: 'healthy' } } },
+        { path: 'checks.db.status', matches: '^heal' },
+        { path: 'error', exists: false }
+      ]
+    })).toEqual([]);
+  });
+
+  it('should describe every failure with a readable diff', () => {
+    const failures = assertResponse(response({ statusCode: 503, responseTime: 900 }), {
+      maxResponseTime: 500,
+      headers: ['etag'],
+      body: /healthy/,
+      json: [
+        { path: 'checks', equals: { db: { status: 'healthy' }, cache: { status: 'healthy' } } },
+        { path: 'version' }
+      ]
+    });
+
+    expect(failures.map(({ assertion, status, message }) => ({ assertion, status, message }))).toEqual([
+      { assertion: 'status', status: 'warning', message: 'Expected status 200, got 503' },
+      { assertion: 'responseTime', status: 'warning', message: 'Response took 900ms, expected at most 500ms' },
+      { assertion: 'header', status: 'error', message: 'Missing header etag' },
+      {
+        assertion: 'json',
+        status: 'error',
+        message: 'JSON path checks: expected {"db":{"status":"healthy"},"cache":{"status":"healthy"}}, got {"db":{"status":"healthy"},"cache":{"status":"degraded"}}'
+      },
+      { assertion: 'json', status: 'error', message: 'JSON path version not found' }
+    ]);
+    expect(failures[3].diff).toBe([
+      '  {',
+      '    "db": {',
+      '      "status": "healthy"',
+      '    },',
+      '    "cache": {',
+      '-     "status": "healthy"',
+      '+     "status": "degraded"',
+      '    }',
+      '  }'
+    ].join('\n'));
+
+    expect(assertResponse(response({ body: '<html>' }), { json: [{ path: 'status', equals: 'ok' }] })[0].message)
+      .toMatch(/^Response body is not valid JSON: /);
+  });
+
+  it('should fail assertions with invalid patterns instead of throwing', () => {
+    const failures = assertResponse(response(), {
+      body: ['/"status/', '(unclosed'],
+      json: [{ path: 'status', matches: '/ok/zz' }]
+    });
+
+    expect(failures).toEqual([
+      { assertion: 'body', status: 'error', message: 'Invalid body pattern: Invalid regular expression: /(unclosed/: Unterminated group' },
+      { assertion: 'json', path: 'status', status: 'error', message: "JSON path status: Invalid flags supplied to RegExp constructor 'zz'" }
+    ]);
+  });
+
+  it('should collapse unchanged lines in long diffs', () => {
+    const expected = Object.fromEntries(Array.from({ length: 20 }, (_, i) => [`key${i}`, i]));
+    const diff = diffValues(expected, { ...expected, key10: 'ten' }).split('\n');
+    expect(diff).toEqual([
+      '  ...',
+      '    "key7": 7,',
+      '    "key8": 8,',
+      '    "key9": 9,',
+      '-   "key10": 10,',
+      '+   "key10": "ten",',
+      '    "key11": 11,',
+      '    "key12": 12,',
+      '    "key13": 13,',
+      '  ...'
+    ]);
+  });
+
+  it('should excerpt changed regions too large to diff line by line', () => {
+    const expected = Array.from({ length: 5000 }, (_, i) => i);
+    const diff = diffValues(expected, expected.map(i => i + 10000)).split('\n');
+
+    expect(diff).toHaveLength(44);
+    expect(diff.slice(0, 3)).toEqual(['  [', '-   0,', '-   1,']);
+    expect(diff).toContain('- ... 4980 more lines');
+    expect(diff).toContain('+ ... 4980 more lines');
+    expect(diff.slice(-3)).toEqual(['+   14998,', '+   14999', '  ]']);
+
+    // Unchanged lines around a change are skipped before the table is built
+    const large = Object.fromEntries(Array.from({ length: 20000 }, (_, i) => [`key${i}`, i]));
+    expect(diffValues(large, { ...large, key10000: 'changed' }).split('\n')).toEqual([
+      '  ...',
+      '    "key9997": 9997,',
+      '    "key9998": 9998,',
+      '    "key9999": 9999,',
+      '-   "key10000": 10000,',
+      '+   "key10000": "changed",',
+      '    "key10001": 10001,',
+      '    "key10002": 10002,',
+      '    "key10003": 10003,',
+      '  ...'
+    ]);
+  });
+});
+
+describe('HealthChecker.checkEndpoint', () => {
+  let server;
+
+  afterEach(async () => {
+    if (server) {
+      await new Promise(resolve => server.close(resolve));
+      server = null;
+    }
+  });
+
+  const listen = async (handler) => {
+    server = http.createServer(handler);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return `http://127.0.0.1:${server.address().port}`;
+  };
+
+  it('should send the configured method, headers and JSON body', async () => {
+    const url = await listen((req, res) => {
+      let body = '';
+      req.on('data', chunk => (body += chunk));
+      req.on('end', () => {
+        res.setHeader('content-type', 'application/json');
+        res.end(JSON.stringify({ method: req.method, token: req.headers['x-token'], type: req.headers['content-type'], received: req.headers['content-type'] ? JSON.parse(body) : body }));
+      });
+    });
+    const checker = new HealthChecker();
+
+    const result = await checker.checkEndpoint({
+      url: `${url}/echo`,
+      method: 'POST',
+      headers: { 'x-token': 'secret' },
+      body: { ping: true },
+      expect: {
+        status: 200,
+        json: [{ path: '$', equals: { method: 'POST', token: 'secret', type: 'application/json', received: { ping: true } } }]
+      }
+    });
+    expect(result).toMatchObject({ status: 'healthy', message: `Endpoint responding: ${url}/echo (200)`, data: { method: 'POST', statusCode: 200 } });
+
+    const failed = await checker.checkEndpoint({ url: `${url}/echo`, method: 'PUT', body: 'raw', expect: { json: [{ path: 'method', equals: 'POST' }] } });
+    expect(failed.status).toBe('error');
+    expect(failed.message).toBe(`Endpoint assertion failed: ${url}/echo - JSON path method: expected "POST", got "PUT"`);
+
+    const report = await checker.runHealthCheck({
+      includeSystem: false,
+      includeGit: false,
+      includeDependencies: false,
+      endpoints: [{ name: 'echo', url, method: 'POST', body: {}, expect: { status: 201, headers: ['etag'] } }]
+    });
+    expect(report.checks.network.echo).toMatchObject({ status: 'error', message: `Endpoint returned 200: ${url} (+1 more)` });
+  });
+
+  it('should read the whole response body so the socket is released', async () => {
+    let finished = false;
+    const url = await listen((req, res) => {
+      res.on('finish', () => (finished = true));
+      res.end(Buffer.alloc(4 * 1024 * 1024, 'x'));
+    });
+
+    const response = await requestEndpoint(url, { maxBodySize: 1024 });
+    expect(response).toMatchObject({ statusCode: 200, size: 4 * 1024 * 1024, truncated: true });
+    expect(response.body).toHaveLength(1024);
+    await new Promise(resolve => setTimeout(resolve, 10));
+    expect(finished).toBe(true);
+
+    expect((await new HealthChecker().checkEndpoint(url)).status).toBe('healthy');
+    await new Promise(resolve => setTimeout(resolve, 10));
+    const connections = await new Promise(resolve => server.getConnections((error, count) => resolve(count)));
+    // Kept-alive sockets are idle in the agent pool, not stuck mid-response
+    expect(connections).toBeLessThanOrEqual(1);
+  });
+});
@@ -0,0 +1,122 @@
+import { describe, it, expect } from 'vitest';
+import fs from 'node:fs';
+import { Logger } from '../lib/logger.mjs';
+import { MemoryTransport } from '../lib/transports.mjs';
+import { Inspector } from '../lib/inspector.mjs';
+import { serializeError } from '../lib/errors.mjs';
+
+describe('serializeError', () => {
+  it('should walk cause chains', () => {
+    const root = new Error('connection refused');
+    const error = new Error('query failed', { cause: new Error('pool exhausted', { cause: root }) });
+
+    const result = serializeError(error);
+
+    expect(result.message).toBe('query failed');
+    expect(result.cause.message).toBe('pool exhausted');
+    expect(result.cause.cause.message).toBe('connection refused');
+    expect(result.cause.cause.stack).toContain('connection refused');
+  });
+
+  it('should stop at circular causes', () => {
+    const a = new Error('a');
+    const b = new Error('b', { cause: a });
+    a.cause = b;
+
+    const result = serializeError(a);
+
+    expect(result.cause.message).toBe('b');
+    expect(result.cause.cause).toBe('[Circular]');
+    expect(() => JSON.stringify(result)).not.toThrow();
+  });
+
+  it('should serialize AggregateError members', () => {
+    const error = new AggregateError([new TypeError('one'), new RangeError('two')], 'all failed');
+
+    const result = serializeError(error);
+
+    expect(result.name).toBe('AggregateError');
+    expect(result.errors.map(e => `${e.name}: ${e.message}`)).toEqual(['TypeError: one', 'RangeError: two']);
+  });
+
+  it('should keep Node system error fields', () => {
+    let error;
+    try {
+      fs.readFileSync('/definitely/not/here');
+    } catch (e) {
+      error = e;
+    }
+
+    expect(serializeError(error)).toMatchObject({
+      code: 'ENOENT',
+      errno: expect.any(Number),
+      syscall: 'open',
+      path: '/definitely/not/here'
+    });
+  });
+
+  it('should keep custom enumerable properties safely', () => {
+    const error = new Error('bad request');
+    error.status = 400;
+    error.details = { field: 'email' };
+    error.details.self = error.details;
+    error.big = 10n;
+
+    expect(serializeError(error)).toMatchObject({
+      status: 400,
+      details: { field: 'email', self: '[Circular]' },
+      big: '10'
+    });
+  });
+
+  it('should limit stack frames and cause depth', () => {
+    const error = new Error('deep');
+    error.stack = ['Error: deep', ...Array.from({ length: 30 }, (_, i) => `    at fn${i} (file.js:${i})`)].join('\n');
+    let chain = error;
+    for (let i = 0; i < 5; i++) {
+      chain = new Error(`level ${i}`, { cause: chain });
+    }
+
+    const result = serializeError(error, { stackFrames: 3 });
+    expect(result.stack.split('\n')).toEqual([
+      'Error: deep',
+      '    at fn0 (file.js:0)',
+      '    at fn1 (file.js:1)',
+      '    at fn2 (file.js:2)',
+      '    ... 27 more frames'
+    ]);
+
+    const shallow = serializeError(chain, { maxDepth: 2 });
+    expect(shallow.cause.cause).toEqual({ name: 'Error', message: 'level 2', truncated: true });
+  });
+
+  it('should describe non-error values', () => {
+    expect(serializeError('oops')).toEqual({ name: 'NonError', message: 'oops' });
+  });
+});
+
+describe('Error serialization in Logger and Inspector', () => {
+  it('should serialize errors in errorWithStack and meta', () => {
+    const memory = new MemoryTransport();
+    const logger = new Logger({ transports: [memory] });
+    const error = new Error('outer', { cause: new Error('inner') });
+
+    logger.errorWithStack('failed', error);
+    logger.error('failed again', { err: error });
+    logger.error('bare error as meta', error);
+
+    const [first, second, third] = memory.entries();
+    expect(first.error.cause.message).toBe('inner');
+    expect(second.err.cause.message).toBe('inner');
+    expect(third.error.message).toBe('outer');
+  });
+
+  it('should include the cause chain in inspectError', () => {
+    const inspector = new Inspector({ logger: new Logger({ transports: [new MemoryTransport()] }) });
+
+    const info = inspector.inspectError(new Error('outer', { cause: new Error('inner') }));
+
+    expect(info.message).toBe('outer');
+    expect(info.cause.message).toBe('inner');
+  });
+});
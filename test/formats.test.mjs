@@ -0,0 +1,124 @@
+import { describe, it, expect } from 'vitest';
+import { Logger } from '../lib/logger.mjs';
+import { MemoryTransport } from '../lib/transports.mjs';
+import { getFormatter, registerFormat, listFormats } from '../lib/formats.mjs';
+
+const entry = {
+  timestamp: '2024-12-13T10:00:00.000Z',
+  level: 'info',
+  service: 'api',
+  message: 'HTTP Request',
+  requestId: 'abcd1234',
+  traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+  method: 'GET',
+  url: '/users?id=1',
+  status: 200,
+  duration: 12.5,
+  user: { id: 7, name: 'Ada Lovelace' }
+};
+
+describe('Log formats', () => {
+  it('should list the built-in formats', () => {
+    expect(listFormats()).toEqual(expect.arrayContaining(['json', 'text', 'logfmt', 'ecs', 'pretty']));
+  });
+
+  it('should format logfmt with quoting and flattened meta', () => {
+    const line = getFormatter('logfmt')(entry, { colors: false });
+
+    expect(line).toBe(
+      'time=2024-12-13T10:00:00.000Z level=info service=api msg="HTTP Request" requestId=abcd1234 ' +
+      'traceId=4bf92f3577b34da6a3ce929d0e0e4736 method=GET url="/users?id=1" status=200 duration=12.5 ' +
+      'user.id=7 user.name="Ada Lovelace"'
+    );
+  });
+
+  it('should escape quotes and newlines in logfmt', () => {
+    const line = getFormatter('logfmt')({ ...entry, message: 'say "hi"\nbye', user: undefined }, {});
+
+    expect(line).toContain('msg="say \\"hi\\"\\nbye"');
+    expect(line).not.toContain('user=');
+  });
+
+  it('should mark circular references in logfmt', () => {
+    const shared = { id: 1 };
+    const job = { name: 'sync', owner: shared, backup: shared };
+    job.self = job;
+    job.steps = [{ job }];
+
+    const line = getFormatter('logfmt')({ ...entry, user: undefined, job }, {});
+
+    expect(line).toContain('job.name=sync job.owner.id=1 job.backup.id=1 job.self=[Circular]');
+    expect(line).toContain('job.steps="[{\\"job\\":{\\"name\\":\\"sync\\"');
+    expect(line).toContain('\\"self\\":\\"[Circular]\\",\\"steps\\":\\"[Circular]\\"}}]"');
+  });
+
+  it('should map fields to Elastic Common Schema', () => {
+    const doc = JSON.parse(getFormatter('ecs')({
+      ...entry,
+      spanId: '00f067aa0ba902b7',
+      parentSpanId: 'b7ad6b7169203331',
+      error: { name: 'TypeError', message: 'boom', stack: 'TypeError: boom' }
+    }, {}));
+
+    expect(doc).toMatchObject({
+      '@timestamp': entry.timestamp,
+      'log.level': 'info',
+      message: 'HTTP Request',
+      ecs: { version: expect.any(String) },
+      service: { name: 'api' },
+      trace: { id: entry.traceId },
+      span: { id: '00f067aa0ba902b7' },
+      labels: { parent_span_id: 'b7ad6b7169203331' },
+      http: { request: { id: 'abcd1234', method: 'GET' }, response: { status_code: 200 } },
+      url: { original: '/users?id=1' },
+      event: { duration: 12500000 },
+      error: { type: 'TypeError', message: 'boom', stack_trace: 'TypeError: boom' },
+      user: { id: 7, name: 'Ada Lovelace' }
+    });
+    expect(doc).not.toHaveProperty('parent');
+  });
+
+  it('should put caller source locations under log.origin in ECS', () => {
+    const format = getFormatter('ecs');
+    const doc = JSON.parse(format({ ...entry, source: { file: 'src/app.js', line: 12, column: 5, function: 'handle' } }, {}));
+
+    expect(doc.log).toEqual({ origin: { file: { name: 'src/app.js', line: 12 }, function: 'handle' } });
+    expect(doc).not.toHaveProperty('source');
+    expect(JSON.parse(format({ ...entry, source: 'cron' }, {}))).toMatchObject({ labels: { source: 'cron' } });
+  });
+
+  it('should expand nested meta over multiple lines in pretty format', () => {
+    const output = getFormatter('pretty')({ ...entry, stack: 'Error\n\n    at a.js:1' }, { colors: false });
+
+    expect(output.split('\n')).toEqual([
+      '[INFO] 2024-12-13T10:00:00.000Z [api] [abcd1234] HTTP Request',
+      '  traceId: \'4bf92f3577b34da6a3ce929d0e0e4736\'',
+      '  method: \'GET\'',
+      '  url: \'/users?id=1\'',
+      '  status: 200',
+      '  duration: 12.5',
+      '  user:',
+      '    id: 7',
+      '    name: \'Ada Lovelace\'',
+      '  stack:',
+      '    Error',
+      '',
+      '        at a.js:1'
+    ]);
+  });
+
+  it('should use custom registered formatters', () => {
+    registerFormat('upper', e => e.message.toUpperCase());
+    const memory = new MemoryTransport({ format: 'upper' });
+    const logger = new Logger({ transports: [memory] });
+
+    logger.info('shout');
+
+    expect(memory.lines()).toEqual(['SHOUT']);
+  });
+
+  it('should reject unknown formats', () => {
+    expect(() => new Logger({ format: 'xml' })).toThrow('Unknown log format: xml');
+    expect(() => registerFormat('broken', 'nope')).toThrow('must be a function');
+  });
+});
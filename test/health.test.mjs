@@ -0,0 +1,367 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import fs from 'node:fs';
+import http from 'node:http';
+import os from 'node:os';
+import { HealthChecker } from '../lib/health.mjs';
+
+// 1000 blocks of 1 KB, 100 inodes
+const statfs = (overrides = {}) => ({
+  type: 0,
+  bsize: 1024,
+  blocks: 1000,
+  bfree: 500,
+  bavail: 500,
+  files: 100,
+  ffree: 90,
+  ...overrides
+});
+
+describe('HealthChecker disk space', () => {
+  afterEach(() => {
+    vi.restoreAllMocks();
+  });
+
+  it('should report space and inodes for the project, temp and npm cache locations', async () => {
+    const checker = new HealthChecker();
+    const result = await checker.checkDiskSpace();
+
+    expect(result.data.project.path).toBe(process.cwd());
+    expect(result.data.tmp.path).toBe(os.tmpdir());
+    for (const volume of Object.values(result.data)) {
+      expect(volume.total).toBeGreaterThan(0);
+      expect(volume.used + volume.free).toBe(volume.total);
+      expect(volume.usagePercent).toBeGreaterThanOrEqual(0);
+      expect(['healthy', 'warning', 'critical']).toContain(volume.status);
+    }
+    expect(result.message).toMatch(/^(Disk|Inode) usage: \d+% on \w+/);
+  });
+
+  it('should stat each volume once and apply the configured thresholds', async () => {
+    const spy = vi.spyOn(fs.promises, 'statfs').mockResolvedValue(statfs({ bfree: 150, bavail: 100 }));
+    const paths = { project: process.cwd(), again: process.cwd() };
+
+    const checker = new HealthChecker({ disk: { warning: 80, critical: 95 } });
+    const warning = await checker.checkDiskSpace({ paths });
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(warning.status).toBe('warning');
+    expect(warning.data.project).toMatchObject({ total: 1024000, free: 153600, available: 102400, usagePercent: 89 });
+    expect(warning.message).toBe('Disk usage: 89% on project (100.0 KB free)');
+
+    expect((await checker.checkDiskSpace({ paths, critical: 85 })).status).toBe('critical');
+    expect((await checker.checkDiskSpace({ paths, warning: 90 })).status).toBe('healthy');
+  });
+
+  it('should detect inode exhaustion and skip filesystems without inode counts', async () => {
+    const spy = vi.spyOn(fs.promises, 'statfs').mockResolvedValue(statfs({ ffree: 2 }));
+    const checker = new HealthChecker();
+
+    const exhausted = await checker.checkDiskSpace({ paths: { project: process.cwd() } });
+    expect(exhausted.status).toBe('critical');
+    expect(exhausted.data.project.inodes).toEqual({ total: 100, free: 2, used: 98, usagePercent: 98 });
+    expect(exhausted.message).toBe('Inode usage: 98% on project (2 free)');
+
+    spy.mockResolvedValue(statfs({ files: 0, ffree: 0 }));
+    const dynamic = await checker.checkDiskSpace({ paths: { project: process.cwd() } });
+    expect(dynamic).toMatchObject({ status: 'healthy', data: { project: { inodes: null } } });
+  });
+
+  it('should report unreadable locations as errors', async () => {
+    const checker = new HealthChecker();
+    const result = await checker.checkDiskSpace({ paths: { project: process.cwd(), cache: '/does/not/exist' } });
+
+    expect(result.status).toBe('error');
+    expect(result.data.cache).toMatchObject({ status: 'error', path: '/does/not/exist' });
+    expect(result.message).toContain('Disk space check failed for cache');
+  });
+
+  it('should report the check as unsupported without fs.statfs', async () => {
+    const { statfs: original } = fs.promises;
+    delete fs.promises.statfs;
+    try {
+      const result = await new HealthChecker().checkDiskSpace();
+      expect(result).toMatchObject({ status: 'warning', data: { supported: false } });
+      expect(result.message).toBe(`Disk space check unsupported: requires Node.js 18.15 or later (running ${process.version})`);
+    } finally {
+      fs.promises.statfs = original;
+    }
+  });
+
+  it('should mark the overall report critical when a disk is almost full', async () => {
+    vi.spyOn(fs.promises, 'statfs').mockResolvedValue(statfs({ bfree: 10, bavail: 10 }));
+    const checker = new HealthChecker();
+
+    const report = await checker.runHealthCheck({ includeNetwork: false, includeGit: false, includeDependencies: false });
+    expect(report.checks.system.disk.status).toBe('critical');
+    expect(report.overall).toBe('critical');
+  });
+});
+
+describe('HealthChecker check runner', () => {
+  let server;
+
+  afterEach(async () => {
+    if (server) {
+      server.closeAllConnections();
+      await new Promise(resolve => server.close(resolve));
+      server = null;
+    }
+  });
+
+  it('should run checks concurrently up to the concurrency limit', async () => {
+    let running = 0;
+    let maxRunning = 0;
+    const check = (name) => ({
+      path: ['custom', name],
+      run: async () => {
+        running++;
+        maxRunning = Math.max(maxRunning, running);
+        await new Promise(resolve => setTimeout(resolve, 20));
+        running--;
+        return { status: 'healthy', message: name };
+      }
+    });
+    const checker = new HealthChecker({ concurrency: 2 });
+
+    const results = await checker.runChecks(['a', 'b', 'c', 'd', 'e'].map(check));
+    expect(maxRunning).toBe(2);
+    expect(Object.keys(results.custom)).toEqual(['a', 'b', 'c', 'd', 'e']);
+    expect(results.custom.a).toMatchObject({ status: 'healthy', message: 'a', attempts: 1 });
+    expect(results.custom.a.duration).toBeGreaterThanOrEqual(15);
+  });
+
+  it('should abort checks that exceed their timeout', async () => {
+    const sockets = [];
+    server = http.createServer(() => {});
+    server.on('connection', socket => sockets.push(socket));
+    await new Promise(resolve => server.listen(0, resolve));
+    const url = `http://localhost:${server.address().port}/slow`;
+    const checker = new HealthChecker({ timeout: 50 });
+
+    const hanging = await checker.runCheck(() => new Promise(() => {}));
+    expect(hanging).toMatchObject({ status: 'error', error: 'timeout', message: 'Check timed out after 50ms' });
+    expect(hanging.duration).toBeGreaterThanOrEqual(45);
+
+    const report = await checker.runHealthCheck({
+      includeSystem: false,
+      includeGit: false,
+      includeDependencies: false,
+      endpoints: [url]
+    });
+    expect(report.checks.network[url]).toMatchObject({ status: 'error', attempts: 1 });
+    expect(report.overall).toBe('critical');
+    // The request is aborted rather than left open
+    await new Promise(resolve => setTimeout(resolve, 20));
+    expect(sockets.every(socket => socket.destroyed)).toBe(true);
+  });
+
+  it('should retry failed checks with backoff', async () => {
+    const checker = new HealthChecker({ retries: 2, retryDelay: 10 });
+    let calls = 0;
+    const flaky = async () => {
+      calls++;
+      if (calls < 3) {
+        throw new Error('ECONNRESET');
+      }
+      return { status: 'healthy', message: 'ok' };
+    };
+
+    const result = await checker.runCheck(flaky);
+    expect(result).toMatchObject({ status: 'healthy', attempts: 3 });
+    // 10ms then 20ms between attempts
+    expect(result.duration).toBeGreaterThanOrEqual(28);
+
+    calls = 0;
+    expect(await checker.runCheck(flaky, { retries: 0 })).toMatchObject({ status: 'error', message: 'Check failed: ECONNRESET', attempts: 1 });
+
+    const warning = vi.fn(async () => ({ status: 'warning' }));
+    expect(await checker.runCheck(warning)).toMatchObject({ status: 'warning', attempts: 1 });
+    expect(new HealthChecker().retries).toBe(0);
+  });
+
+  it('should record durations for every check in the report', async () => {
+    server = http.createServer((req, res) => res.end('ok'));
+    await new Promise(resolve => server.listen(0, resolve));
+    const url = `http://localhost:${server.address().port}/`;
+    const checker = new HealthChecker();
+
+    const report = await checker.runHealthCheck({ endpoints: [url], files: ['package.json'] });
+    const checks = checker.flattenChecks(report.checks);
+    expect(checks.map(check => check.name)).toEqual(expect.arrayContaining([
+      'system.memory', 'system.disk', 'dependencies', 'git', 'filesystem.package.json', `network.${url}`
+    ]));
+    for (const check of checks) {
+      expect(check.duration).toBeGreaterThanOrEqual(0);
+    }
+    expect(report.checks.network[url].status).toBe('healthy');
+    expect(report.duration).toBeGreaterThan(0);
+  });
+});
+
+describe('HealthChecker registry', () => {
+  const onlyCustom = { includeSystem: false, includeNetwork: false, includeGit: false, includeDependencies: false };
+  let checker;
+
+  afterEach(() => {
+    for (const name of checker.registry.keys()) {
+      checker.unregister(name);
+    }
+  });
+
+  it('should include registered checks in the report', async () => {
+    checker = new HealthChecker();
+    checker.register('queue', async () => ({ status: 'healthy', message: 'Queue depth 3', data: { depth: 3 } }), { tags: ['queue'] });
+    checker.register('flags', () => true);
+    checker.register('cache', () => {
+      throw new Error('Connection refused');
+    }, { critical: false });
+
+    const report = await checker.runHealthCheck(onlyCustom);
+    expect(report.checks.custom.queue).toMatchObject({ status: 'healthy', message: 'Queue depth 3', data: { depth: 3 }, critical: true, tags: ['queue'] });
+    expect(report.checks.custom.flags).toMatchObject({ status: 'healthy', attempts: 1 });
+    expect(report.checks.custom.cache).toMatchObject({ status: 'error', message: 'Check failed: Connection refused', critical: false });
+    // A failing non-critical check only degrades the report
+    expect(report.overall).toBe('warning');
+
+    checker.register('flags', () => false);
+    expect((await checker.runHealthCheck(onlyCustom)).overall).toBe('critical');
+    expect(() => checker.register('broken', 'nope')).toThrow(TypeError);
+  });
+
+  it('should treat a check named "status" as a check, not as its group', async () => {
+    checker = new HealthChecker();
+    checker.register('status', () => false);
+    checker.register('queue', () => true);
+
+    const report = await checker.runHealthCheck(onlyCustom);
+    expect(report.overall).toBe('critical');
+    expect(checker.flattenChecks(report.checks).map(check => [check.name, check.status])).toEqual([
+      ['custom.status', 'error'],
+      ['custom.queue', 'healthy']
+    ]);
+  });
+
+  it('should filter registered checks by tag and enforce their timeout', async () => {
+    checker = new HealthChecker();
+    checker.register('db', () => true, { tags: ['db', 'ready'] });
+    checker.register('queue', () => new Promise(() => {}), { tags: ['queue'], timeout: 30 });
+
+    const db = await checker.runHealthCheck({ ...onlyCustom, tags: ['db'] });
+    expect(Object.keys(db.checks.custom)).toEqual(['db']);
+
+    const registered = await checker.runRegisteredChecks({ tags: ['queue'] });
+    expect(registered.queue).toMatchObject({ status: 'error', error: 'timeout' });
+
+    let body;
+    const res = {
+      status: (code) => {
+        res.statusCode = code;
+        return res;
+      },
+      json: (value) => {
+        body = value;
+      }
+    };
+    await checker.createHealthEndpoint(onlyCustom)({ url: '/health?tag=ready' }, res);
+    expect(res.statusCode).toBe(200);
+    expect(Object.keys(body.checks.custom)).toEqual(['db']);
+  });
+
+  it('should run interval checks in the background and report the latest result', async () => {
+    checker = new HealthChecker();
+    let calls = 0;
+    checker.register('slow', async () => {
+      calls++;
+      return { status: 'healthy', data: { run: calls } };
+    }, { interval: 20 });
+
+    await new Promise(resolve => setTimeout(resolve, 70));
+    const seen = calls;
+    expect(seen).toBeGreaterThanOrEqual(3);
+
+    const report = await checker.runHealthCheck(onlyCustom);
+    expect(calls).toBe(seen);
+    expect(report.checks.custom.slow.data.run).toBe(seen);
+    expect(report.checks.custom.slow.checkedAt).toBeDefined();
+
+    checker.unregister('slow');
+    await new Promise(resolve => setTimeout(resolve, 50));
+    expect(calls).toBe(seen);
+  });
+});
+
+describe('HealthChecker probes', () => {
+  let checker;
+  let server;
+
+  afterEach(async () => {
+    if (server) {
+      await new Promise(resolve => server.close(resolve));
+      server = null;
+    }
+  });
+
+  const serve = async (routes) => {
+    server = http.createServer((req, res) => routes[req.url](req, res));
+    await new Promise(resolve => server.listen(0, resolve));
+    return `http://localhost:${server.address().port}`;
+  };
+
+  const probe = async (url) => {
+    const response = await fetch(url);
+    return [response.status, await response.json(), response.headers.get('content-type')];
+  };
+
+  it('should fail readiness but not liveness when a non-critical check fails', async () => {
+    checker = new HealthChecker();
+    let cacheUp = false;
+    checker.register('db', () => true);
+    checker.register('cache', () => cacheUp, { critical: false });
+    const probes = checker.createProbeEndpoints();
+    const base = await serve({ '/livez': probes.liveness, '/readyz': probes.readiness });
+
+    expect(await probe(`${base}/livez`)).toEqual([200, { status: 'ok' }, 'application/json']);
+    expect(await probe(`${base}/readyz`)).toEqual([503, { status: 'fail', failed: ['cache'] }, 'application/json']);
+
+    cacheUp = true;
+    expect((await probe(`${base}/readyz`))[0]).toBe(200);
+
+    checker.register('db', () => false);
+    expect(await probe(`${base}/livez`)).toEqual([503, { status: 'fail', failed: ['db'] }, 'application/json']);
+  });
+
+  it('should keep passing the startup probe once it has passed', async () => {
+    checker = new HealthChecker();
+    let migrated = false;
+    checker.register('migrations', () => migrated, { tags: ['startup'] });
+    checker.register('cache', () => false, { critical: false });
+    const base = await serve({ '/startupz': checker.createStartupEndpoint({ tags: ['startup'] }) });
+
+    expect(await probe(`${base}/startupz`)).toEqual([503, { status: 'fail', failed: ['migrations'] }, 'application/json']);
+    migrated = true;
+    expect((await probe(`${base}/startupz`))[0]).toBe(200);
+    migrated = false;
+    expect((await probe(`${base}/startupz`))[0]).toBe(200);
+  });
+
+  it('should select checks by name and answer through Express responses', async () => {
+    checker = new HealthChecker();
+    checker.register('db', () => true);
+    checker.register('queue', () => false);
+    const readiness = checker.createReadinessEndpoint({ checks: ['db'] });
+
+    const res = {
+      status: vi.fn(() => res),
+      json: vi.fn()
+    };
+    await readiness({}, res);
+    expect(res.status).toHaveBeenCalledWith(200);
+    expect(res.json).toHaveBeenCalledWith({ status: 'ok' });
+
+    // The full report also works without Express
+    const base = await serve({ '/health': checker.createHealthEndpoint({ includeSystem: false, includeNetwork: false, includeGit: false, includeDependencies: false }) });
+    const [status, body] = await probe(`${base}/health`);
+    expect(status).toBe(503);
+    expect(body.checks.custom.queue.status).toBe('error');
+    await expect(checker.runProbe('warmup')).rejects.toThrow('Unknown probe');
+  });
+});
@@ -0,0 +1,103 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { HealthHistory, createHistoryEndpoint, summarizeCheck } from '../lib/history.mjs';
+import { HealthChecker } from '../lib/health.mjs';
+
+const MINUTE = 60 * 1000;
+
+const samples = (statuses, start = Date.parse('2026-10-19T10:00:00Z')) => statuses.map((status, i) => ({
+  timestamp: new Date(start + i * MINUTE).toISOString(),
+  status,
+  duration: 10,
+  message: `run ${i} ${status}`
+}));
+
+const report = (time, checks) => ({ timestamp: new Date(time).toISOString(), overall: 'healthy', duration: 5, checks });
+
+describe('summarizeCheck', () => {
+  it('should compute uptime and the last state change', () => {
+    const summary = summarizeCheck(samples(['healthy', 'healthy', 'warning', 'error', 'error', 'healthy', 'healthy', 'healthy']));
+    expect(summary).toMatchObject({
+      status: 'healthy',
+      samples: 8,
+      uptime: 75,
+      since: '2026-10-19T10:05:00.000Z',
+      lastChange: { at: '2026-10-19T10:05:00.000Z', from: 'error', to: 'healthy', message: 'run 5 healthy' },
+      lastFailure: { at: '2026-10-19T10:04:00.000Z', status: 'error' },
+      transitions: 3,
+      flapping: false,
+      averageDuration: 10
+    });
+
+    const steady = summarizeCheck(samples(['healthy', 'healthy']));
+    expect(steady).toMatchObject({ uptime: 100, since: '2026-10-19T10:00:00.000Z', lastChange: null, lastFailure: null });
+  });
+
+  it('should detect flapping over the recent window only', () => {
+    const flapping = summarizeCheck(samples(['healthy', 'error', 'healthy', 'error', 'healthy', 'error', 'healthy', 'error']));
+    expect(flapping).toMatchObject({ flapping: true, flapRate: 0.37, transitions: 7, uptime: 50 });
+
+    // Flapped long ago, stable for the last 20 runs
+    const settled = summarizeCheck(samples([...'hehehe'].map(c => (c === 'h' ? 'healthy' : 'error')).concat(new Array(20).fill('healthy'))));
+    expect(settled).toMatchObject({ flapping: false, transitions: 6 });
+    expect(summarizeCheck(samples(['healthy', 'error', 'healthy']), { flapWindow: 3, flapThreshold: 1 }).flapping).toBe(true);
+  });
+});
+
+describe('HealthHistory', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dr-cursored-history-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  it('should persist runs as daily NDJSON files and prune old days', async () => {
+    const history = new HealthHistory({ dir, retentionDays: 2 });
+    const now = Date.now();
+    fs.writeFileSync(path.join(dir, '2020-01-01.ndjson'), JSON.stringify(report(Date.parse('2020-01-01'), {})) + '\n');
+
+    await history.record(report(now - 2 * MINUTE, { system: { memory: { status: 'healthy', duration: 1 } }, git: { status: 'warning', message: 'dirty' } }));
+    await history.record(report(now - MINUTE, { system: { memory: { status: 'critical', duration: 3, message: 'Memory usage: 97%' } }, git: { status: 'warning' } }));
+    fs.appendFileSync(history.fileFor(now), '{"timestamp": "cut off');
+
+    expect(fs.readdirSync(dir)).not.toContain('2020-01-01.ndjson');
+    const entries = await history.load();
+    expect(entries).toHaveLength(2);
+    expect(entries[1].checks['system.memory']).toEqual({ status: 'critical', duration: 3, message: 'Memory usage: 97%' });
+
+    const summary = await history.summarize({ check: 'system' });
+    expect(summary.runs).toBe(2);
+    expect(Object.keys(summary.checks)).toEqual(['system.memory']);
+    expect(summary.checks['system.memory']).toMatchObject({ status: 'critical', uptime: 50, lastChange: { from: 'healthy', to: 'critical' } });
+
+    expect((await history.load({ since: '90s' })).map(entry => entry.checks['system.memory'].status)).toEqual(['critical']);
+  });
+
+  it('should record runHealthCheck reports and serve summaries', async () => {
+    const checker = new HealthChecker({ history: { dir } });
+    let healthy = true;
+    checker.register('queue', () => healthy);
+    checker.register('status', () => true);
+    const options = { includeSystem: false, includeGit: false, includeDependencies: false, includeNetwork: false };
+
+    await checker.runHealthCheck(options);
+    healthy = false;
+    await checker.runHealthCheck(options);
+
+    const handler = createHistoryEndpoint({ history: checker.history });
+    const res = { writeHead(statusCode) { this.statusCode = statusCode; }, end(body) { this.body = JSON.parse(body); } };
+    await handler({ method: 'GET', url: '/api/health/history?since=1h&check=custom.queue' }, res);
+    expect(res.statusCode).toBe(200);
+    expect(res.body).toMatchObject({ runs: 2, checks: { 'custom.queue': { status: 'error', uptime: 50, transitions: 1 } } });
+    expect(Object.keys((await checker.history.summarize()).checks)).toEqual(['custom.queue', 'custom.status']);
+
+    await handler({ method: 'GET', url: '/api/health/history?since=yesterday-ish' }, res);
+    expect(res).toMatchObject({ statusCode: 400, body: { error: 'Invalid time: yesterday-ish' } });
+  });
+});
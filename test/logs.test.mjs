@@ -0,0 +1,185 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { spawnSync } from 'node:child_process';
+import { fileURLToPath } from 'node:url';
+import { Logger } from '../lib/logger.mjs';
+import { RotatingFileTransport } from '../lib/transports.mjs';
+import {
+  parseLogLine,
+  parseTime,
+  parseWhere,
+  createLogFilter,
+  listLogFiles,
+  readLogEntries,
+  LogFollower
+} from '../lib/logs.mjs';
+import { runLogs } from '../scripts/logs.mjs';
+
+const BIN = fileURLToPath(new URL('../bin/dr-cursored.mjs', import.meta.url));
+
+const entry = {
+  timestamp: '2024-12-13T10:00:00.000Z',
+  level: 'warn',
+  service: 'api',
+  message: 'HTTP Request',
+  requestId: 'abcd1234',
+  url: '/api/users',
+  status: 503,
+  error: { code: 'ECONNREFUSED' }
+};
+
+describe('Log reading and filtering', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dr-cursored-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should parse NDJSON lines and ignore everything else', () => {
+    expect(parseLogLine(JSON.stringify(entry))).toEqual(entry);
+    expect(parseLogLine('plain text')).toBeNull();
+    expect(parseLogLine('{broken')).toBeNull();
+  });
+
+  it('should parse absolute and relative times', () => {
+    const now = Date.parse('2024-12-13T12:00:00.000Z');
+
+    expect(parseTime('2h', now)).toBe(Date.parse('2024-12-13T10:00:00.000Z'));
+    expect(parseTime('2024-12-13T10:00:00Z', now)).toBe(Date.parse('2024-12-13T10:00:00.000Z'));
+    expect(() => parseTime('yesterday-ish', now)).toThrow('Invalid time');
+  });
+
+  it('should evaluate meta field expressions', () => {
+    expect(parseWhere('status>=500')(entry)).toBe(true);
+    expect(parseWhere('status<500')(entry)).toBe(false);
+    expect(parseWhere('url~^/api')(entry)).toBe(true);
+    expect(parseWhere('error.code=ECONNREFUSED')(entry)).toBe(true);
+    expect(parseWhere('error.code!=ENOENT')(entry)).toBe(true);
+    expect(parseWhere('message="HTTP Request"')(entry)).toBe(true);
+    expect(parseWhere('userId')(entry)).toBe(false);
+    expect(() => parseWhere('url~[')).toThrow('Invalid pattern');
+  });
+
+  it('should combine level, service, request id, time and meta filters', () => {
+    const filter = createLogFilter({
+      level: 'warn',
+      service: 'api',
+      requestId: 'abcd1234',
+      since: '2024-12-13T09:00:00Z',
+      until: '2024-12-13T11:00:00Z',
+      where: ['status>=500']
+    });
+
+    expect(filter(entry)).toBe(true);
+    expect(filter({ ...entry, level: 'info' })).toBe(false);
+    expect(filter({ ...entry, service: 'web' })).toBe(false);
+    expect(filter({ ...entry, timestamp: '2024-12-13T12:00:00.000Z' })).toBe(false);
+    expect(filter({ ...entry, status: 200 })).toBe(false);
+  });
+
+  it('should list rotated files oldest first', () => {
+    for (const file of ['app.log', 'app.log.1', 'app.log.2', 'errors.log', 'notes.txt']) {
+      fs.writeFileSync(path.join(tmpDir, file), '');
+    }
+
+    expect(listLogFiles(tmpDir).map(file => path.basename(file)))
+      .toEqual(['app.log.2', 'app.log.1', 'app.log', 'errors.log']);
+  });
+
+  it('should stream entries across files', async () => {
+    const file = path.join(tmpDir, 'app.log');
+    fs.writeFileSync(file, `${JSON.stringify(entry)}\nnot json\n${JSON.stringify({ ...entry, status: 200 })}\n`);
+
+    const entries = [];
+    for await (const item of readLogEntries([file])) {
+      entries.push(item);
+    }
+
+    expect(entries.map(item => item.status)).toEqual([503, 200]);
+  });
+
+  it('should follow files across rotation', () => {
+    const filename = path.join(tmpDir, 'app.log');
+    const transport = new RotatingFileTransport({ filename, maxSize: 400 });
+    const logger = new Logger({ transports: [transport] });
+    const seen = [];
+
+    logger.info('before follow');
+    const follower = new LogFollower([filename], {
+      onLine: line => seen.push(parseLogLine(line).message)
+    });
+    follower.start();
+
+    try {
+      logger.info('first');
+      follower.poll();
+      for (let i = 0; i < 5; i++) {
+        logger.info(`message ${i}`);
+      }
+      follower.poll();
+      logger.info('last');
+      follower.poll();
+    } finally {
+      follower.stop();
+      transport.close();
+    }
+
+    expect(transport.files().length).toBeGreaterThan(1);
+    expect(seen).toEqual(['first', 'message 0', 'message 1', 'message 2', 'message 3', 'message 4', 'last']);
+  });
+
+  it('should print matching lines from files and validate --lines', async () => {
+    const file = path.join(tmpDir, 'app.log');
+    fs.writeFileSync(file, [1, 2, 3].map(i => JSON.stringify({ ...entry, message: `m${i}` })).join('\n') + '\n');
+    const printed = vi.spyOn(console, 'log').mockImplementation(() => {});
+    const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      await runLogs({ files: [file], format: 'json' });
+      await runLogs({ files: [file], format: 'json', lines: '2' });
+      expect(printed.mock.calls.map(([line]) => JSON.parse(line).message)).toEqual(['m1', 'm2', 'm3', 'm2', 'm3']);
+
+      await runLogs({ files: [file], lines: 'abc' });
+      expect(process.exitCode).toBe(1);
+      expect(errors.mock.calls.at(-1)[1]).toBe('Invalid --lines value: abc (expected a non-negative integer)');
+    } finally {
+      process.exitCode = undefined;
+      printed.mockRestore();
+      errors.mockRestore();
+    }
+  });
+
+  it('should read "-" as stdin in its place among the files', async () => {
+    const write = (name, messages) => {
+      const file = path.join(tmpDir, name);
+      fs.writeFileSync(file, messages.map(message => JSON.stringify({ ...entry, message })).join('\n') + '\n');
+      return file;
+    };
+    const first = write('first.log', ['f1', 'f2']);
+    const last = write('last.log', ['l1']);
+
+    const result = spawnSync(process.execPath, [BIN, 'logs', first, '-', last, '--format', 'json'], {
+      input: JSON.stringify({ ...entry, message: 's1' }) + '\n',
+      encoding: 'utf8',
+      timeout: 20000
+    });
+    expect(result.status).toBe(0);
+    expect(result.stdout.trim().split('\n').map(line => JSON.parse(line).message)).toEqual(['f1', 'f2', 's1', 'l1']);
+
+    const errors = vi.spyOn(console, 'error').mockImplementation(() => {});
+    try {
+      await runLogs({ files: ['-', first, '-'] });
+      expect(process.exitCode).toBe(1);
+      expect(errors.mock.calls.at(-1)[1]).toBe('stdin (-) can only be read once');
+    } finally {
+      process.exitCode = undefined;
+      errors.mockRestore();
+    }
+  });
+});
@@ -0,0 +1,190 @@
+import { describe, it, expect, vi } from 'vitest';
+import {
+  OPENMETRICS_CONTENT_TYPE,
+  PROMETHEUS_CONTENT_TYPE,
+  collectHealthMetrics,
+  createMetricsEndpoint,
+  escapeLabelValue,
+  formatMetrics,
+  sanitizeLabelName,
+  sanitizeMetricName
+} from '../lib/metrics.mjs';
+import { HealthChecker } from '../lib/health.mjs';
+import { Inspector } from '../lib/inspector.mjs';
+
+const silentLogger = { debug() {}, info() {}, warn() {}, error() {} };
+
+const response = () => ({
+  writeHead(statusCode, headers) {
+    this.statusCode = statusCode;
+    this.headers = headers;
+  },
+  end(body) {
+    this.body = body;
+  }
+});
+
+describe('metrics formatting', () => {
+  it('should escape label values and sanitize names', () => {
+    expect(escapeLabelValue('C:\\temp "quoted"\nnext')).toBe('C:\\\\temp \\"quoted\\"\\nnext');
+    expect(sanitizeMetricName('http.request-duration')).toBe('http_request_duration');
+    expect(sanitizeMetricName('5xx:rate')).toBe('_5xx:rate');
+    expect(sanitizeLabelName('__meta.route')).toBe('_meta_route');
+  });
+
+  it('should render Prometheus text and OpenMetrics', () => {
+    const families = [
+      { name: 'jobs_processed', help: 'Jobs processed\nby workers', type: 'counter', samples: [{ labels: { queue: 'say "hi"' }, value: 3 }] },
+      { name: 'queue_depth', type: 'gauge', samples: [{ value: Infinity }, { labels: { queue: 'x' }, value: NaN }] },
+      { name: 'empty', type: 'gauge', samples: [] }
+    ];
+
+    expect(formatMetrics(families)).toBe([
+      '# HELP jobs_processed_total Jobs processed\\nby workers',
+      '# TYPE jobs_processed_total counter',
+      'jobs_processed_total{queue="say \\"hi\\""} 3',
+      '# TYPE queue_depth gauge',
+      'queue_depth +Inf',
+      'queue_depth{queue="x"} NaN',
+      ''
+    ].join('\n'));
+
+    const openMetrics = formatMetrics(families, { openMetrics: true }).split('\n');
+    expect(openMetrics.slice(0, 3)).toEqual([
+      '# HELP jobs_processed Jobs processed\\nby workers',
+      '# TYPE jobs_processed counter',
+      'jobs_processed_total{queue="say \\"hi\\""} 3'
+    ]);
+    expect(openMetrics.slice(-2)).toEqual(['# EOF', '']);
+  });
+
+  it('should merge families whose names collide once sanitized', () => {
+    const text = formatMetrics([
+      { name: 'http.duration', help: 'first', type: 'summary', samples: [{ suffix: '_count', labels: { route: '/' }, value: 1 }] },
+      { name: 'http_duration', help: 'second', type: 'summary', samples: [
+        { suffix: '_count', labels: { route: '/' }, value: 2 },
+        { suffix: '_count', labels: { route: '/users' }, value: 3 }
+      ] },
+      { name: 'http-duration', type: 'gauge', samples: [{ value: 4 }] }
+    ]);
+
+    expect(text).toBe([
+      '# HELP http_duration first',
+      '# TYPE http_duration summary',
+      'http_duration_count{route="/"} 1',
+      'http_duration_count{route="/users"} 3',
+      ''
+    ].join('\n'));
+  });
+
+  it('should expose health statuses and durations as gauges', () => {
+    const text = formatMetrics(collectHealthMetrics({
+      overall: 'warning',
+      duration: 12.5,
+      checks: {
+        system: { disk: { status: 'warning', duration: 4 } },
+        custom: { 'queue "main"': { status: 'error', duration: 250 }, status: { status: 'healthy', duration: 1 } }
+      }
+    }));
+
+    expect(text).toContain('dr_cursored_health_status{status="warning"} 1\n');
+    expect(text).toContain('dr_cursored_health_status{status="healthy"} 0\n');
+    expect(text).toContain('dr_cursored_health_check_status{check="system.disk",status="warning"} 1\n');
+    expect(text).toContain('dr_cursored_health_check_status{check="custom.queue \\"main\\"",status="error"} 1\n');
+    expect(text).toContain('dr_cursored_health_check_up{check="custom.queue \\"main\\""} 0\n');
+    expect(text).toContain('dr_cursored_health_check_up{check="custom.status"} 1\n');
+    expect(text).toContain('dr_cursored_health_check_duration_seconds{check="custom.queue \\"main\\""} 0.25\n');
+    expect(text).toContain('dr_cursored_health_duration_seconds 0.0125\n');
+  });
+});
+
+describe('createMetricsEndpoint', () => {
+  it('should serve health, process and inspector metrics', async () => {
+    const checker = new HealthChecker({ logger: silentLogger });
+    checker.register('queue', () => ({ status: 'warning', message: 'backlog' }));
+    const inspector = new Inspector({ logger: silentLogger });
+    for (const value of [10, 20, 30, 40]) {
+      inspector.recordMetric('http.request.duration', value, { route: '/users/:id' });
+    }
+    inspector.recordMetric('http.request.duration', 5, { route: '/' });
+
+    const handler = createMetricsEndpoint({
+      healthChecker: checker,
+      inspector,
+      health: { includeSystem: false, includeGit: false, includeDependencies: false, includeNetwork: false }
+    });
+    const res = response();
+    await handler({ headers: {} }, res);
+
+    expect(res.statusCode).toBe(200);
+    expect(res.headers['Content-Type']).toBe(PROMETHEUS_CONTENT_TYPE);
+    expect(res.body).toContain('dr_cursored_health_check_status{check="custom.queue",status="warning"} 1\n');
+    expect(res.body).toMatch(/^process_cpu_seconds_total \d+(\.\d+)?$/m);
+    expect(res.body).toMatch(/^process_resident_memory_bytes \d+$/m);
+    expect(res.body).toContain([
+      '# HELP http_request_duration Inspector metric http.request.duration',
+      '# TYPE http_request_duration summary',
+      'http_request_duration{route="/users/:id",quantile="0.5"} 25',
+      'http_request_duration{route="/users/:id",quantile="0.9"} 37'
+    ].join('\n'));
+    expect(res.body).toMatch(/^http_request_duration\{route="\/users\/:id",quantile="0\.99"\} (39\.7|39\.69+\d*)$/m);
+    expect(res.body).toContain([
+      'http_request_duration_sum{route="/users/:id"} 100',
+      'http_request_duration_count{route="/users/:id"} 4',
+      'http_request_duration{route="/",quantile="0.5"} 5'
+    ].join('\n'));
+
+    const openMetrics = response();
+    await handler({ headers: { accept: 'application/openmetrics-text;version=1.0.0,text/plain;q=0.5' } }, openMetrics);
+    expect(openMetrics.headers['Content-Type']).toBe(OPENMETRICS_CONTENT_TYPE);
+    expect(openMetrics.body).toContain('# TYPE process_cpu_seconds counter\n');
+    expect(openMetrics.body.endsWith('# EOF\n')).toBe(true);
+  });
+
+  it('should keep count and sum beyond the retained samples', async () => {
+    const inspector = new Inspector({ logger: silentLogger });
+    for (let i = 0; i < 1200; i++) {
+      inspector.recordMetric('jobs', 1);
+    }
+    const res = response();
+    await createMetricsEndpoint({ inspector, health: false, process: false })({ headers: {} }, res);
+
+    expect(inspector.getMetrics('jobs')).toHaveLength(1000);
+    expect(res.body).toContain('jobs_sum 1200\njobs_count 1200\n');
+    expect(res.body).not.toContain('dr_cursored_health');
+  });
+
+  it('should reuse the last health report within the TTL and skip git by default', async () => {
+    const checker = new HealthChecker({ logger: silentLogger });
+    const run = vi.spyOn(checker, 'runHealthCheck').mockResolvedValue({ overall: 'healthy', duration: 1, checks: {} });
+    const handler = createMetricsEndpoint({ healthChecker: checker, process: false });
+
+    await Promise.all([handler({ headers: {} }, response()), handler({ headers: {} }, response())]);
+    await handler({ headers: {} }, response());
+    expect(run).toHaveBeenCalledTimes(1);
+    expect(run).toHaveBeenCalledWith({ includeGit: false });
+
+    const uncached = createMetricsEndpoint({ healthChecker: checker, process: false, health: { includeSystem: false }, healthTtl: 0 });
+    await uncached({ headers: {} }, response());
+    await uncached({ headers: {} }, response());
+    expect(run).toHaveBeenCalledTimes(3);
+    expect(run).toHaveBeenLastCalledWith({ includeGit: false, includeSystem: false });
+  });
+
+  it('should not cache failed health runs', async () => {
+    const checker = new HealthChecker({ logger: silentLogger });
+    const run = vi.spyOn(checker, 'runHealthCheck')
+      .mockRejectedValueOnce(new Error('boom'))
+      .mockResolvedValue({ overall: 'healthy', duration: 1, checks: {} });
+    const handler = createMetricsEndpoint({ healthChecker: checker, process: false });
+
+    const failed = response();
+    await handler({ headers: {} }, failed);
+    const res = response();
+    await handler({ headers: {} }, res);
+
+    expect(failed.statusCode).toBe(500);
+    expect(res.statusCode).toBe(200);
+    expect(run).toHaveBeenCalledTimes(2);
+  });
+});
@@ -0,0 +1,160 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import dgram from 'node:dgram';
+import net from 'node:net';
+import { checkDnsResolution, checkTcpConnection, checkUdpService, parseHostPort } from '../lib/network.mjs';
+import { HealthChecker } from '../lib/health.mjs';
+
+const closers = [];
+
+afterEach(async () => {
+  await Promise.all(closers.splice(0).map(close => close()));
+});
+
+const tcpServer = async (onConnection) => {
+  const server = net.createServer((socket) => {
+    // Probes hang up as soon as they have what they need
+    socket.on('error', () => {});
+    onConnection(socket);
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  closers.push(() => new Promise(resolve => server.close(resolve)));
+  return server.address().port;
+};
+
+const udpServer = async (onMessage) => {
+  const socket = dgram.createSocket('udp4');
+  socket.on('message', (message, rinfo) => onMessage(message, (reply) => socket.send(reply, rinfo.port, rinfo.address)));
+  await new Promise(resolve => socket.bind(0, '127.0.0.1', resolve));
+  closers.push(() => new Promise(resolve => socket.close(resolve)));
+  return socket.address().port;
+};
+
+// Answers every A query for the stub zone with one address, NXDOMAIN otherwise
+const dnsServer = (zone) => udpServer((query, reply) => {
+  let offset = 12;
+  const labels = [];
+  while (query[offset] !== 0) {
+    labels.push(query.toString('ascii', offset + 1, offset + 1 + query[offset]));
+    offset += query[offset] + 1;
+  }
+  const question = query.subarray(12, offset + 5);
+  const address = zone[labels.join('.')];
+  const header = Buffer.from([0, 0, 0x81, address ? 0x80 : 0x83, 0, 1, 0, address ? 1 : 0, 0, 0, 0, 0]);
+  query.copy(header, 0, 0, 2);
+  const answer = address
+    ? Buffer.from([0xc0, 12, 0, 1, 0, 1, 0, 0, 0, 60, 0, 4, ...address.split('.').map(Number)])
+    : Buffer.alloc(0);
+  reply(Buffer.concat([header, question, answer]));
+});
+
+const freePort = async () => {
+  const port = await tcpServer(() => {});
+  await closers.pop()();
+  return port;
+};
+
+describe('network checks', () => {
+  it('should parse host and port targets', () => {
+    expect(parseHostPort('mq.internal:5672')).toEqual({ host: 'mq.internal', port: 5672 });
+    expect(parseHostPort('[::1]:25')).toEqual({ host: '::1', port: 25 });
+    expect(parseHostPort('amqp://mq.internal:5672')).toEqual({ host: 'mq.internal', port: 5672 });
+    expect(() => parseHostPort('mq.internal')).toThrow('Invalid target "mq.internal", expected host:port');
+  });
+
+  it('should connect over TCP and match banners', async () => {
+    const port = await tcpServer(socket => socket.end('220 relay.local ESMTP ready\r\n'));
+    const echo = await tcpServer(socket => socket.on('data', data => socket.write(data.toString() === 'PING\r\n' ? '+PONG\r\n' : '-ERR\r\n')));
+
+    expect(await checkTcpConnection(`127.0.0.1:${port}`)).toMatchObject({ status: 'healthy', data: { host: '127.0.0.1', port } });
+    expect(await checkTcpConnection(`127.0.0.1:${port}`, { banner: '/^220 .*ESMTP/' })).toMatchObject({
+      status: 'healthy',
+      message: expect.stringMatching(new RegExp(`^TCP banner matched in [\\d.]+ms: 127\\.0\\.0\\.1:${port} \\(220 relay\\.local ESMTP ready\\)$`))
+    });
+    expect(await checkTcpConnection({ host: '127.0.0.1', port: echo, send: 'PING\r\n', banner: '+PONG' })).toMatchObject({ status: 'healthy' });
+
+    expect(await checkTcpConnection(`127.0.0.1:${port}`, { banner: 'AMQP' })).toMatchObject({
+      status: 'error',
+      message: `TCP check failed: 127.0.0.1:${port} - Connection closed before banner matched "AMQP", got "220 relay.local ESMTP ready\\n"`
+    });
+    expect(await checkTcpConnection(`127.0.0.1:${echo}`, { banner: 'never', timeout: 50 })).toMatchObject({
+      status: 'error',
+      message: `TCP check failed: 127.0.0.1:${echo} - Timed out waiting for banner`
+    });
+
+    const closed = await freePort();
+    expect(await checkTcpConnection(`127.0.0.1:${closed}`)).toMatchObject({ status: 'error', data: { code: 'ECONNREFUSED' } });
+  });
+
+  it('should send UDP datagrams and wait for replies', async () => {
+    const port = await udpServer((message, reply) => {
+      if (message.toString() === 'ping') {
+        reply('pong');
+      }
+    });
+
+    expect(await checkUdpService(`127.0.0.1:${port}`, { send: 'ping', expect: 'pong' })).toMatchObject({
+      status: 'healthy',
+      data: { reply: 'pong' }
+    });
+    expect(await checkUdpService(`127.0.0.1:${port}`, { send: 'metric:1|c' })).toMatchObject({
+      status: 'healthy',
+      message: `UDP datagram sent, not refused within 200ms: 127.0.0.1:${port}`
+    });
+    expect(await checkUdpService(`127.0.0.1:${port}`, { send: 'metric:1|c', timeout: 50 })).toMatchObject({ status: 'healthy' });
+    expect(await checkUdpService(`127.0.0.1:${port}`, { send: 'hello', expect: 'pong', timeout: 50 })).toMatchObject({
+      status: 'error',
+      message: `UDP check failed: 127.0.0.1:${port} - Timed out waiting for reply`
+    });
+  });
+
+  it('should fail UDP checks against closed ports', async () => {
+    const port = await udpServer(() => {});
+    await closers.pop()();
+
+    expect(await checkUdpService(`127.0.0.1:${port}`, { send: 'metric:1|c' })).toMatchObject({
+      status: 'error',
+      data: { code: 'ECONNREFUSED' }
+    });
+  });
+
+  it('should resolve DNS records against a resolver and compare expectations', async () => {
+    const port = await dnsServer({ 'mq.internal': '10.0.0.7' });
+    const servers = [`127.0.0.1:${port}`];
+
+    const resolved = await checkDnsResolution('mq.internal', { servers, expect: ['10.0.0.7'] });
+    expect(resolved).toMatchObject({ status: 'healthy', data: { type: 'A', records: ['10.0.0.7'], servers } });
+    expect(resolved.message).toMatch(/^DNS A mq\.internal resolved in [\d.]+ms: 10\.0\.0\.7$/);
+
+    expect(await checkDnsResolution('mq.internal', { servers, expect: ['10.0.0.8'] })).toMatchObject({
+      status: 'error',
+      data: { missing: ['10.0.0.8'] },
+      message: 'DNS A mq.internal is missing 10.0.0.8 (got 10.0.0.7)'
+    });
+    expect(await checkDnsResolution('mq.internal', { servers, maxResolveTime: -1 })).toMatchObject({ status: 'warning' });
+    expect(await checkDnsResolution('missing.internal', { servers })).toMatchObject({
+      status: 'error',
+      message: 'DNS A lookup failed: missing.internal - ENOTFOUND'
+    });
+    expect(await checkDnsResolution('localhost', { type: 'lookup', expect: ['127.0.0.1'] })).toMatchObject({ status: 'healthy' });
+  });
+
+  it('should run TCP, UDP and DNS checks from runHealthCheck', async () => {
+    const tcp = await tcpServer(socket => socket.end('AMQP\r\n'));
+    const udp = await udpServer((message, reply) => reply(message));
+    const dns = await dnsServer({ 'smtp.internal': '10.0.0.25' });
+
+    const report = await new HealthChecker().runHealthCheck({
+      includeSystem: false,
+      includeGit: false,
+      includeDependencies: false,
+      tcp: [{ name: 'broker', host: '127.0.0.1', port: tcp, banner: 'AMQP' }],
+      udp: [{ name: 'statsd', host: '127.0.0.1', port: udp, send: 'up', expect: 'up' }],
+      dns: ['localhost', { hostname: 'smtp.internal', servers: [`127.0.0.1:${dns}`], expect: ['10.0.0.25'] }]
+    });
+
+    expect(report.checks.tcp.broker.status).toBe('healthy');
+    expect(report.checks.udp.statsd.status).toBe('healthy');
+    expect(report.checks.dns['smtp.internal'].status).toBe('healthy');
+    expect(report.checks.dns).toHaveProperty('localhost');
+  });
+});
@@ -0,0 +1,227 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import http from 'node:http';
+import { Logger } from '../lib/logger.mjs';
+import { MemoryTransport } from '../lib/transports.mjs';
+import { runWithContext } from '../lib/context.mjs';
+import { Inspector } from '../lib/inspector.mjs';
+import { instrumentOutgoingHttp } from '../lib/outgoing.mjs';
+
+const TRACE_ID = '0af7651916cd43dd8448eb211c80319c';
+
+const get = (url, options = {}) => new Promise((resolve, reject) => {
+  http.get(url, options, res => {
+    let body = '';
+    res.on('data', chunk => {
+      body += chunk;
+    });
+    res.on('end', () => resolve({ status: res.statusCode, body }));
+  }).on('error', reject);
+});
+
+// fetch() refuses well-known ports like 1, so use one that was just released
+const closedPort = async () => {
+  const server = http.createServer();
+  await new Promise(resolve => server.listen(0, resolve));
+  const { port } = server.address();
+  await new Promise(resolve => server.close(resolve));
+  return port;
+};
+
+const post = (url, body) => new Promise((resolve, reject) => {
+  const req = http.request(url, { method: 'POST' }, res => {
+    res.resume();
+    res.on('end', resolve);
+  });
+  req.on('error', reject);
+  req.write(body.slice(0, 3));
+  req.end(body.slice(3));
+});
+
+describe('Outgoing HTTP instrumentation', () => {
+  let server;
+  let base;
+  let received;
+  let memory;
+  let logger;
+  let instrumentation;
+
+  beforeEach(async () => {
+    received = [];
+    server = http.createServer((req, res) => {
+      received.push(req.headers);
+      req.resume();
+      req.on('end', () => {
+        // Headers now, the rest of the body later
+        if (req.url === '/slow') {
+          res.writeHead(200, { 'Content-Type': 'text/plain' });
+          res.write('hello ');
+          setTimeout(() => res.end('world'), 50);
+          return;
+        }
+        const body = req.url === '/missing' ? '' : 'hello world';
+        res.writeHead(req.url === '/missing' ? 404 : 200, { 'Content-Type': 'text/plain', 'Content-Length': body.length });
+        res.end(body);
+      });
+    });
+    await new Promise(resolve => server.listen(0, resolve));
+    base = `http://localhost:${server.address().port}`;
+    memory = new MemoryTransport();
+    logger = new Logger({ service: 'api', level: 'debug', transports: [memory] });
+  });
+
+  afterEach(async () => {
+    if (instrumentation) {
+      instrumentation.disable();
+      instrumentation = null;
+    }
+    await new Promise(resolve => server.close(resolve));
+  });
+
+  const outgoing = () => memory.entries().filter(entry => entry.message === 'Outgoing HTTP request');
+
+  it('should log http.request calls with status, duration and bytes', async () => {
+    instrumentation = instrumentOutgoingHttp({ logger });
+
+    await get(`${base}/hello?x=1`);
+    await post(`${base}/upload`, 'payload');
+    await get(`${base}/missing`);
+
+    const entries = outgoing();
+    expect(entries).toHaveLength(3);
+    expect(entries[0]).toMatchObject({
+      level: 'info',
+      method: 'GET',
+      url: `${base}/hello?x=1`,
+      status: 200,
+      bytesSent: 0,
+      bytesReceived: 11
+    });
+    expect(entries[0].duration).toBeGreaterThanOrEqual(0);
+    expect(entries[1]).toMatchObject({ method: 'POST', bytesSent: 7 });
+    expect(entries[2]).toMatchObject({ level: 'warn', status: 404 });
+  });
+
+  it('should log failed calls without swallowing the error', async () => {
+    instrumentation = instrumentOutgoingHttp({ logger });
+
+    await expect(get('http://127.0.0.1:1/')).rejects.toThrow();
+    const [entry] = outgoing();
+    expect(entry).toMatchObject({ level: 'error', status: null, url: 'http://127.0.0.1:1/' });
+    expect(entry.error.code).toBe('ECONNREFUSED');
+  });
+
+  it('should propagate the request context to http and fetch calls', async () => {
+    instrumentation = instrumentOutgoingHttp({ logger });
+
+    await runWithContext({ requestId: 'req-1', traceId: TRACE_ID, spanId: 'b7ad6b7169203331' }, async () => {
+      await get(`${base}/a`);
+      const response = await fetch(`${base}/b`);
+      await response.text();
+    });
+
+    for (const headers of received) {
+      expect(headers.traceparent).toMatch(new RegExp(`^00-${TRACE_ID}-[0-9a-f]{16}-01$`));
+      expect(headers['x-request-id']).toBe('req-1');
+    }
+    const entries = outgoing();
+    expect(entries).toHaveLength(2);
+    for (const entry of entries) {
+      expect(entry).toMatchObject({ requestId: 'req-1', traceId: TRACE_ID, parentSpanId: 'b7ad6b7169203331' });
+      expect(received.some(headers => headers.traceparent.includes(entry.spanId))).toBe(true);
+    }
+  });
+
+  it('should log fetch calls and keep existing traceparent headers', async () => {
+    instrumentation = instrumentOutgoingHttp({ logger });
+    const traceparent = `00-${TRACE_ID}-1111111111111111-01`;
+
+    await runWithContext({ traceId: 'f'.repeat(32), spanId: '2'.repeat(16) }, async () => {
+      const response = await fetch(`${base}/fetched`, { method: 'POST', body: 'abc', headers: { traceparent } });
+      await response.text();
+    });
+    await expect(fetch(`http://127.0.0.1:${await closedPort()}/`)).rejects.toThrow();
+
+    expect(received[0].traceparent).toBe(traceparent);
+    const [ok, failed] = outgoing();
+    // fetch() streams request bodies to undici, so only the response length is known
+    expect(ok).toMatchObject({ method: 'POST', url: `${base}/fetched`, status: 200, bytesSent: null, bytesReceived: 11 });
+    expect(failed).toMatchObject({ level: 'error', status: null });
+  });
+
+  it('should log fetch calls once the headers arrive, before the body is read', async () => {
+    instrumentation = instrumentOutgoingHttp({ logger });
+
+    const response = await fetch(`${base}/slow`);
+    expect(outgoing()).toEqual([expect.objectContaining({ url: `${base}/slow`, status: 200, bytesReceived: null })]);
+
+    expect(await response.text()).toBe('hello world');
+    const cancelled = await fetch(`${base}/slow`);
+    await cancelled.body.cancel();
+    await new Promise(resolve => setTimeout(resolve, 60));
+    expect(memory.entries().map(entry => entry.message)).toEqual(['Outgoing HTTP request', 'Outgoing HTTP request']);
+  });
+
+  it('should add body timing to the span and log bodies that fail after the headers', async () => {
+    const inspector = new Inspector({ logger });
+    instrumentation = instrumentOutgoingHttp({ logger, inspector });
+    const broken = http.createServer((req, res) => {
+      res.writeHead(200, { 'Content-Length': 100 });
+      res.write('partial', () => setTimeout(() => res.destroy(), 20));
+    });
+    await new Promise(resolve => broken.listen(0, resolve));
+
+    try {
+      await (await fetch(`${base}/slow`)).text();
+      const failing = await fetch(`http://localhost:${broken.address().port}/broken`);
+      await expect(failing.text()).rejects.toThrow();
+    } finally {
+      await new Promise(resolve => broken.close(resolve));
+    }
+
+    const [read] = inspector.traces.filter(trace => trace.metadata.kind === 'client');
+    expect(read.result).toMatchObject({ status: 200, bodyDuration: expect.any(Number) });
+    expect(read.result.bodyDuration).toBeGreaterThanOrEqual(40);
+    expect(outgoing().map(entry => entry.status)).toEqual([200, 200]);
+    const [failure] = memory.entries().filter(entry => entry.message === 'Outgoing HTTP response body failed');
+    expect(failure).toMatchObject({ level: 'error', status: 200, url: expect.stringMatching(/\/broken$/) });
+  });
+
+  it('should honour ignore rules and stop after disable()', async () => {
+    instrumentation = instrumentOutgoingHttp({ logger, ignore: ['/health', /metrics$/] });
+
+    await get(`${base}/health`);
+    await get(`${base}/metrics`);
+    instrumentation.disable();
+    await get(`${base}/after`);
+
+    expect(outgoing()).toHaveLength(0);
+  });
+
+  it('should record calls as child spans of the inbound request in Inspector', async () => {
+    const inspector = new Inspector({ logger });
+    instrumentation = instrumentOutgoingHttp({ logger, inspector });
+
+    const app = http.createServer((req, res) => {
+      inspector.inspectHttpRequest(req, res, async () => {
+        await get(`${base}/downstream`);
+        res.get = () => undefined;
+        res.end('done');
+      });
+    });
+    await new Promise(resolve => app.listen(0, resolve));
+    try {
+      await get(`http://localhost:${app.address().port}/inbound`, { headers: { traceparent: `00-${TRACE_ID}-b7ad6b7169203331-01` } });
+    } finally {
+      instrumentation.disable();
+      app.close();
+    }
+
+    const serverSpan = inspector.traces.find(trace => trace.metadata.kind === 'server');
+    const clientSpans = inspector.traces.filter(trace => trace.metadata.kind === 'client');
+    expect(clientSpans).toHaveLength(2);
+    const downstream = clientSpans.find(trace => trace.metadata.url.endsWith('/downstream'));
+    expect(downstream.parent).toBe(serverSpan.id);
+    expect(serverSpan.children).toContain(downstream.id);
+    expect(downstream).toMatchObject({ result: { status: 200 }, metadata: { traceId: TRACE_ID } });
+  });
+});
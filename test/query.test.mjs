@@ -0,0 +1,175 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import http from 'node:http';
+import {
+  LogIndex,
+  LogAggregator,
+  parseAggregation,
+  percentile,
+  queryLogs,
+  createLogQueryEndpoint
+} from '../lib/query.mjs';
+
+const start = Date.parse('2024-12-13T10:00:00.000Z');
+
+const request = (i, meta = {}) => ({
+  timestamp: new Date(start + i * 1000).toISOString(),
+  level: 'info',
+  service: 'api',
+  message: 'HTTP Request',
+  url: i % 2 ? '/users' : '/orders',
+  duration: i + 1,
+  ...meta
+});
+
+const writeEntries = (file, entries) => {
+  fs.appendFileSync(file, entries.map(entry => JSON.stringify(entry) + '\n').join(''));
+};
+
+describe('Log query engine', () => {
+  let tmpDir;
+  let file;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dr-cursored-'));
+    file = path.join(tmpDir, 'app.log');
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should parse aggregations', () => {
+    expect(parseAggregation('count')).toMatchObject({ name: 'count', type: 'count' });
+    expect(parseAggregation('p95(duration)')).toMatchObject({ type: 'percentile', field: 'duration', percentile: 95 });
+    expect(parseAggregation('avg(response.bytes)')).toMatchObject({ type: 'avg', field: 'response.bytes' });
+    expect(() => parseAggregation('avg')).toThrow('Invalid aggregation');
+    expect(() => parseAggregation('median(duration)')).toThrow('Invalid aggregation');
+  });
+
+  it('should interpolate percentiles', () => {
+    const values = Array.from({ length: 100 }, (_, i) => i + 1);
+    expect(percentile(values, 50)).toBe(50.5);
+    expect(percentile(values, 95)).toBeCloseTo(95.05);
+    expect(percentile(values, 100)).toBe(100);
+    expect(percentile([], 95)).toBeNull();
+  });
+
+  it('should group, aggregate and sort', () => {
+    const aggregator = new LogAggregator({ groupBy: 'url', aggregations: ['count', 'p50(duration)', 'max(duration)'] });
+    for (let i = 0; i < 10; i++) {
+      aggregator.add(request(i));
+    }
+    aggregator.add({ message: 'No url', duration: '7ms' });
+
+    expect(aggregator.results()).toEqual([
+      { url: '/orders', count: 5, 'p50(duration)': 5, 'max(duration)': 9 },
+      { url: '/users', count: 5, 'p50(duration)': 6, 'max(duration)': 10 },
+      { url: null, count: 1, 'p50(duration)': 7, 'max(duration)': 7 }
+    ]);
+    expect(aggregator.results({ sort: 'max(duration)', order: 'asc', limit: 1 })).toEqual([
+      { url: null, count: 1, 'p50(duration)': 7, 'max(duration)': 7 }
+    ]);
+    expect(() => aggregator.results({ sort: 'status' })).toThrow('Cannot sort by status');
+  });
+
+  it('should aggregate groups too large to spread onto the stack', () => {
+    const aggregator = new LogAggregator({ groupBy: 'url', aggregations: ['count', 'min(duration)', 'max(duration)'] });
+    for (let i = 0; i < 500000; i++) {
+      aggregator.add({ url: '/bulk', duration: (i * 7919) % 500000 + 1 });
+    }
+
+    expect(aggregator.results()).toEqual([
+      { url: '/bulk', count: 500000, 'min(duration)': 1, 'max(duration)': 500000 }
+    ]);
+  });
+
+  it('should bucket by time, oldest first', () => {
+    const aggregator = new LogAggregator({ bucket: '1m' });
+    [0, 30, 59, 60, 150].forEach(i => aggregator.add(request(i)));
+
+    expect(aggregator.results()).toEqual([
+      { bucket: '2024-12-13T10:00:00.000Z', count: 3 },
+      { bucket: '2024-12-13T10:01:00.000Z', count: 1 },
+      { bucket: '2024-12-13T10:02:00.000Z', count: 1 }
+    ]);
+  });
+
+  it('should query files with the logs filters', async () => {
+    writeEntries(file, Array.from({ length: 20 }, (_, i) => request(i, i % 5 === 0 ? { level: 'error' } : {})));
+    fs.appendFileSync(file, 'not json\n');
+
+    const result = await queryLogs({
+      files: [file],
+      level: 'error',
+      where: ['message=HTTP Request'],
+      groupBy: ['url'],
+      aggregations: ['count', 'avg(duration)']
+    });
+
+    expect(result.columns).toEqual(['url', 'count', 'avg(duration)']);
+    expect(result.rows).toEqual([
+      { url: '/orders', count: 2, 'avg(duration)': 6 },
+      { url: '/users', count: 2, 'avg(duration)': 11 }
+    ]);
+    expect(result.stats).toMatchObject({ files: 1, scanned: 20, matched: 4 });
+  });
+
+  it('should use the index to skip files and old entries', async () => {
+    const old = path.join(tmpDir, 'app.log.1');
+    writeEntries(old, Array.from({ length: 50 }, (_, i) => request(i)));
+    writeEntries(file, Array.from({ length: 50 }, (_, i) => request(1000 + i)));
+
+    const index = new LogIndex({ checkpointEvery: 10 });
+    const since = new Date(start + 1030 * 1000).toISOString();
+    const result = await queryLogs({ files: [old, file], index, since });
+
+    expect(result.rows).toEqual([{ count: 20 }]);
+    // app.log.1 skipped entirely, app.log read from the checkpoint before entry 30
+    expect(result.stats.scanned).toBeLessThanOrEqual(30);
+    expect(index.files.get(file)).toMatchObject({ entries: 50, firstTime: start + 1000 * 1000 });
+  });
+
+  it('should index appended lines incrementally and reindex after rotation', async () => {
+    const index = new LogIndex({ checkpointEvery: 5 });
+    writeEntries(file, [request(0), request(1)]);
+    fs.appendFileSync(file, '{"partial":');
+
+    expect((await index.update(file)).entries).toBe(2);
+
+    fs.appendFileSync(file, '1}\n');
+    writeEntries(file, [request(2)]);
+    const record = await index.update(file);
+    expect(record.entries).toBe(3);
+    expect(record.size).toBe(fs.statSync(file).size);
+
+    fs.renameSync(file, `${file}.1`);
+    writeEntries(file, [request(3)]);
+    expect((await index.update(file)).entries).toBe(1);
+  });
+
+  it('should serve /api/logs/query', async () => {
+    writeEntries(file, Array.from({ length: 10 }, (_, i) => request(i)));
+    const server = http.createServer(createLogQueryEndpoint({ files: [file] }));
+    await new Promise(resolve => server.listen(0, resolve));
+    const base = `http://localhost:${server.address().port}/api/logs/query`;
+
+    try {
+      const response = await fetch(`${base}?groupBy=url&agg=count,p95(duration)&sort=url&order=asc`);
+      expect(response.status).toBe(200);
+      const body = await response.json();
+      expect(body.rows).toEqual([
+        { url: '/orders', count: 5, 'p95(duration)': 8.6 },
+        { url: '/users', count: 5, 'p95(duration)': 9.6 }
+      ]);
+
+      const invalid = await fetch(`${base}?agg=p95`);
+      expect(invalid.status).toBe(400);
+      expect((await invalid.json()).error).toContain('Invalid aggregation');
+    } finally {
+      server.close();
+    }
+  });
+});
@@ -0,0 +1,186 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import http from 'node:http';
+import Fastify from 'fastify';
+import { Logger } from '../lib/logger.mjs';
+import { MemoryTransport } from '../lib/transports.mjs';
+import { LoggerRegistry, parseDebugEnv, createLoggersEndpoint, createLoggersProxy } from '../lib/registry.mjs';
+
+const createLogger = (registry, options) => new Logger({ registry, transports: [new MemoryTransport()], ...options });
+
+describe('LoggerRegistry', () => {
+  it('should parse DEBUG-style namespaces', () => {
+    expect(parseDebugEnv('app:db*, app:http=warn,-app:db:noisy,bad=verbose')).toEqual([
+      { pattern: 'app:db*', level: 'debug' },
+      { pattern: 'app:http', level: 'warn' },
+      { pattern: 'app:db:noisy', level: null }
+    ]);
+  });
+
+  it('should apply DEBUG overrides by namespace', () => {
+    const registry = new LoggerRegistry({ debug: 'app:db*,-app:db:noisy' });
+    const db = createLogger(registry, { name: 'app:db' });
+    const pool = createLogger(registry, { name: 'app:db:pool' });
+    const noisy = createLogger(registry, { name: 'app:db:noisy' });
+    const http = createLogger(registry, { name: 'app:http' });
+
+    expect(db.shouldLog('debug')).toBe(true);
+    expect(pool.shouldLog('debug')).toBe(true);
+    expect(noisy.shouldLog('debug')).toBe(false);
+    expect(http.shouldLog('debug')).toBe(false);
+  });
+
+  it('should change levels at runtime, including for existing children', () => {
+    const registry = new LoggerRegistry({ debug: '' });
+    const logger = createLogger(registry, { name: 'app:api', level: 'warn' });
+    const child = logger.child({ component: 'users' });
+
+    expect(child.shouldLog('info')).toBe(false);
+
+    registry.setLevel('app:*', 'info');
+    expect(logger.getEffectiveLevel()).toBe('info');
+    expect(child.shouldLog('info')).toBe(true);
+
+    registry.clearLevel('app:*');
+    logger.setLevel('error');
+    expect(child.shouldLog('warn')).toBe(false);
+    expect(registry.list()).toEqual([
+      { name: 'app:api', service: 'app', level: 'error', effectiveLevel: 'error' }
+    ]);
+    expect(() => logger.setLevel('loud')).toThrow('Unknown log level');
+  });
+
+  it('should toggle debug for every logger', () => {
+    const registry = new LoggerRegistry({ debug: '' });
+    const logger = createLogger(registry, { name: 'worker' });
+
+    expect(registry.toggleDebug()).toBe(true);
+    expect(logger.shouldLog('debug')).toBe(true);
+    expect(registry.toggleDebug()).toBe(false);
+    expect(logger.shouldLog('debug')).toBe(false);
+  });
+
+  it.skipIf(process.platform === 'win32')('should toggle debug on SIGUSR2', () => {
+    const registry = new LoggerRegistry({ debug: '' });
+    const logger = createLogger(registry, { name: 'signal' });
+    const originalError = console.error;
+    console.error = () => {};
+
+    try {
+      registry.enableSignalToggle();
+      process.emit('SIGUSR2');
+      expect(logger.getEffectiveLevel()).toBe('debug');
+    } finally {
+      registry.disableSignalToggle();
+      console.error = originalError;
+    }
+  });
+});
+
+describe('createLoggersEndpoint', () => {
+  let server;
+
+  afterEach(async () => {
+    if (server) {
+      await new Promise(resolve => server.close(resolve));
+      server = null;
+    }
+  });
+
+  const request = (port, method, path, body) => new Promise((resolve, reject) => {
+    const req = http.request({ port, method, path, headers: { 'Content-Type': 'application/json' } }, res => {
+      let data = '';
+      res.on('data', chunk => {
+        data += chunk;
+      });
+      res.on('end', () => resolve({ status: res.statusCode, body: JSON.parse(data) }));
+    });
+    req.on('error', reject);
+    req.end(body ? JSON.stringify(body) : undefined);
+  });
+
+  it('should list and change logger levels', async () => {
+    const registry = new LoggerRegistry({ debug: '' });
+    const logger = createLogger(registry, { name: 'app:db' });
+    server = http.createServer(createLoggersEndpoint(registry));
+    await new Promise(resolve => server.listen(0, resolve));
+    const { port } = server.address();
+
+    const list = await request(port, 'GET', '/api/loggers');
+    expect(list.body.loggers).toEqual([{ name: 'app:db', service: 'app', level: 'info', effectiveLevel: 'info' }]);
+
+    const update = await request(port, 'PUT', '/api/loggers', { name: 'app:*', level: 'debug' });
+    expect(update.status).toBe(200);
+    expect(update.body.updated[0].effectiveLevel).toBe('debug');
+    expect(logger.shouldLog('debug')).toBe(true);
+
+    const invalid = await request(port, 'PUT', '/api/loggers', { name: 'app:*', level: 'loud' });
+    expect(invalid.status).toBe(400);
+
+    const cleared = await request(port, 'DELETE', '/api/loggers?name=app:*');
+    expect(cleared.body.removed).toBe(1);
+    expect(logger.shouldLog('debug')).toBe(false);
+  });
+
+  it('should mount in frameworks that parse the body themselves', async () => {
+    const registry = new LoggerRegistry({ debug: '' });
+    const logger = createLogger(registry, { name: 'app:http' });
+    const app = Fastify();
+    app.all('/debug/loggers', createLoggersEndpoint(registry));
+
+    try {
+      const update = await app.inject({ method: 'PUT', url: '/debug/loggers', payload: { name: 'app:http', level: 'warn' } });
+      expect(update.statusCode).toBe(200);
+      expect(update.json()).toMatchObject({ pattern: 'app:http', level: 'warn' });
+      expect(logger.getEffectiveLevel()).toBe('warn');
+
+      const missing = await app.inject({ method: 'PUT', url: '/debug/loggers', payload: { name: 'app:http' } });
+      expect(missing.statusCode).toBe(400);
+    } finally {
+      await app.close();
+    }
+  });
+
+  it('should forward debug server requests to the app endpoint', async () => {
+    const registry = new LoggerRegistry({ debug: '' });
+    const logger = createLogger(registry, { name: 'app:db' });
+    const app = http.createServer((req, res) => {
+      if (req.headers.authorization !== 'Bearer secret') {
+        res.writeHead(401, { 'Content-Type': 'application/json' });
+        res.end('{"error":"Unauthorized"}');
+        return;
+      }
+      createLoggersEndpoint(registry)(req, res);
+    });
+    await new Promise(resolve => app.listen(0, resolve));
+    const target = `http://localhost:${app.address().port}/debug/loggers`;
+    server = http.createServer(createLoggersProxy({ target }));
+    await new Promise(resolve => server.listen(0, resolve));
+    const { port } = server.address();
+
+    const send = (method, path, body, headers = { authorization: 'Bearer secret' }) => fetch(`http://localhost:${port}${path}`, {
+      method,
+      headers: { 'Content-Type': 'application/json', ...headers },
+      body: body && JSON.stringify(body)
+    });
+
+    try {
+      expect((await send('GET', '/api/loggers', undefined, {})).status).toBe(401);
+      const update = await send('PUT', '/api/loggers', { name: 'app:*', level: 'debug' });
+      expect(update.status).toBe(200);
+      expect(logger.shouldLog('debug')).toBe(true);
+      expect((await (await send('DELETE', '/api/loggers?name=app:*')).json()).removed).toBe(1);
+      expect(logger.shouldLog('debug')).toBe(false);
+    } finally {
+      app.closeAllConnections();
+      await new Promise(resolve => app.close(resolve));
+    }
+
+    const unavailable = await send('GET', '/api/loggers');
+    expect(unavailable.status).toBe(502);
+    expect((await unavailable.json()).error).toContain('unavailable');
+
+    const unconfigured = { writeHead(statusCode) { this.statusCode = statusCode; }, end(body) { this.body = JSON.parse(body); } };
+    createLoggersProxy({ target: '' })({ url: '/api/loggers', headers: {} }, unconfigured);
+    expect(unconfigured.statusCode).toBe(503);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Logger } from '../lib/logger.mjs';
+import { MemoryTransport } from '../lib/transports.mjs';
+import { LogSampler } from '../lib/sampling.mjs';
+
+const messages = (memory) => memory.entries().map(entry => entry.message);
+
+describe('Log sampling', () => {
+  beforeEach(() => {
+    vi.useFakeTimers();
+  });
+
+  afterEach(() => {
+    vi.useRealTimers();
+  });
+
+  it('should sample per level and tag kept entries with the rate', () => {
+    const memory = new MemoryTransport();
+    const values = [0.05, 0.5, 0.09];
+    const sampler = new LogSampler({ sampling: { debug: 0.1 }, random: () => values.shift() });
+    const logger = new Logger({ level: 'debug', sampler, transports: [memory] });
+
+    logger.debug('a');
+    logger.debug('b');
+    logger.debug('c');
+    logger.error('always');
+
+    expect(messages(memory)).toEqual(['a', 'c', 'always']);
+    expect(memory.entries()[0].sampleRate).toBe(0.1);
+    expect(memory.entries()[2].sampleRate).toBeUndefined();
+    expect(sampler.stats.sampled).toBe(1);
+  });
+
+  it('should collapse identical messages within the window', () => {
+    const memory = new MemoryTransport();
+    const logger = new Logger({ dedupe: { window: 1000 }, transports: [memory] });
+
+    for (let i = 0; i < 533; i++) {
+      logger.error('Database unreachable');
+    }
+    logger.error('Something else');
+
+    expect(messages(memory)).toEqual(['Database unreachable', 'Something else']);
+
+    vi.advanceTimersByTime(1000);
+
+    expect(memory.entries()[2]).toMatchObject({
+      level: 'error',
+      message: 'Database unreachable (repeated 532 times)',
+      repeated: 532
+    });
+
+    logger.error('Database unreachable');
+    expect(messages(memory)).toHaveLength(4);
+  });
+
+  it('should rate limit with a token bucket and summarize suppressed entries', () => {
+    const memory = new MemoryTransport();
+    const logger = new Logger({ rateLimit: { rate: 10, interval: 1000, burst: 5 }, transports: [memory] });
+
+    for (let i = 0; i < 20; i++) {
+      logger.info(`message ${i}`);
+    }
+    expect(messages(memory)).toEqual(['message 0', 'message 1', 'message 2', 'message 3', 'message 4']);
+
+    vi.advanceTimersByTime(100);
+
+    expect(memory.entries()[5]).toMatchObject({
+      level: 'warn',
+      message: 'Rate limit exceeded: suppressed 15 log entries',
+      suppressed: 15,
+      levels: { info: 15 }
+    });
+
+    // The summary spent the token that refilled
+    logger.info('too soon');
+    vi.advanceTimersByTime(200);
+    logger.info('after');
+    expect(messages(memory).slice(6)).toEqual(['Rate limit exceeded: suppressed 1 log entries', 'after']);
+  });
+
+  it('should count rate limit summaries against the limit', () => {
+    const memory = new MemoryTransport();
+    const logger = new Logger({ rateLimit: { rate: 10, interval: 1000, burst: 5 }, transports: [memory] });
+
+    // Far over the limit for 5 seconds: burst plus 10 per second, summaries included
+    for (let ms = 0; ms < 5000; ms += 10) {
+      logger.info(`message ${ms}`);
+      vi.advanceTimersByTime(10);
+    }
+    logger.sampler.flush();
+
+    const summaries = memory.entries().filter(entry => entry.suppressed);
+    expect(memory.entries().length).toBeLessThanOrEqual(5 + 50 + 1);
+    expect(summaries.length).toBeGreaterThan(0);
+    expect(memory.entries().length - summaries.length + summaries.reduce((total, entry) => total + entry.suppressed, 0)).toBe(500);
+  });
+
+  it('should share limits with child loggers and flush pending summaries', () => {
+    const memory = new MemoryTransport();
+    const logger = new Logger({ dedupe: true, transports: [memory] });
+    const child = logger.child({ component: 'db' });
+
+    logger.warn('slow query');
+    child.warn('slow query');
+    child.sampler.flush();
+
+    expect(child.sampler).toBe(logger.sampler);
+    expect(messages(memory)).toEqual(['slow query', 'slow query (repeated 1 time)']);
+  });
+});
@@ -0,0 +1,77 @@
+import { describe, it, expect, afterEach } from 'vitest';
+import { Logger } from '../lib/logger.mjs';
+import { MemoryTransport } from '../lib/transports.mjs';
+import { isSourceEnabled } from '../lib/source.mjs';
+
+const createLogger = (options = {}) => {
+  const memory = new MemoryTransport();
+  const logger = new Logger({ level: 'debug', source: true, transports: [memory], ...options });
+  return { logger, memory };
+};
+
+function callerFunction(logger) {
+  logger.info('from a named function');
+}
+
+describe('Source location capture', () => {
+  const originalEnv = process.env.LOG_SOURCE;
+
+  afterEach(() => {
+    if (originalEnv === undefined) {
+      delete process.env.LOG_SOURCE;
+    } else {
+      process.env.LOG_SOURCE = originalEnv;
+    }
+  });
+
+  it('should record the calling file, line and function', () => {
+    const { logger, memory } = createLogger();
+
+    callerFunction(logger);
+
+    expect(memory.entries()[0].source).toEqual({
+      file: 'test/source.test.mjs',
+      line: 13,
+      column: 10,
+      function: 'callerFunction'
+    });
+  });
+
+  it('should work through child loggers', () => {
+    const { logger, memory } = createLogger();
+
+    logger.child({ component: 'db' }).warn('child');
+
+    expect(memory.entries()[0].source).toMatchObject({ file: 'test/source.test.mjs', line: 43 });
+  });
+
+  it('should report the caller of operation() and performance(), not the helper', async () => {
+    const { logger, memory } = createLogger();
+
+    await logger.operation('load', async () => {
+      await new Promise(resolve => setTimeout(resolve, 1));
+    });
+    logger.performance('sync', () => 42);
+
+    const lines = memory.entries().map(entry => entry.source.line);
+    expect(lines).toEqual([51, 51, 51, 54]);
+    expect(memory.entries().every(entry => entry.source.file === 'test/source.test.mjs')).toBe(true);
+  });
+
+  it('should not capture anything when disabled', () => {
+    const { logger, memory } = createLogger({ source: false });
+
+    logger.info('no source');
+
+    expect(memory.entries()[0].source).toBeUndefined();
+  });
+
+  it('should be enabled by the LOG_SOURCE env var', () => {
+    process.env.LOG_SOURCE = 'true';
+    expect(isSourceEnabled()).toBe(true);
+    expect(isSourceEnabled(false)).toBe(false);
+
+    process.env.LOG_SOURCE = '0';
+    expect(isSourceEnabled()).toBe(false);
+  });
+});
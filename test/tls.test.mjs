@@ -0,0 +1,127 @@
+import { describe, it, expect, beforeAll, afterAll, afterEach } from 'vitest';
+import { execFileSync } from 'node:child_process';
+import fs from 'node:fs';
+import net from 'node:net';
+import os from 'node:os';
+import path from 'node:path';
+import tls from 'node:tls';
+import { inspectCertificate, parseTlsTarget } from '../lib/tls.mjs';
+import { HealthChecker } from '../lib/health.mjs';
+
+const hasOpenssl = (() => {
+  try {
+    execFileSync('openssl', ['version'], { stdio: 'ignore' });
+    return true;
+  } catch {
+    return false;
+  }
+})();
+
+const EC_KEY = ['-newkey', 'ec', '-pkeyopt', 'ec_paramgen_curve:prime256v1', '-nodes'];
+
+describe('parseTlsTarget', () => {
+  it('should accept host:port, URLs and objects', () => {
+    expect(parseTlsTarget('example.com')).toEqual({ host: 'example.com', port: 443 });
+    expect(parseTlsTarget('example.com:8443')).toEqual({ host: 'example.com', port: 8443 });
+    expect(parseTlsTarget('https://[::1]:9443/health')).toEqual({ host: '::1', port: 9443 });
+    expect(parseTlsTarget({ host: 'db', servername: 'db.internal' })).toEqual({ host: 'db', port: 443, servername: 'db.internal' });
+  });
+});
+
+describe.skipIf(!hasOpenssl)('TLS certificate checks', () => {
+  let dir;
+  const certs = {};
+  const servers = [];
+
+  const openssl = (...args) => execFileSync('openssl', args, { cwd: dir, stdio: 'pipe' });
+  const read = (file) => fs.readFileSync(path.join(dir, file));
+
+  // Certificates are generated fresh so expiry maths is relative to today
+  beforeAll(() => {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), 'dr-cursored-tls-'));
+    openssl('req', '-x509', ...EC_KEY, '-keyout', 'ca.key', '-out', 'ca.pem', '-days', '365', '-subj', '/CN=Test Root CA');
+    openssl('req', ...EC_KEY, '-keyout', 'leaf.key', '-out', 'leaf.csr', '-subj', '/CN=localhost');
+    fs.writeFileSync(path.join(dir, 'leaf.ext'), 'subjectAltName=DNS:localhost,IP:127.0.0.1\n');
+    openssl('x509', '-req', '-in', 'leaf.csr', '-CA', 'ca.pem', '-CAkey', 'ca.key', '-CAcreateserial', '-out', 'leaf.pem', '-days', '20', '-extfile', 'leaf.ext');
+    openssl('req', '-x509', ...EC_KEY, '-keyout', 'dev.key', '-out', 'dev.pem', '-days', '5', '-subj', '/CN=dev.local', '-addext', 'subjectAltName=DNS:dev.local');
+
+    certs.ca = read('ca.pem');
+    certs.leaf = { key: read('leaf.key'), cert: Buffer.concat([read('leaf.pem'), certs.ca]) };
+    certs.dev = { key: read('dev.key'), cert: read('dev.pem') };
+  });
+
+  afterAll(() => {
+    fs.rmSync(dir, { recursive: true, force: true });
+  });
+
+  afterEach(async () => {
+    await Promise.all(servers.splice(0).map(server => new Promise(resolve => server.close(resolve))));
+  });
+
+  const serve = async (server) => {
+    servers.push(server);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    return server.address().port;
+  };
+
+  it('should report subject, SANs, issuer chain, expiry and protocol', async () => {
+    const port = await serve(tls.createServer(certs.leaf, socket => socket.end()));
+
+    const info = await inspectCertificate(`localhost:${port}`, { ca: certs.ca });
+    expect(info).toMatchObject({
+      subject: 'localhost',
+      subjectAltNames: ['localhost', '127.0.0.1'],
+      issuer: 'Test Root CA',
+      daysUntilExpiry: 19,
+      protocol: 'TLSv1.3',
+      authorized: true,
+      hostnameMismatch: false
+    });
+    expect(info.chain.map(cert => cert.subject)).toEqual(['localhost', 'Test Root CA']);
+    expect(info.chain[0].fingerprint256).toMatch(/^([0-9A-F]{2}:){31}[0-9A-F]{2}$/);
+
+    const checker = new HealthChecker({ tls: { ca: certs.ca } });
+    const result = await checker.checkTLS(`localhost:${port}`);
+    expect(result).toMatchObject({ status: 'warning', message: `localhost:${port}: Certificate expires in 19 days` });
+    expect((await checker.checkTLS(`localhost:${port}`, { warningDays: 14 })).status).toBe('healthy');
+  });
+
+  it('should flag untrusted certificates and hostname mismatches', async () => {
+    const port = await serve(tls.createServer(certs.dev, socket => socket.end()));
+    const checker = new HealthChecker();
+
+    const mismatch = await checker.checkTLS(`localhost:${port}`);
+    expect(mismatch.status).toBe('error');
+    expect(mismatch.data).toMatchObject({ authorized: false, authorizationError: 'DEPTH_ZERO_SELF_SIGNED_CERT', hostnameMismatch: true });
+    expect(mismatch.data.issues).toEqual([
+      'Certificate expires in 4 days',
+      expect.stringContaining("Host: localhost. is not in the cert's altnames: DNS:dev.local"),
+      'Certificate not trusted: DEPTH_ZERO_SELF_SIGNED_CERT'
+    ]);
+
+    // A self-signed dev proxy cert: only the expiry matters
+    const dev = await checker.checkTLS({ host: '127.0.0.1', port, servername: 'dev.local' }, { allowUntrusted: true });
+    expect(dev).toMatchObject({ status: 'critical', message: `127.0.0.1:${port}: Certificate expires in 4 days` });
+    expect(dev.data.hostnameMismatch).toBe(false);
+  });
+
+  it('should report failed handshakes from runHealthCheck', async () => {
+    const plain = await serve(net.createServer((socket) => {
+      socket.resume();
+      socket.end('not tls\r\n');
+    }));
+    const secure = await serve(tls.createServer(certs.leaf, socket => socket.end()));
+
+    const report = await new HealthChecker({ tls: { ca: certs.ca, warningDays: 7 } }).runHealthCheck({
+      includeSystem: false,
+      includeNetwork: false,
+      includeGit: false,
+      includeDependencies: false,
+      tls: [`127.0.0.1:${plain}`, { name: 'api', host: 'localhost', port: secure }]
+    });
+
+    expect(report.checks.tls[`127.0.0.1:${plain}`]).toMatchObject({ status: 'error', message: `TLS handshake failed: 127.0.0.1:${plain} - wrong version number` });
+    expect(report.checks.tls.api).toMatchObject({ status: 'healthy', message: `Certificate valid for 19 days: localhost:${secure} (TLSv1.3)` });
+    expect(report.overall).toBe('critical');
+  });
+});
@@ -0,0 +1,94 @@
+import { describe, it, expect } from 'vitest';
+import { EventEmitter } from 'node:events';
+import { requestLogger } from '../lib/logger.mjs';
+import { getContext } from '../lib/context.mjs';
+import {
+  parseTraceparent,
+  formatTraceparent,
+  parseTracestate,
+  createTraceContext,
+  generateTraceId,
+  generateSpanId
+} from '../lib/tracing.mjs';
+
+const TRACEPARENT = '00-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01';
+
+const createResponse = () => {
+  const res = new EventEmitter();
+  res.headers = {};
+  res.setHeader = (name, value) => {
+    res.headers[name] = value;
+  };
+  return res;
+};
+
+describe('W3C trace context', () => {
+  it('should parse valid traceparent headers', () => {
+    expect(parseTraceparent(TRACEPARENT)).toEqual({
+      version: '00',
+      traceId: '4bf92f3577b34da6a3ce929d0e0e4736',
+      parentId: '00f067aa0ba902b7',
+      traceFlags: '01'
+    });
+  });
+
+  it('should reject invalid traceparent headers', () => {
+    expect(parseTraceparent(undefined)).toBeNull();
+    expect(parseTraceparent('garbage')).toBeNull();
+    expect(parseTraceparent('ff-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01')).toBeNull();
+    expect(parseTraceparent('00-00000000000000000000000000000000-00f067aa0ba902b7-01')).toBeNull();
+    expect(parseTraceparent('00-4bf92f3577b34da6a3ce929d0e0e4736-0000000000000000-01')).toBeNull();
+    expect(parseTraceparent(`${TRACEPARENT}-extra`)).toBeNull();
+    expect(parseTraceparent('00-4BF92F3577B34DA6A3CE929D0E0E4736-00f067aa0ba902b7-01')).toBeNull();
+  });
+
+  it('should accept future versions with extra fields', () => {
+    expect(parseTraceparent('01-4bf92f3577b34da6a3ce929d0e0e4736-00f067aa0ba902b7-01-what')?.version).toBe('01');
+  });
+
+  it('should generate W3C-sized ids', () => {
+    expect(generateTraceId()).toMatch(/^[0-9a-f]{32}$/);
+    expect(generateSpanId()).toMatch(/^[0-9a-f]{16}$/);
+    expect(formatTraceparent({ traceId: 'a'.repeat(32), spanId: 'b'.repeat(16) }))
+      .toBe(`00-${'a'.repeat(32)}-${'b'.repeat(16)}-01`);
+  });
+
+  it('should parse tracestate and drop invalid or duplicate members', () => {
+    expect(parseTracestate('rojo=00f067aa0ba902b7, congo=t61rcWkgMzE,bad entry,rojo=dup'))
+      .toEqual([['rojo', '00f067aa0ba902b7'], ['congo', 't61rcWkgMzE']]);
+  });
+
+  it('should continue an incoming trace', () => {
+    const trace = createTraceContext({ traceparent: TRACEPARENT, tracestate: 'rojo=1' });
+
+    expect(trace.traceId).toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+    expect(trace.parentSpanId).toBe('00f067aa0ba902b7');
+    expect(trace.spanId).not.toBe('00f067aa0ba902b7');
+    expect(trace.tracestate).toBe('rojo=1');
+  });
+
+  it('should start a new trace when none is present', () => {
+    const trace = createTraceContext(new Headers());
+
+    expect(trace.traceId).toMatch(/^[0-9a-f]{32}$/);
+    expect(trace.parentSpanId).toBeUndefined();
+  });
+});
+
+describe('requestLogger tracing', () => {
+  it('should echo traceparent and expose trace ids in the context', () => {
+    const req = { method: 'GET', url: '/', headers: { traceparent: TRACEPARENT, tracestate: 'rojo=1' } };
+    const res = createResponse();
+    let context;
+
+    requestLogger(req, res, () => {
+      context = getContext();
+    });
+
+    expect(context.traceId).toBe('4bf92f3577b34da6a3ce929d0e0e4736');
+    expect(context.parentSpanId).toBe('00f067aa0ba902b7');
+    expect(res.headers.traceparent).toBe(`00-${context.traceId}-${context.spanId}-01`);
+    expect(res.headers.tracestate).toBe('rojo=1');
+    expect(req.logger.context).toMatchObject({ traceId: context.traceId, spanId: context.spanId });
+  });
+});
@@ -0,0 +1,123 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { PassThrough } from 'node:stream';
+import { Logger } from '../lib/logger.mjs';
+import {
+  FileTransport,
+  RotatingFileTransport,
+  StreamTransport,
+  MemoryTransport,
+  createTransport
+} from '../lib/transports.mjs';
+
+describe('Transports', () => {
+  let tmpDir;
+
+  beforeEach(() => {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dr-cursored-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it('should write JSON lines to a file', () => {
+    const filename = path.join(tmpDir, 'logs', 'app.log');
+    const transport = new FileTransport({ filename });
+    const logger = new Logger({ service: 'api', transports: [transport] });
+
+    logger.info('first', { userId: 1 });
+    logger.warn('second');
+    transport.close();
+
+    const lines = fs.readFileSync(filename, 'utf8').trim().split('\n').map(line => JSON.parse(line));
+    expect(lines).toHaveLength(2);
+    expect(lines[0]).toMatchObject({ level: 'info', service: 'api', message: 'first', userId: 1 });
+    expect(lines[1].level).toBe('warn');
+  });
+
+  it('should rotate files by size', () => {
+    const filename = path.join(tmpDir, 'app.log');
+    const transport = new RotatingFileTransport({ filename, maxSize: 200, maxFiles: 2 });
+    const logger = new Logger({ transports: [transport] });
+
+    for (let i = 0; i < 20; i++) {
+      logger.info(`message ${i}`);
+    }
+    transport.close();
+
+    expect(transport.files()).toEqual([filename, `${filename}.1`, `${filename}.2`]);
+    expect(fs.existsSync(`${filename}.3`)).toBe(false);
+    const current = fs.readFileSync(filename, 'utf8');
+    expect(current).toContain('message 19');
+    expect(Buffer.byteLength(current)).toBeLessThanOrEqual(200);
+  });
+
+  it('should rotate files by time', () => {
+    const filename = path.join(tmpDir, 'app.log');
+    const transport = new RotatingFileTransport({ filename, interval: 1000 });
+    const logger = new Logger({ transports: [transport] });
+
+    logger.info('before');
+    transport.periodStart -= 1000;
+    logger.info('after');
+    transport.close();
+
+    expect(fs.readFileSync(`${filename}.1`, 'utf8')).toContain('before');
+    expect(fs.readFileSync(filename, 'utf8')).toContain('after');
+  });
+
+  it('should write to arbitrary streams with their own format', () => {
+    const stream = new PassThrough();
+    const logger = new Logger({
+      service: 'api',
+      transports: [new StreamTransport({ stream, format: 'text' })]
+    });
+
+    logger.info('hello', { a: 1 });
+
+    const output = stream.read().toString();
+    expect(output).toMatch(/^\[INFO\] \S+ \[api\] \[\w{8}\] hello \{ a: 1 \}\n$/);
+  });
+
+  it('should keep only the latest entries in the memory ring buffer', () => {
+    const memory = new MemoryTransport({ limit: 3 });
+    const logger = new Logger({ transports: [memory] });
+
+    for (let i = 0; i < 5; i++) {
+      logger.info(`message ${i}`);
+    }
+
+    expect(memory.entries().map(entry => entry.message)).toEqual(['message 2', 'message 3', 'message 4']);
+    memory.clear();
+    expect(memory.entries()).toEqual([]);
+  });
+
+  it('should apply per-transport levels', () => {
+    const all = new MemoryTransport();
+    const errors = new MemoryTransport({ level: 'error' });
+    const logger = new Logger({ level: 'debug', transports: [all, errors] });
+
+    logger.debug('debug');
+    logger.error('error');
+
+    expect(all.entries()).toHaveLength(2);
+    expect(errors.entries().map(entry => entry.message)).toEqual(['error']);
+  });
+
+  it('should share transports with child loggers', () => {
+    const memory = new MemoryTransport();
+    const logger = new Logger({ transports: [memory] });
+
+    logger.child({ component: 'db' }).info('child message');
+
+    expect(memory.entries()[0]).toMatchObject({ message: 'child message', component: 'db' });
+  });
+
+  it('should create transports by type', () => {
+    expect(createTransport('memory')).toBeInstanceOf(MemoryTransport);
+    expect(() => createTransport('carrier-pigeon')).toThrow('Unknown transport type');
+  });
+});